@@ -4,7 +4,7 @@
  */
 class ArchiveExplorer {
     constructor() {
-        this.dataManager = new DataManager();
+        this.dataManager = new ArchiveWorkspace();
         this.exportService = new ExportService();
         this.modeManager = new ModeManager();
         this.videoPlayer = null;
@@ -16,10 +16,24 @@ class ArchiveExplorer {
         this.currentPagination = { page: 1, limit: 24 };
         this.currentCommentPagination = { page: 1, limit: 50 };
         this.isListView = false;
+        this.groupVariants = false; // One card per group of cut-downs and other variants of a video
+        this.shownVariantGroups = null; // Variant groups of the videos shown, by video ID
+        this.comparedVariantGroup = null; // Group in the variant comparison table
+        this.shownFilterChips = []; // Active filters shown as chips, in chip order
+        this.shownFilterKeywords = []; // Keywords listed in the filter panel, in list order
         this.listViewSort = { field: 'date', direction: 'desc' };
         
         // Cached data
         this.keywordsCache = null;
+        this.transcriptCues = null;
+        this.activeCueIndex = -1;
+        this.healthReport = null;
+        this.transcriptVariants = [];
+        this.transcriptLanguage = null; // Last picked variant key, e.g. 'es:manual'
+        this.searchResultMoments = []; // { time, terms, variantKey } that search result links point at
+        this.relatedVideos = new RelatedVideos();
+        this.pendingTranscriptMoment = null; // Moment to seek to once the opened video's transcript is shown
+        this.videoExportColumnKeys = null; // Columns picked for the video list export, null for all
         
         // UI elements
         this.elements = {};
@@ -153,6 +167,48 @@ class ArchiveExplorer {
         
         // Set up mode selection event listeners
         this.setupModeEventListeners();
+        
+        // Offer the previously opened archive folder
+        this.showReopenLastArchive();
+    }
+
+    /**
+     * Show the "Reopen last archive" option if a folder handle was remembered
+     */
+    async showReopenLastArchive() {
+        const container = document.getElementById('reopenLastArchive');
+        const button = document.getElementById('reopenLastArchiveBtn');
+        if (!container || !button) return;
+
+        const directoryManager = this.modeManager.directoryManager;
+        const record = await directoryManager.getRememberedDirectory();
+        if (!record) {
+            container.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('lastArchiveName').textContent = record.name;
+        document.getElementById('lastArchiveDate').textContent = new Date(record.opened_at).toLocaleString();
+
+        // Permission is only re-requested on click, since browsers require a user gesture
+        const permission = await directoryManager.getPermissionState(record.handle);
+        document.getElementById('lastArchivePermission').textContent =
+            permission === 'granted' ? '' : '(your browser will ask to allow access again)';
+
+        // Assign rather than add so repeated visits to the modal don't stack handlers
+        button.onclick = async () => {
+            await this.handleReopenLastArchive();
+        };
+        container.style.display = 'block';
+    }
+
+    /**
+     * Handle "Reopen last archive" selection
+     */
+    async handleReopenLastArchive() {
+        console.log('🎛️ User chose to reopen the last archive');
+        this.modeManager.setMode('local');
+        await this.handleDirectorySelection({ reopen: true });
     }
 
     /**
@@ -405,12 +461,12 @@ class ArchiveExplorer {
     /**
      * Handle directory selection using File System Access API
      */
-    async handleDirectorySelection() {
+    async handleDirectorySelection(options = {}) {
         try {
-            this.showModeStatus('Requesting directory access...');
+            this.showModeStatus(options.reopen ? 'Reopening last archive...' : 'Requesting directory access...');
             
             // Initialize local mode
-            const result = await this.modeManager.initializeLocalMode();
+            const result = await this.modeManager.initializeLocalMode(options);
             
             // Show success toast and auto-close modal
             this.showSuccessToast('Videos loaded successfully!');
@@ -454,12 +510,18 @@ class ArchiveExplorer {
             
             this.updateLoadingProgress('Loading video data...', 30);
             
-            // Initialize data manager - always use archive loader for BGCA
+            // Initialize data manager - always use archive loader for BGCA.
+            // Comments keep loading after the grid opens; large comments.json files take a while.
             console.log('🚀 Using BGCA Archive Loader for all modes');
             await this.dataManager.initialize((message, progress) => {
                 this.updateLoadingProgress(message, Math.max(30, Math.min(65, 30 + (progress * 0.35))));
+            }, {
+                deferComments: true,
+                commentsProgressCallback: (message) => this.updateCommentsLoadingStatus(message)
             });
             
+            this.renderArchiveSwitcher();
+            
             this.updateLoadingProgress('Optimizing search indexes...', 70);
             await new Promise(resolve => setTimeout(resolve, 500)); // Brief pause for user feedback
             
@@ -474,6 +536,14 @@ class ArchiveExplorer {
                 document.getElementById('videoFallback'),
                 this.modeManager
             );
+            this.videoPlayer.setTimeUpdateHandler((time) => this.highlightTranscriptCue(time));
+
+            // Threaded comment list for the video detail view
+            if (!this.commentList) {
+                this.commentList = new CommentListComponent(this.elements.commentsList, this.exportService);
+                this.commentList.setViewConversationHandler((commentId, videoId) => this.showCommentConversation(videoId, commentId));
+                this.commentList.setConversationBackHandler(() => this.loadComments());
+            }
             
             this.updateLoadingProgress('Ready!', 100);
             
@@ -485,6 +555,7 @@ class ArchiveExplorer {
             
             // Hide loading screen and show app
             this.hideLoadingScreen();
+            this.waitForBackgroundComments();
             
             // Check for enhanced ZIP capabilities
             setTimeout(() => {
@@ -504,6 +575,42 @@ class ArchiveExplorer {
         }
     }
 
+    /**
+     * Show background comment loading in the stats bar until it finishes, then refresh the stats
+     */
+    async waitForBackgroundComments() {
+        if (this.dataManager.commentsLoaded) {
+            return;
+        }
+
+        this.updateCommentsLoadingStatus('Loading comments...');
+        try {
+            await this.dataManager.commentsReady;
+            this.updateStats();
+            console.log(`💬 Background comment load finished: ${this.formatNumber(this.dataManager.comments.length)} comments`);
+        } catch (error) {
+            console.error('❌ Background comment load failed:', error);
+        } finally {
+            this.updateCommentsLoadingStatus(null);
+        }
+    }
+
+    /**
+     * Set the stats bar's comment loading message, or hide it with null
+     */
+    updateCommentsLoadingStatus(message) {
+        const status = document.getElementById('commentsLoadingStatus');
+        const text = document.getElementById('commentsLoadingText');
+        if (!status || !text) return;
+
+        if (message && !this.dataManager.commentsLoaded) {
+            text.textContent = message;
+            status.style.display = 'inline-block';
+        } else {
+            status.style.display = 'none';
+        }
+    }
+
     /**
      * UI helper methods for mode selection
      */
@@ -703,6 +810,27 @@ class ArchiveExplorer {
                 });
             }
 
+            // Search syntax help
+            const searchHelpBtn = document.getElementById('searchHelpBtn');
+            if (searchHelpBtn) {
+                new bootstrap.Popover(searchHelpBtn, {
+                    html: true,
+                    trigger: 'focus',
+                    placement: 'bottom',
+                    customClass: 'search-help-popover',
+                    title: 'Search syntax',
+                    content: this.getSearchHelpHTML()
+                });
+            }
+
+            // Saved and recent searches, rendered each time the dropdown opens
+            const searchHistoryBtn = document.getElementById('searchHistoryBtn');
+            if (searchHistoryBtn) {
+                searchHistoryBtn.addEventListener('show.bs.dropdown', () => {
+                    this.renderSearchHistoryMenu();
+                });
+            }
+
             // Search button
             const searchBtn = document.getElementById('search-btn');
             if (searchBtn) {
@@ -799,6 +927,40 @@ class ArchiveExplorer {
                 });
             }
 
+            // Filter panel and the active filter chips
+            this.setupFilterPanel();
+
+            // One card per group of video variants
+            document.getElementById('groupVariantsBtn')?.addEventListener('click', () => this.toggleVariantGrouping());
+            document.getElementById('variantComparisonExport')?.addEventListener('click', () => this.exportVariantComparison());
+
+            // Rebuild Cache button
+            const rebuildCacheBtn = document.getElementById('rebuildCacheBtn');
+            if (rebuildCacheBtn) {
+                rebuildCacheBtn.addEventListener('click', () => {
+                    this.rebuildCache();
+                });
+            }
+
+            // Video list export
+            document.getElementById('exportVideoListBtn')?.addEventListener('click', () => this.showVideoListExport());
+            document.getElementById('videoListExportDownload')?.addEventListener('click', () => this.exportVideoList());
+
+            // Archive Health button and report actions
+            const archiveHealthBtn = document.getElementById('archiveHealthBtn');
+            if (archiveHealthBtn) {
+                archiveHealthBtn.addEventListener('click', () => {
+                    this.showArchiveHealth();
+                });
+            }
+            document.getElementById('archiveHealthRerun')?.addEventListener('click', () => this.runArchiveHealth());
+            document.getElementById('archiveHealthExportJson')?.addEventListener('click', () => this.exportArchiveHealth('json'));
+            document.getElementById('archiveHealthExportCsv')?.addEventListener('click', () => this.exportArchiveHealth('csv'));
+            document.getElementById('archiveHealthFilter')?.addEventListener('change', () => this.renderArchiveHealthIssues());
+
+            // Index files for the archive folder
+            document.getElementById('buildIndexesBtn')?.addEventListener('click', () => this.buildIndexes());
+
             // Search Transcripts button
             const searchTranscriptsBtn = document.getElementById('searchTranscriptsBtn');
             if (searchTranscriptsBtn) {
@@ -966,6 +1128,11 @@ class ArchiveExplorer {
             // List view row click handlers
             if (this.elements.videoListBody) {
                 this.elements.videoListBody.addEventListener('click', (e) => {
+                    const compareButton = e.target.closest('.variant-compare');
+                    if (compareButton) {
+                        this.showVariantComparison(compareButton.dataset.videoId);
+                        return;
+                    }
                     const videoRow = e.target.closest('tr[data-video-id]');
                     if (videoRow) {
                         const videoId = videoRow.dataset.videoId;
@@ -1043,251 +1210,831 @@ class ArchiveExplorer {
     }
 
     /**
-     * Load and display video grid
+     * Discard the local IndexedDB cache and re-read the archive folder
      */
-    async loadVideoGrid() {
+    async rebuildCache() {
         try {
-            const filters = {
-                ...this.currentFilters,
-                search: this.elements.searchInput.value
-            };
-            
-            // Remove keyword filter from filters passed to DataManager
-            const dataManagerFilters = { ...filters };
-            delete dataManagerFilters.keyword;
-            
-            // Also remove the keyword:"..." syntax from search if present
-            if (dataManagerFilters.search && dataManagerFilters.search.startsWith('keyword:"')) {
-                console.log('🔍 Clearing keyword syntax from search:', dataManagerFilters.search);
-                dataManagerFilters.search = ''; // Clear search when using keyword filter
-            }
-            
-            console.log('🔍 DataManager filters:', dataManagerFilters);
-            console.log('🔍 Current filters (with keyword):', this.currentFilters);
-            
-            // Add list view sorting to filters
-            if (this.isListView) {
-                // Map list view sort fields to DataManager format
-                const sortFieldMap = {
-                    'date': 'date',
-                    'views': 'views',
-                    'likes': 'views', // No likes field, use views as fallback
-                    'comments': 'comments',
-                    'title': 'title',
-                    'thumbnail': 'date' // No thumbnail sort, use date as fallback
-                };
-                
-                const mappedField = sortFieldMap[this.listViewSort.field] || 'date';
-                dataManagerFilters.sortBy = `${mappedField}-${this.listViewSort.direction}`;
-            }
-            
-            const result = await this.dataManager.getVideos(dataManagerFilters, this.currentPagination);
-            
-            // Apply keyword filtering if present
-            let finalVideos = result.videos;
-            if (this.currentFilters.keyword) {
-                console.log('🔍 Applying keyword filter:', this.currentFilters.keyword);
-                console.log('🔍 Total videos before filtering:', result.videos.length);
-                
-                finalVideos = result.videos.filter(video => {
-                    const keywords = this.getVideoKeywords(video.video_id);
-                    const hasKeyword = keywords && keywords.some(k => k.toLowerCase().includes(this.currentFilters.keyword.toLowerCase()));
-                    
-                    if (keywords) {
-                        console.log(`🔍 Video "${video.title}" keywords:`, keywords.slice(0, 3), `... (${keywords.length} total)`);
-                    } else {
-                        console.log(`🔍 Video "${video.title}" has no keywords`);
-                    }
-                    
-                    return hasKeyword;
-                });
-                
-                console.log('🔍 Videos after keyword filtering:', finalVideos.length);
+            this.elements.loadingScreen.style.display = 'flex';
+            this.updateLoadingProgress('Rebuilding local cache...', 0);
+
+            await this.dataManager.rebuildCache((message, progress) => {
+                this.updateLoadingProgress(message, progress);
+            });
+
+            this.currentPagination.page = 1;
+            this.healthReport = null;
+            this.renderArchiveSwitcher();
+            await this.loadVideoGrid();
+            this.updateStats();
+
+            this.hideLoadingScreen();
+            this.showSuccessToast(`Cache rebuilt: ${this.formatNumber(this.dataManager.videos.length)} videos`);
+        } catch (error) {
+            console.error('❌ Failed to rebuild cache:', error);
+            this.hideLoadingScreen();
+            this.showError('Failed to rebuild the local cache.');
+        }
+    }
+
+    /**
+     * Write fresh index files into the bgca_yt_explorer_data folder of each archive in the view
+     */
+    async buildIndexes() {
+        try {
+            this.elements.loadingScreen.style.display = 'flex';
+            this.updateLoadingProgress('Building indexes...', 0);
+
+            const results = await new IndexBuilder().run(this.dataManager, (message, progress) => {
+                this.updateLoadingProgress(message, progress);
+            });
+            this.hideLoadingScreen();
+
+            const failed = results.filter(result => result.error);
+            const built = results.filter(result => !result.error);
+            if (built.length > 0) {
+                const megabytes = built.flatMap(result => result.files).reduce((sum, file) => sum + file.bytes, 0) / 1024 / 1024;
+                this.showSuccessToast(`Wrote ${built.length * 4} index files (${megabytes.toFixed(1)} MB) to bgca_yt_explorer_data`);
             }
-            
-            // Create final result with keyword-filtered videos
-            const finalResult = {
-                ...result,
-                videos: finalVideos,
-                total: finalVideos.length
-            };
-            
-            // Render appropriate view
-            if (this.isListView) {
-                this.renderVideoList(finalResult.videos);
-                this.renderPagination(finalResult, 'list');
-            } else {
-                this.renderVideoGrid(finalResult.videos);
-                this.renderPagination(finalResult, 'grid');
+            if (failed.length > 0) {
+                this.showError(failed.map(result => `${result.label}: ${result.error}`).join('; '));
             }
-            
-            // this.updateResultCount(finalResult.total); // Removed - badge no longer exists in HTML
-            this.updateChannelStats();
-            
         } catch (error) {
-            console.error('❌ Failed to load videos:', error);
-            this.showError('Failed to load videos');
+            console.error('❌ Failed to build indexes:', error);
+            this.hideLoadingScreen();
+            this.showError('Failed to build the index files.');
         }
     }
 
     /**
-     * Render video grid
+     * Open the archive health report, running the check the first time
      */
-    renderVideoGrid(videos) {
-        const html = videos.map(video => this.createVideoCard(video)).join('');
-        this.elements.videoGrid.innerHTML = html;
-        
-        // Add click handlers
-        this.elements.videoGrid.addEventListener('click', (e) => {
-            const videoCard = e.target.closest('.video-card');
-            if (videoCard) {
-                const videoId = videoCard.dataset.videoId;
-                this.showVideoDetail(videoId);
-            }
-        });
+    showArchiveHealth() {
+        const modal = new bootstrap.Modal(document.getElementById('archiveHealthModal'));
+        modal.show();
+        if (!this.healthReport) {
+            this.runArchiveHealth();
+        }
     }
 
     /**
-     * Get reliable YouTube thumbnail with fallback logic
+     * Check the archives in the current view and show the report
      */
-    getYouTubeThumbnail(videoId) {
-        // Create img element to test thumbnail availability
-        const img = document.createElement('img');
-        
-        // Try maxresdefault first, fallback to hqdefault if it fails
-        const thumbnailUrl = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
-        
-        // Return a promise that resolves to a working thumbnail URL
-        return new Promise((resolve) => {
-            img.onload = () => {
-                // Check if it's a real thumbnail (maxresdefault has min dimensions)
-                if (img.naturalWidth > 120) {
-                    resolve(thumbnailUrl);
-                } else {
-                    // Fallback to hqdefault
-                    resolve(`https://img.youtube.com/vi/${videoId}/hqdefault.jpg`);
-                }
-            };
-            
-            img.onerror = () => {
-                // Fallback to hqdefault
-                resolve(`https://img.youtube.com/vi/${videoId}/hqdefault.jpg`);
-            };
-            
-            img.src = thumbnailUrl;
-        });
+    async runArchiveHealth() {
+        const loading = document.getElementById('archiveHealthLoading');
+        const content = document.getElementById('archiveHealthContent');
+        const progressText = document.getElementById('archiveHealthProgress');
+        const exportButtons = ['archiveHealthExportJson', 'archiveHealthExportCsv'].map(id => document.getElementById(id));
+
+        loading.style.display = 'block';
+        content.style.display = 'none';
+        exportButtons.forEach(button => { button.disabled = true; });
+
+        try {
+            const checker = new ArchiveHealthCheck(this.modeManager.directoryManager);
+            this.healthReport = await checker.run(this.dataManager, (message, progress) => {
+                progressText.textContent = `${message} (${progress}%)`;
+            });
+            this.healthReport.rows = checker.toRows(this.healthReport);
+            this.healthReport.issueTypes = checker.issueTypes;
+
+            this.renderArchiveHealth();
+            loading.style.display = 'none';
+            content.style.display = 'block';
+            exportButtons.forEach(button => { button.disabled = false; });
+        } catch (error) {
+            console.error('❌ Archive health check failed:', error);
+            loading.style.display = 'none';
+            this.showError('Failed to check archive health.');
+        }
     }
 
     /**
-     * Create video card HTML with reliable thumbnails
+     * Render the summary cards, notes and issue type filter of the health report
      */
-    createVideoCard(video) {
-        const dateObj = new Date(video.published_at);
-        const date = (video.published_at && !isNaN(dateObj.getTime())) 
-            ? dateObj.toLocaleDateString() 
-            : 'Date unavailable';
-        const views = this.formatNumber(video.view_count);
-        const comments = this.formatNumber(video.comment_count);
-        
-        // Use data attributes to handle thumbnail loading
-        const cardId = `video-card-${video.video_id}`;
-        
-        const cardHtml = `
-            <div class="col-md-6 col-lg-4 col-xl-3">
-                <div class="card video-card" data-video-id="${video.video_id}" id="${cardId}">
-                    <div class="video-thumbnail">
-                        <img class="card-img-top thumbnail-img" alt="${video.title}" loading="lazy" 
-                             data-video-id="${video.video_id}"
-                             src="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIwIiBoZWlnaHQ9IjE4MCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjhmOWZhIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzZjNzU3ZCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkxvYWRpbmcuLi48L3RleHQ+PC9zdmc+"
-                             style="min-height: 180px; background-color: #f8f9fa;">
-                    </div>
-                    <div class="video-card-body card-body">
-                        <h6 class="video-title">${this.escapeHTML(video.title)}</h6>
-                        <div class="video-stats">
-                            <small class="text-muted">${views} views • ${comments} comments</small>
-                        </div>
-                        <div class="video-date">
-                            <small class="text-muted">${date}</small>
-                        </div>
-                    </div>
+    renderArchiveHealth() {
+        const report = this.healthReport;
+        const severityColors = { error: 'danger', warning: 'warning', info: 'secondary' };
+
+        document.getElementById('archiveHealthSummary').innerHTML = Object.entries(report.issueTypes).map(([type, info]) => `
+            <div class="col-6 col-md-4 col-lg-2">
+                <div class="analytics-card text-center">
+                    <div class="analytics-number text-${report.summary[type] ? severityColors[info.severity] : 'success'}">${this.formatNumber(report.summary[type])}</div>
+                    <div class="analytics-label">${info.label}</div>
                 </div>
             </div>
-        `;
-        
-        // Load thumbnail asynchronously after DOM insertion
-        setTimeout(() => this.loadVideoThumbnail(video.video_id), 0);
-        
-        return cardHtml;
+        `).join('');
+
+        const scanned = report.archives.map(archive =>
+            `${this.escapeHTML(archive.label)}: ${this.formatNumber(archive.stats.metadata_videos)} videos in metadata, ` +
+            `${this.formatNumber(archive.stats.media_files)} media files, ${this.formatNumber(archive.stats.comment_files)} comment files`
+        );
+        document.getElementById('archiveHealthNotes').innerHTML = [...scanned, ...report.notes.map(note => this.escapeHTML(note))]
+            .map(line => `<div class="small text-muted mb-1"><i class="bi bi-info-circle"></i> ${line}</div>`)
+            .join('');
+
+        const filter = document.getElementById('archiveHealthFilter');
+        filter.innerHTML = `<option value="">All issues (${this.formatNumber(report.issues.length)})</option>` +
+            Object.entries(report.issueTypes)
+                .filter(([type]) => report.summary[type] > 0)
+                .map(([type, info]) => `<option value="${type}">${info.label} (${this.formatNumber(report.summary[type])})</option>`)
+                .join('');
+
+        this.renderArchiveHealthIssues();
     }
 
     /**
-     * Load thumbnail for a specific video with fallback logic
+     * Render the health issues matching the selected type. Long lists are capped; exports hold every row.
      */
-    async loadVideoThumbnail(videoId) {
-        const img = document.querySelector(`[data-video-id="${videoId}"].thumbnail-img`);
-        if (!img) return;
-        
-        // List of thumbnail URLs to try in order of preference
-        const thumbnailUrls = [
-            `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`,
-            `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`,
-            `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`,
-            `https://img.youtube.com/vi/${videoId}/default.jpg`
-        ];
-        
-        for (const url of thumbnailUrls) {
-            try {
-                const success = await this.testThumbnailUrl(url);
-                if (success) {
-                    img.src = url;
-                    img.style.minHeight = 'auto';
-                    return;
-                }
-            } catch (error) {
-                continue;
-            }
+    renderArchiveHealthIssues() {
+        if (!this.healthReport) return;
+
+        const maxRows = 500;
+        const type = document.getElementById('archiveHealthFilter').value;
+        const rows = this.healthReport.rows.filter(row => !type || row.type === type);
+        const severityColors = { error: 'danger', warning: 'warning', info: 'secondary' };
+        const tbody = document.getElementById('archiveHealthIssues');
+
+        if (rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted py-4"><i class="bi bi-check-circle text-success"></i> No issues found</td></tr>';
+        } else {
+            tbody.innerHTML = rows.slice(0, maxRows).map(row => `
+                <tr>
+                    <td><span class="badge bg-${severityColors[row.severity]}">${row.severity}</span></td>
+                    <td>${this.escapeHTML(row.label)}</td>
+                    <td>${this.escapeHTML(row.archive)}</td>
+                    <td><code>${this.escapeHTML(row.video_id)}</code></td>
+                    <td>
+                        ${this.escapeHTML(row.message)}
+                        ${row.path ? `<div class="small text-muted text-break">${this.escapeHTML(row.path)}</div>` : ''}
+                    </td>
+                </tr>
+            `).join('');
         }
-        
-        // If all fail, show a placeholder
-        img.src = "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIwIiBoZWlnaHQ9IjE4MCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZTllY2VmIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzZjNzU3ZCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPk5vIFRodW1ibmFpbDwvdGV4dD48L3N2Zz4=";
-        img.style.minHeight = '180px';
+
+        document.getElementById('archiveHealthCount').textContent = rows.length > maxRows
+            ? `Showing ${maxRows} of ${this.formatNumber(rows.length)}; export for the full list`
+            : '';
     }
 
     /**
-     * Test if a thumbnail URL is valid and available
+     * Download the health report as JSON or CSV
      */
-    testThumbnailUrl(url) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            
-            img.onload = () => {
-                // Check if it's a valid thumbnail (not a placeholder)
-                // YouTube placeholder images are typically 120x90
-                if (img.naturalWidth > 120 && img.naturalHeight > 90) {
-                    resolve(true);
-                } else {
-                    resolve(false);
-                }
-            };
-            
-            img.onerror = () => resolve(false);
-            
-            // Set a timeout to avoid hanging
-            setTimeout(() => resolve(false), 3000);
-            
-            img.src = url;
-        });
+    exportArchiveHealth(format) {
+        if (!this.healthReport) return;
+
+        const { rows, issueTypes, ...report } = this.healthReport;
+        const stamp = report.generated_at.slice(0, 10);
+        if (format === 'csv') {
+            this.exportService.downloadCSV(rows, [
+                'severity', 'type', 'label', 'archive', 'video_id', 'path', 'message', 'expected', 'found'
+            ], `archive-health-${stamp}.csv`);
+        } else {
+            this.exportService.downloadJSON(report, `archive-health-${stamp}.json`);
+        }
+        this.showSuccessToast(`Exported ${this.formatNumber(rows.length)} issues as ${format.toUpperCase()}`);
     }
 
     /**
-     * Show video detail view
+     * Columns offered by the video list export; value() gives a video's cell
      */
-    async showVideoDetail(videoId) {
-        try {
-            const video = this.dataManager.getVideo(videoId);
-            if (!video) {
-                this.showError('Video not found');
-                return;
+    getVideoExportColumns() {
+        const toDate = (value) => {
+            const date = value ? new Date(value) : null;
+            return date && !isNaN(date) ? date.toISOString().slice(0, 10) : '';
+        };
+
+        return [
+            { key: 'title', label: 'Title', value: video => video.title || '' },
+            { key: 'video_id', label: 'Video ID', value: video => video.video_id },
+            { key: 'published_at', label: 'Published', value: video => toDate(video.published_at) },
+            { key: 'view_count', label: 'Views', value: video => parseInt(video.view_count) || 0 },
+            { key: 'like_count', label: 'Likes', value: video => parseInt(video.like_count) || 0 },
+            { key: 'comment_count', label: 'Comments', value: video => parseInt(video.comment_count) || 0 },
+            { key: 'duration', label: 'Duration (seconds)', value: video => parseInt(video.duration) || 0 },
+            { key: 'keywords', label: 'Keywords', value: video => this.getVideoKeywords(video.video_id) || [] },
+            { key: 'view_growth', label: 'View growth', value: video => video.growth?.view_count ?? '' },
+            { key: 'like_growth', label: 'Like growth', value: video => video.growth?.like_count ?? '' },
+            { key: 'comment_growth', label: 'Comment growth', value: video => video.growth?.comment_count ?? '' },
+            { key: 'growth_since', label: 'Growth since', value: video => toDate(video.growth?.since) },
+            { key: 'has_transcript', label: 'Has transcript', value: video => Boolean(video.has_transcript) },
+            { key: 'has_summary', label: 'Has summary', value: video => Boolean(video.has_summary) },
+            { key: 'has_video_file', label: 'Has video file', value: video => Boolean(video.has_video_file) }
+        ];
+    }
+
+    /**
+     * Every video matching the current search, filters and sort order, across all pages
+     */
+    async getFilteredVideoList() {
+        // Every variant is listed, even when the grid shows one card per group
+        const result = await this.dataManager.getVideos({ ...this.getVideoQueryFilters(), groupVariants: false }, {
+            page: 1,
+            limit: Math.max(1, this.dataManager.videos.length)
+        });
+        return result.videos;
+    }
+
+    /**
+     * Open the video list export dialog with the column picker
+     */
+    async showVideoListExport() {
+        const container = document.getElementById('videoListExportColumns');
+        const count = document.getElementById('videoListExportCount');
+        const selected = this.videoExportColumnKeys;
+
+        container.innerHTML = this.getVideoExportColumns().map(column => `
+            <div class="col">
+                <div class="form-check">
+                    <input class="form-check-input" type="checkbox" value="${column.key}" id="videoExportColumn_${column.key}"
+                           ${!selected || selected.includes(column.key) ? 'checked' : ''}>
+                    <label class="form-check-label" for="videoExportColumn_${column.key}">${this.escapeHTML(column.label)}</label>
+                </div>
+            </div>
+        `).join('');
+
+        count.textContent = 'Counting videos...';
+        new bootstrap.Modal(document.getElementById('videoListExportModal')).show();
+
+        try {
+            const videos = await this.getFilteredVideoList();
+            count.textContent = `${this.formatNumber(videos.length)} videos match the current search and filters, in the order shown.`;
+        } catch (error) {
+            // e.g. a malformed search query
+            console.error('❌ Could not count videos to export:', error);
+            count.textContent = 'Could not count the matching videos.';
+            this.showError(`Could not list videos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Export the current result set with the picked columns as CSV, JSON or XLSX
+     */
+    async exportVideoList() {
+        const keys = [...document.querySelectorAll('#videoListExportColumns input:checked')].map(input => input.value);
+        if (keys.length === 0) {
+            this.showError('Choose at least one column to export.');
+            return;
+        }
+        this.videoExportColumnKeys = keys;
+
+        const format = document.querySelector('input[name="videoListExportFormat"]:checked')?.value || 'csv';
+        const columns = this.getVideoExportColumns().filter(column => keys.includes(column.key));
+
+        try {
+            const videos = await this.getFilteredVideoList();
+            const rows = videos.map(video => Object.fromEntries(columns.map(column => [column.key, column.value(video)])));
+            const filename = `videos-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+            if (format === 'json') {
+                this.exportService.downloadJSON(rows, filename);
+            } else {
+                // Spreadsheets get one cell per value
+                const flatRows = rows.map(row => ({
+                    ...row,
+                    ...(row.keywords ? { keywords: row.keywords.join('; ') } : {})
+                }));
+                if (format === 'xlsx') {
+                    await this.exportService.zipLibraryReady;
+                    this.exportService.downloadXLSX(flatRows, columns, filename, 'Videos');
+                } else {
+                    this.exportService.downloadCSV(flatRows, columns, filename);
+                }
+            }
+
+            bootstrap.Modal.getInstance(document.getElementById('videoListExportModal'))?.hide();
+            this.showSuccessToast(`Exported ${this.formatNumber(videos.length)} videos as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('❌ Video list export failed:', error);
+            this.showError(`Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fill the titlebar archive switcher with the workspace's archives
+     */
+    renderArchiveSwitcher() {
+        const switcher = document.getElementById('archiveSwitcher');
+        const menu = document.getElementById('archiveSwitcherMenu');
+        if (!switcher || !menu) return;
+
+        const archives = this.dataManager.archives;
+        const canAddFolders = this.modeManager.isLocalMode() && this.modeManager.directoryManager.isSupported;
+        if (archives.length < 2 && !canAddFolders) {
+            switcher.style.display = 'none';
+            return;
+        }
+
+        const active = this.dataManager.getActiveArchive();
+        document.getElementById('archiveSwitcherLabel').textContent = active ? active.label : 'All archives';
+
+        const readyArchives = archives.filter(archive => archive.status === 'ready');
+        const totalVideos = readyArchives.reduce((sum, archive) => sum + archive.manager.videos.length, 0);
+
+        let html = '';
+        if (archives.length > 1) {
+            html += `
+                <li><a class="dropdown-item${active ? '' : ' active'}" href="#" data-archive-id="all">
+                    <i class="bi bi-collection"></i> All archives
+                    <small>${this.formatNumber(totalVideos)} videos across ${readyArchives.length} archives</small>
+                </a></li>
+                <li><hr class="dropdown-divider"></li>
+            `;
+        }
+
+        html += archives.map(archive => {
+            if (archive.status !== 'ready') {
+                return `
+                    <li><span class="dropdown-item disabled" title="${this.escapeHTML(archive.error?.message || '')}">
+                        <i class="bi bi-exclamation-triangle text-warning"></i> ${this.escapeHTML(archive.label)}
+                        <small>Failed to load</small>
+                    </span></li>
+                `;
+            }
+            return `
+                <li><a class="dropdown-item${active?.id === archive.id ? ' active' : ''}" href="#" data-archive-id="${archive.id}">
+                    <i class="bi bi-${archive.source === 'directory' ? 'folder' : 'cloud'}"></i> ${this.escapeHTML(archive.label)}
+                    <small>${this.formatNumber(archive.manager.videos.length)} videos</small>
+                </a></li>
+            `;
+        }).join('');
+
+        if (canAddFolders) {
+            html += `
+                <li><hr class="dropdown-divider"></li>
+                <li><a class="dropdown-item" href="#" data-archive-action="add">
+                    <i class="bi bi-folder-plus"></i> Add archive folder...
+                </a></li>
+            `;
+        }
+
+        menu.innerHTML = html;
+        // Assign rather than add so re-rendering the switcher doesn't stack handlers
+        menu.onclick = async (e) => {
+            const item = e.target.closest('[data-archive-id], [data-archive-action]');
+            if (!item) return;
+            e.preventDefault();
+
+            if (item.dataset.archiveAction === 'add') {
+                await this.addArchiveFolder();
+            } else {
+                await this.switchArchive(item.dataset.archiveId);
+            }
+        };
+        switcher.style.display = 'block';
+    }
+
+    /**
+     * Show one archive, or 'all' for the merged corpus
+     */
+    async switchArchive(archiveId) {
+        this.dataManager.selectArchive(archiveId);
+        this.renderArchiveSwitcher();
+
+        this.currentPagination.page = 1;
+        this.channelCommentsFiltered = null;
+        this.healthReport = null;
+        this.showVideoGrid();
+        await this.loadVideoGrid();
+        this.updateStats();
+    }
+
+    /**
+     * Pick another archive folder and add it to the workspace
+     */
+    async addArchiveFolder() {
+        try {
+            const handle = await this.modeManager.directoryManager.pickAdditionalDirectory();
+            if (!handle) return;
+
+            this.elements.loadingScreen.style.display = 'flex';
+            this.updateLoadingProgress(`Adding ${handle.name}...`, 0);
+
+            const added = await this.dataManager.addArchivesFromDirectory(handle, (message, progress) => {
+                this.updateLoadingProgress(message, progress);
+            });
+
+            this.renderArchiveSwitcher();
+            this.currentPagination.page = 1;
+            this.healthReport = null;
+            await this.loadVideoGrid();
+            this.updateStats();
+            this.hideLoadingScreen();
+
+            const failed = added.filter(archive => archive.status !== 'ready');
+            if (failed.length > 0) {
+                this.showError(`Could not load ${failed.map(archive => archive.label).join(', ')}`);
+            } else {
+                this.showSuccessToast(`Added ${added.map(archive => archive.label).join(', ')}`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to add archive folder:', error);
+            this.hideLoadingScreen();
+            this.showError('Failed to add archive folder.');
+        }
+    }
+
+    /**
+     * Badge naming the archive a video came from, shown only when several archives are loaded
+     */
+    createArchiveBadge(video) {
+        if (!video?.archive_name || !this.dataManager.isMultiArchive()) {
+            return '';
+        }
+        return `<span class="badge archive-badge" title="Archive: ${this.escapeHTML(video.archive_name)}"><i class="bi bi-collection"></i> ${this.escapeHTML(video.archive_name)}</span>`;
+    }
+
+    /**
+     * Filters for DataManager.getVideos from the search box, filter panel and list view sorting.
+     * The search box holds a SearchQuery, e.g. keyword:"leadership" views:>1000.
+     */
+    getVideoQueryFilters() {
+        const dataManagerFilters = {
+            ...this.currentFilters,
+            search: this.elements.searchInput.value,
+            groupVariants: this.groupVariants
+        };
+
+        // Add list view sorting to filters
+        if (this.isListView) {
+            // Map list view sort fields to DataManager format
+            const sortFieldMap = {
+                'date': 'date',
+                'views': 'views',
+                'likes': 'views', // No likes field, use views as fallback
+                'comments': 'comments',
+                'title': 'title',
+                'thumbnail': 'date', // No thumbnail sort, use date as fallback
+                'view_growth': 'view_growth',
+                'like_growth': 'like_growth',
+                'comment_growth': 'comment_growth'
+            };
+
+            const mappedField = sortFieldMap[this.listViewSort.field] || 'date';
+            dataManagerFilters.sortBy = `${mappedField}-${this.listViewSort.direction}`;
+        }
+
+        return dataManagerFilters;
+    }
+
+    /**
+     * Load and display video grid; returns the getVideos result, or null when it failed
+     */
+    async loadVideoGrid() {
+        try {
+            const dataManagerFilters = this.getVideoQueryFilters();
+            console.log('🔍 DataManager filters:', dataManagerFilters);
+            
+            const result = await this.dataManager.getVideos(dataManagerFilters, this.currentPagination);
+            this.showSearchQueryError(null);
+            this.showSearchSuggestion(result.suggestion);
+            
+            // Render appropriate view
+            if (this.isListView) {
+                this.renderVideoList(result.videos, result.variantGroups);
+                this.renderPagination(result, 'list');
+            } else {
+                this.renderVideoGrid(result.videos, result.variantGroups);
+                this.renderPagination(result, 'grid');
+            }
+            
+            // this.updateResultCount(result.total); // Removed - badge no longer exists in HTML
+            this.updateChannelStats();
+            return result;
+            
+        } catch (error) {
+            // A malformed search query is shown under the search box; the grid keeps the last results
+            if (error instanceof SyntaxError && error.start !== undefined) {
+                this.showSearchSuggestion(null);
+                this.showSearchQueryError(error);
+                return null;
+            }
+            console.error('❌ Failed to load videos:', error);
+            this.showError('Failed to load videos');
+            return null;
+        }
+    }
+
+    /**
+     * Render video grid
+     */
+    renderVideoGrid(videos, variantGroups = null) {
+        this.shownVariantGroups = variantGroups;
+        const html = videos.map(video => this.createVideoCard(video, variantGroups?.get(video.video_id))).join('');
+        this.elements.videoGrid.innerHTML = html;
+        
+        // Add click handlers
+        this.elements.videoGrid.onclick = (e) => {
+            const compareButton = e.target.closest('.variant-compare');
+            if (compareButton) {
+                this.showVariantComparison(compareButton.dataset.videoId);
+                return;
+            }
+            if (e.target.closest('.video-variants')) return;
+
+            const videoCard = e.target.closest('.video-card');
+            if (videoCard) {
+                const videoId = videoCard.dataset.videoId;
+                this.showVideoDetail(videoId);
+            }
+        };
+
+        // Picking a variant shows it on the group's card
+        this.elements.videoGrid.onchange = (e) => {
+            const picker = e.target.closest('.variant-picker');
+            const group = picker && this.shownVariantGroups?.get(picker.value);
+            const variant = group?.videos.find(video => video.video_id === picker.value);
+            if (variant) {
+                picker.closest('.video-card').parentElement.outerHTML = this.createVideoCard(variant, group);
+            }
+        };
+    }
+
+    /**
+     * Get reliable YouTube thumbnail with fallback logic
+     */
+    getYouTubeThumbnail(videoId) {
+        // Create img element to test thumbnail availability
+        const img = document.createElement('img');
+        
+        // Try maxresdefault first, fallback to hqdefault if it fails
+        const thumbnailUrl = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
+        
+        // Return a promise that resolves to a working thumbnail URL
+        return new Promise((resolve) => {
+            img.onload = () => {
+                // Check if it's a real thumbnail (maxresdefault has min dimensions)
+                if (img.naturalWidth > 120) {
+                    resolve(thumbnailUrl);
+                } else {
+                    // Fallback to hqdefault
+                    resolve(`https://img.youtube.com/vi/${videoId}/hqdefault.jpg`);
+                }
+            };
+            
+            img.onerror = () => {
+                // Fallback to hqdefault
+                resolve(`https://img.youtube.com/vi/${videoId}/hqdefault.jpg`);
+            };
+            
+            img.src = thumbnailUrl;
+        });
+    }
+
+    /**
+     * Create video card HTML with reliable thumbnails
+     */
+    createVideoCard(video, variantGroup = null) {
+        const dateObj = new Date(video.published_at);
+        const date = (video.published_at && !isNaN(dateObj.getTime())) 
+            ? dateObj.toLocaleDateString() 
+            : 'Date unavailable';
+        const views = this.formatNumber(video.view_count);
+        const comments = this.formatNumber(video.comment_count);
+        
+        // Use data attributes to handle thumbnail loading
+        const cardId = `video-card-${video.video_id}`;
+        
+        const cardHtml = `
+            <div class="col-md-6 col-lg-4 col-xl-3">
+                <div class="card video-card" data-video-id="${video.video_id}" id="${cardId}">
+                    <div class="video-thumbnail">
+                        <img class="card-img-top thumbnail-img" alt="${video.title}" loading="lazy" 
+                             data-video-id="${video.video_id}"
+                             src="data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIwIiBoZWlnaHQ9IjE4MCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjhmOWZhIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzZjNzU3ZCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkxvYWRpbmcuLi48L3RleHQ+PC9zdmc+"
+                             style="min-height: 180px; background-color: #f8f9fa;">
+                    </div>
+                    <div class="video-card-body card-body">
+                        <h6 class="video-title">${this.escapeHTML(video.title)}</h6>
+                        ${this.createArchiveBadge(video)}
+                        <div class="video-stats">
+                            <small class="text-muted">${views} views • ${comments} comments</small>
+                        </div>
+                        <div class="video-date">
+                            <small class="text-muted">${date}</small>
+                        </div>
+                        ${variantGroup ? this.createVariantPicker(video, variantGroup) : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        // Load thumbnail asynchronously after DOM insertion
+        setTimeout(() => this.loadVideoThumbnail(video.video_id), 0);
+        
+        return cardHtml;
+    }
+
+    /**
+     * Variant picker for a group's card, with a button opening the comparison table
+     */
+    createVariantPicker(video, group) {
+        return `
+            <div class="video-variants">
+                <select class="form-select form-select-sm variant-picker" aria-label="Variant">
+                    ${group.videos.map(variant => `
+                        <option value="${variant.video_id}" ${variant.video_id === video.video_id ? 'selected' : ''}>
+                            ${this.escapeHTML(this.getVariantLabel(variant))} · ${this.formatNumber(variant.view_count)} views
+                        </option>
+                    `).join('')}
+                </select>
+                <button type="button" class="btn btn-sm btn-outline-secondary variant-compare" data-video-id="${video.video_id}"
+                        title="Compare the ${group.videos.length} variants">
+                    <i class="bi bi-layers"></i> ${group.videos.length}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Short name of a variant: its title marker such as "0:15", else its length, else its ID
+     */
+    getVariantLabel(video) {
+        const marker = VariantGrouper.markerOf(video.title);
+        if (marker) return marker;
+        const duration = parseInt(video.duration);
+        return duration > 0 ? this.videoPlayer.formatTime(duration) : video.video_id;
+    }
+
+    /**
+     * Show or hide variants of the same video as one card per group
+     */
+    toggleVariantGrouping() {
+        this.groupVariants = !this.groupVariants;
+        const button = document.getElementById('groupVariantsBtn');
+        if (button) {
+            button.classList.toggle('active', this.groupVariants);
+            button.setAttribute('aria-pressed', String(this.groupVariants));
+        }
+        this.currentPagination.page = 1;
+        return this.loadVideoGrid();
+    }
+
+    /**
+     * Views, likes and comments of every variant in a video's group, with their share and rates
+     */
+    getVariantComparisonRows(group) {
+        const totalViews = group.videos.reduce((sum, video) => sum + (parseInt(video.view_count) || 0), 0);
+        const perThousand = (count, views) => views > 0 ? Math.round((count / views) * 10000) / 10 : 0;
+
+        return group.videos.map(video => {
+            const views = parseInt(video.view_count) || 0;
+            const likes = parseInt(video.like_count) || 0;
+            const comments = parseInt(video.comment_count) || 0;
+            return {
+                video,
+                variant: this.getVariantLabel(video),
+                title: video.title || '',
+                video_id: video.video_id,
+                published_at: video.published_at && !isNaN(new Date(video.published_at)) ? new Date(video.published_at).toISOString().slice(0, 10) : '',
+                duration: parseInt(video.duration) || 0,
+                view_count: views,
+                like_count: likes,
+                comment_count: comments,
+                view_share: totalViews > 0 ? Math.round((views / totalViews) * 1000) / 10 : 0,
+                likes_per_1k: perThousand(likes, views),
+                comments_per_1k: perThousand(comments, views)
+            };
+        });
+    }
+
+    /**
+     * Open the comparison table of the variants grouped with a video
+     */
+    showVariantComparison(videoId) {
+        const group = this.shownVariantGroups?.get(videoId) || this.dataManager.getVariantGroups().get(videoId);
+        if (!group) return;
+        this.comparedVariantGroup = group;
+
+        const rows = this.getVariantComparisonRows(group);
+        const total = (key) => rows.reduce((sum, row) => sum + row[key], 0);
+        document.getElementById('variantComparisonTitle').textContent = group.videos[0].title;
+        document.getElementById('variantComparisonBody').innerHTML = rows.map(row => `
+            <tr data-video-id="${row.video_id}">
+                <td><span class="badge bg-light text-dark border">${this.escapeHTML(row.variant)}</span></td>
+                <td class="variant-comparison-title">${this.escapeHTML(row.title)}</td>
+                <td>${this.formatDate(row.video.published_at)}</td>
+                <td>${row.duration ? this.videoPlayer.formatTime(row.duration) : '—'}</td>
+                <td class="text-end">${row.view_count.toLocaleString()}</td>
+                <td class="text-end">${row.like_count.toLocaleString()}</td>
+                <td class="text-end">${row.comment_count.toLocaleString()}</td>
+                <td class="text-end">${row.view_share}%</td>
+                <td class="text-end">${row.likes_per_1k}</td>
+                <td class="text-end">${row.comments_per_1k}</td>
+            </tr>
+        `).join('');
+        document.getElementById('variantComparisonTotals').innerHTML = `
+            <tr>
+                <th colspan="4">All ${rows.length} variants</th>
+                <th class="text-end">${total('view_count').toLocaleString()}</th>
+                <th class="text-end">${total('like_count').toLocaleString()}</th>
+                <th class="text-end">${total('comment_count').toLocaleString()}</th>
+                <th colspan="3"></th>
+            </tr>
+        `;
+
+        const modalElement = document.getElementById('variantComparisonModal');
+        document.getElementById('variantComparisonBody').onclick = (e) => {
+            const row = e.target.closest('tr[data-video-id]');
+            if (!row) return;
+            bootstrap.Modal.getInstance(modalElement)?.hide();
+            this.showVideoDetail(row.dataset.videoId);
+        };
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+    }
+
+    /**
+     * Download the variant comparison shown as CSV
+     */
+    exportVariantComparison() {
+        const group = this.comparedVariantGroup;
+        if (!group) return;
+
+        const columns = [
+            { key: 'variant', label: 'Variant' },
+            { key: 'title', label: 'Title' },
+            { key: 'video_id', label: 'Video ID' },
+            { key: 'published_at', label: 'Published' },
+            { key: 'duration', label: 'Duration (seconds)' },
+            { key: 'view_count', label: 'Views' },
+            { key: 'like_count', label: 'Likes' },
+            { key: 'comment_count', label: 'Comments' },
+            { key: 'view_share', label: 'Share of views (%)' },
+            { key: 'likes_per_1k', label: 'Likes per 1K views' },
+            { key: 'comments_per_1k', label: 'Comments per 1K views' }
+        ];
+        const filename = `${this.exportService.sanitizeFilename(group.videos[0].title)}_variants.csv`;
+        this.exportService.downloadCSV(this.getVariantComparisonRows(group), columns, filename);
+        this.showSuccessToast(`Exported ${group.videos.length} variants`);
+    }
+
+    /**
+     * Load thumbnail for a specific video with fallback logic
+     */
+    async loadVideoThumbnail(videoId) {
+        const img = document.querySelector(`[data-video-id="${videoId}"].thumbnail-img`);
+        if (!img) return;
+        
+        // List of thumbnail URLs to try in order of preference
+        const thumbnailUrls = [
+            `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`,
+            `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`,
+            `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`,
+            `https://img.youtube.com/vi/${videoId}/default.jpg`
+        ];
+        
+        for (const url of thumbnailUrls) {
+            try {
+                const success = await this.testThumbnailUrl(url);
+                if (success) {
+                    img.src = url;
+                    img.style.minHeight = 'auto';
+                    return;
+                }
+            } catch (error) {
+                continue;
+            }
+        }
+        
+        // If all fail, show a placeholder
+        img.src = "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIwIiBoZWlnaHQ9IjE4MCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZTllY2VmIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzZjNzU3ZCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPk5vIFRodW1ibmFpbDwvdGV4dD48L3N2Zz4=";
+        img.style.minHeight = '180px';
+    }
+
+    /**
+     * Test if a thumbnail URL is valid and available
+     */
+    testThumbnailUrl(url) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            
+            img.onload = () => {
+                // Check if it's a valid thumbnail (not a placeholder)
+                // YouTube placeholder images are typically 120x90
+                if (img.naturalWidth > 120 && img.naturalHeight > 90) {
+                    resolve(true);
+                } else {
+                    resolve(false);
+                }
+            };
+            
+            img.onerror = () => resolve(false);
+            
+            // Set a timeout to avoid hanging
+            setTimeout(() => resolve(false), 3000);
+            
+            img.src = url;
+        });
+    }
+
+    /**
+     * Show video detail view
+     */
+    async showVideoDetail(videoId) {
+        try {
+            const video = this.dataManager.getVideo(videoId);
+            if (!video) {
+                this.showError('Video not found');
+                return;
             }
 
             this.currentVideo = video;
@@ -1308,6 +2055,10 @@ class ArchiveExplorer {
             if (channelStats) {
                 channelStats.style.display = 'none';
             }
+            const filterChips = document.getElementById('activeFilterChips');
+            if (filterChips) {
+                filterChips.hidden = true;
+            }
             
             // Update breadcrumb
             this.updateBreadcrumb(['Videos', video.title]);
@@ -1356,6 +2107,7 @@ class ArchiveExplorer {
         if (channelStats) {
             channelStats.style.display = 'block';
         }
+        this.renderFilterChips();
         
         this.updateBreadcrumb(['Videos']);
         
@@ -1389,7 +2141,7 @@ class ArchiveExplorer {
         }
         
         // Reload data for current view
-        this.loadVideoGrid();
+        return this.loadVideoGrid();
     }
 
 
@@ -1409,15 +2161,18 @@ class ArchiveExplorer {
     /**
      * Render video list view
      */
-    renderVideoList(videos) {
-        const html = videos.map(video => this.createVideoListRow(video)).join('');
+    renderVideoList(videos, variantGroups = null) {
+        this.shownVariantGroups = variantGroups;
+        const html = videos.map(video => this.createVideoListRow(video, variantGroups?.get(video.video_id))).join('');
         this.elements.videoListBody.innerHTML = html;
+        // Growth columns only mean something once the archive has metadata snapshots
+        this.elements.videoListView.classList.toggle('has-growth', this.dataManager.videos.some(video => video.growth));
     }
 
     /**
      * Create video list row
      */
-    createVideoListRow(video) {
+    createVideoListRow(video, variantGroup = null) {
         const dateObj = new Date(video.published_at);
         const date = (video.published_at && !isNaN(dateObj.getTime())) 
             ? dateObj.toLocaleDateString() 
@@ -1438,6 +2193,12 @@ class ArchiveExplorer {
                     <div class="list-video-title" title="${this.escapeHTML(video.title)}">
                         ${this.escapeHTML(video.title)}
                     </div>
+                    ${this.createArchiveBadge(video)}
+                    ${variantGroup ? `
+                        <button type="button" class="btn btn-link btn-sm p-0 variant-compare" data-video-id="${video.video_id}">
+                            <i class="bi bi-layers"></i> ${variantGroup.videos.length} variants
+                        </button>
+                    ` : ''}
                 </td>
                 <td>
                     <div class="list-video-date">${date}</div>
@@ -1451,10 +2212,24 @@ class ArchiveExplorer {
                 <td>
                     <div class="list-video-stats">${comments}</div>
                 </td>
+                ${['view_count', 'like_count', 'comment_count'].map(key => `
+                    <td class="growth-col">
+                        <div class="list-video-stats">${video.growth ? this.formatGrowth(video.growth[key]) : '<span class="text-muted">—</span>'}</div>
+                    </td>
+                `).join('')}
             </tr>
         `;
     }
 
+    /**
+     * Signed, colored count change, e.g. +1.2K
+     */
+    formatGrowth(value) {
+        if (value > 0) return `<span class="growth-positive">+${this.formatNumber(value)}</span>`;
+        if (value < 0) return `<span class="growth-negative">−${this.formatNumber(-value)}</span>`;
+        return '<span class="text-muted">0</span>';
+    }
+
     /**
      * Update video info display
      */
@@ -1469,34 +2244,388 @@ class ArchiveExplorer {
         
         this.elements.videoDate.textContent = formattedDate;
         this.elements.videoViews.textContent = `${this.formatNumber(video.view_count)} views`;
+        const growth = document.getElementById('videoGrowth');
+        if (growth) {
+            growth.innerHTML = video.growth
+                ? `(${this.formatGrowth(video.growth.view_count)} since ${this.escapeHTML(new Date(video.growth.since).toLocaleDateString())})`
+                : '';
+        }
         this.elements.videoCommentCount.textContent = `${this.formatNumber(video.comment_count)} comments`;
         // Preserve line breaks in description
         const description = video.description || 'No description available.';
         this.elements.videoDescription.innerHTML = this.escapeHTML(description).replace(/\n/g, '<br>');
+        this.renderVideoInfoDetails(video);
         
         // Load additional content (transcript, summary, keywords)
         this.loadVideoContent(video);
     }
 
+    /**
+     * Show the yt-dlp details (chapters, tags, categories, format) merged from the video's .info.json
+     */
+    renderVideoInfoDetails(video) {
+        const container = document.getElementById('videoInfoDetails');
+        if (!container) return;
+
+        const sections = [];
+        if (video.chapters?.length) {
+            sections.push(`
+                <h6 class="mt-3">Chapters</h6>
+                <div class="video-chapters">
+                    ${video.chapters.map(chapter => `
+                        <button type="button" class="video-chapter" onclick="window.app.videoPlayer.setTime(${chapter.start_time})">
+                            <span class="video-chapter-time">${this.videoPlayer.formatTime(chapter.start_time)}</span>
+                            ${this.escapeHTML(chapter.title)}
+                        </button>
+                    `).join('')}
+                </div>
+            `);
+        }
+        if (video.tags?.length) {
+            sections.push(`
+                <h6 class="mt-3">Tags</h6>
+                <div>${video.tags.map(tag => `<span class="badge bg-light text-dark border me-1 mb-1">${this.escapeHTML(tag)}</span>`).join('')}</div>
+            `);
+        }
+
+        if (video.metrics_history?.length > 1) {
+            sections.push(this.renderMetricsHistory(video.metrics_history));
+        }
+
+        const format = [
+            video.categories?.length ? `<i class="bi bi-folder"></i> ${this.escapeHTML(video.categories.join(', '))}` : '',
+            video.resolution ? `<i class="bi bi-aspect-ratio"></i> ${this.escapeHTML(video.resolution)}` : '',
+            video.fps ? `<i class="bi bi-film"></i> ${video.fps} fps` : '',
+            video.like_count ? `<i class="bi bi-hand-thumbs-up"></i> ${this.formatNumber(video.like_count)} likes` : ''
+        ].filter(Boolean);
+        if (format.length) {
+            sections.push(`<div class="small text-muted mt-3 d-flex flex-wrap gap-3">${format.map(item => `<span>${item}</span>`).join('')}</div>`);
+        }
+
+        container.innerHTML = sections.join('');
+    }
+
+    /**
+     * Table of a video's counts at each metadata scrape, with the change since the one before
+     */
+    renderMetricsHistory(points) {
+        const rows = points.map((point, index) => {
+            const previous = points[index - 1];
+            const cell = (key) => `
+                <td class="text-end">
+                    ${this.formatNumber(point[key])}
+                    ${previous ? `<small class="ms-1">${this.formatGrowth(point[key] - previous[key])}</small>` : ''}
+                </td>
+            `;
+            return `
+                <tr>
+                    <td>${this.escapeHTML(new Date(point.scraped_at).toLocaleDateString())}</td>
+                    ${cell('view_count')}${cell('like_count')}${cell('comment_count')}
+                </tr>
+            `;
+        }).reverse().join('');
+
+        return `
+            <h6 class="mt-3">Growth between scrapes</h6>
+            <div class="table-responsive">
+                <table class="table table-sm mb-0 metrics-history-table">
+                    <thead>
+                        <tr>
+                            <th>Scraped</th>
+                            <th class="text-end">Views</th>
+                            <th class="text-end">Likes</th>
+                            <th class="text-end">Comments</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
     /**
      * Load additional video content (transcript, summary, keywords)
      */
     async loadVideoContent(video) {
-        // Load transcript directly from video object
-        this.loadTranscript(video);
+        // Load transcript directly from video object, then jump to the search match it was opened for
+        this.loadTranscript(video).then(() => this.showPendingTranscriptMoment(video));
         
         // Load summary directly from video object
         this.loadSummary(video);
         
         // Load keywords directly from video object
         this.loadKeywords(video);
+
+        this.loadRelatedVideos(video);
+    }
+
+    /**
+     * Fill the Related Videos rail: from keywords and title series right away, then again with
+     * summaries and transcripts once they are indexed, which the first time reads every transcript
+     */
+    async loadRelatedVideos(video) {
+        const list = document.getElementById('relatedVideosList');
+        const status = document.getElementById('relatedVideosStatus');
+        if (!list) return;
+
+        const keywordsOf = (entry) => this.getVideoKeywords(entry.video_id) || [];
+        this.renderRelatedVideos(this.relatedVideos.findRelated(video, this.dataManager.videos, keywordsOf));
+
+        if (status) status.textContent = 'Comparing transcripts...';
+        try {
+            // Only summaries and transcripts are compared; indexing every comment would stall the page
+            const engine = await this.dataManager.indexVideoContent(null, ['video', 'summary', 'transcript']);
+            if (this.currentVideo?.video_id !== video.video_id) return;
+            this.renderRelatedVideos(this.relatedVideos.findRelated(video, this.dataManager.videos, keywordsOf, engine));
+        } catch (error) {
+            console.warn('⚠️ Could not compare transcripts for related videos:', error);
+        } finally {
+            if (status && this.currentVideo?.video_id === video.video_id) status.textContent = '';
+        }
+    }
+
+    /**
+     * Related videos with the reasons each was picked; clicking one opens it
+     */
+    renderRelatedVideos(related) {
+        const list = document.getElementById('relatedVideosList');
+        if (related.length === 0) {
+            list.innerHTML = '<div class="text-muted">No related videos found.</div>';
+            return;
+        }
+
+        const icons = { series: 'bi-collection-play', keywords: 'bi-tags', content: 'bi-file-text' };
+        list.innerHTML = related.map(({ video, reasons }) => `
+            <a href="#" class="related-video" data-video-id="${video.video_id}">
+                <img src="${this.getVideoThumbnail(video)}" alt="Video thumbnail" class="related-video-thumbnail"
+                     onerror="this.src='https://img.youtube.com/vi/${video.video_id}/mqdefault.jpg'">
+                <div class="related-video-body">
+                    <div class="related-video-title">${this.escapeHTML(video.title)}</div>
+                    <div class="text-muted small">${this.formatDate(video.published_at)} · ${this.formatNumber(video.view_count)} views</div>
+                    ${reasons.map(reason => `
+                        <div class="related-video-reason">
+                            <i class="bi ${icons[reason.type]}"></i> ${reason.label}: ${this.escapeHTML(reason.terms.join(', '))}
+                        </div>
+                    `).join('')}
+                </div>
+            </a>
+        `).join('');
+
+        list.onclick = (event) => {
+            const item = event.target.closest('.related-video');
+            if (!item) return;
+            event.preventDefault();
+            this.showVideoDetail(item.dataset.videoId);
+        };
+    }
+
+    /**
+     * Key telling transcript variants apart: language plus uploaded/auto-generated
+     */
+    getTranscriptVariantKey(variant) {
+        return `${variant.language}:${variant.auto ? 'auto' : 'manual'}`;
+    }
+
+    /**
+     * Variant to show first: the last one picked, else the same language, else English, else the first.
+     * Variants come sorted with uploaded subtitles before auto-generated ones.
+     */
+    pickTranscriptVariant(variants) {
+        const preferred = this.transcriptLanguage || 'en:manual';
+        const language = preferred.split(':')[0];
+        const base = (code) => code.toLowerCase().split('-')[0];
+        return variants.find(variant => this.getTranscriptVariantKey(variant) === preferred) ||
+            variants.find(variant => variant.language === language) ||
+            variants.find(variant => base(variant.language) === base(language)) ||
+            variants.find(variant => base(variant.language) === 'en') ||
+            variants[0];
+    }
+
+    /**
+     * Fill the Transcript tab's language switcher; hidden unless there is a choice
+     */
+    renderTranscriptLanguages() {
+        const select = document.getElementById('transcriptLanguageSelect');
+        if (!select) return;
+
+        const variants = this.transcriptVariants || [];
+        select.innerHTML = variants.map(variant => `
+            <option value="${this.getTranscriptVariantKey(variant)}">${this.escapeHTML(variant.label)}</option>
+        `).join('');
+        select.style.display = variants.length > 1 ? 'block' : 'none';
+
+        select.onchange = () => {
+            const variant = variants.find(entry => this.getTranscriptVariantKey(entry) === select.value);
+            if (variant && this.currentVideo) {
+                this.transcriptLanguage = select.value;
+                this.showTranscriptVariant(this.currentVideo, variant);
+            }
+        };
+    }
+
+    /**
+     * Show one language variant in the Transcript tab, as timed cues when the file has timings
+     */
+    async showTranscriptVariant(video, variant) {
+        const select = document.getElementById('transcriptLanguageSelect');
+        if (select) {
+            select.value = this.getTranscriptVariantKey(variant);
+        }
+        const sourceLabel = document.getElementById('transcriptSourceLabel');
+        if (sourceLabel) {
+            sourceLabel.textContent = variant.auto ? 'Auto-generated subtitles' : 'Uploaded subtitles';
+        }
+
+        this.transcriptCues = null;
+        this.activeCueIndex = -1;
+        try {
+            const data = await this.dataManager.loadTranscriptFile(video.video_id, variant.path);
+            if (this.currentVideo?.video_id !== video.video_id) return;
+
+            if (data.cues?.length) {
+                this.renderTranscriptCues(data.cues);
+            } else {
+                this.elements.videoTranscript.innerHTML = this.escapeHTML(data.transcript || 'Transcript is empty.');
+            }
+            console.log(`✅ Showing ${variant.label} transcript for: ${video.video_id} (${variant.path})`);
+        } catch (error) {
+            console.error(`Failed to load ${variant.label} transcript:`, error);
+            this.elements.videoTranscript.innerHTML = '<div class="text-muted">Error loading transcript.</div>';
+        }
+    }
+
+    /**
+     * Render subtitle cues as a timestamped list; clicking a line seeks the video
+     */
+    renderTranscriptCues(cues) {
+        this.transcriptCues = cues;
+        this.activeCueIndex = -1;
+
+        const container = this.elements.videoTranscript;
+        container.innerHTML = `
+            <div class="transcript-cues">
+                ${cues.map((cue, index) => `
+                    <button type="button" class="transcript-cue" data-cue-index="${index}">
+                        <span class="transcript-cue-time">${this.videoPlayer.formatTime(cue.start)}</span>
+                        <span class="transcript-cue-text">${this.escapeHTML(cue.text)}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        container.onclick = (event) => {
+            const line = event.target.closest('.transcript-cue');
+            if (!line || !this.transcriptCues) return;
+            const cue = this.transcriptCues[parseInt(line.dataset.cueIndex)];
+            this.videoPlayer.setTime(cue.start);
+            this.highlightTranscriptCue(cue.start);
+        };
+    }
+
+    /**
+     * Highlight the cue playing at a time and keep it in view inside the transcript panel
+     */
+    highlightTranscriptCue(time) {
+        if (!this.transcriptCues) return;
+
+        const index = SubtitleParser.findCueIndex(this.transcriptCues, time);
+        if (index === this.activeCueIndex) return;
+
+        const container = this.elements.videoTranscript;
+        container.querySelector('.transcript-cue.active')?.classList.remove('active');
+        this.activeCueIndex = index;
+
+        const line = index >= 0 ? container.querySelector(`[data-cue-index="${index}"]`) : null;
+        if (!line) return;
+        line.classList.add('active');
+
+        // Scroll only the panel, never the page, and only when the line has left the visible area
+        const lineTop = line.offsetTop - container.offsetTop;
+        if (lineTop < container.scrollTop || lineTop + line.offsetHeight > container.scrollTop + container.clientHeight) {
+            container.scrollTop = lineTop - container.clientHeight / 3;
+        }
+    }
+
+    /**
+     * After opening a video from a search result: show the Transcript tab, seek to the matched
+     * cue and mark it, or highlight the first match in a transcript without timings
+     */
+    showPendingTranscriptMoment(video) {
+        const moment = this.pendingTranscriptMoment;
+        if (!moment || moment.videoId !== video.video_id || this.currentVideo?.video_id !== video.video_id) return;
+        this.pendingTranscriptMoment = null;
+
+        this.switchContentTab('transcript');
+        const container = this.elements.videoTranscript;
+
+        if (this.transcriptCues) {
+            // Without a time the match came from another copy of the transcript; find it in these cues
+            const index = moment.time !== null
+                ? SubtitleParser.findCueIndex(this.transcriptCues, moment.time)
+                : this.transcriptCues.findIndex(cue => this.findTermMatch(cue.text, moment.terms));
+            const cue = this.transcriptCues[index];
+            if (!cue) return;
+
+            // The cue lines may not be rendered yet
+            const line = container.querySelector(`[data-cue-index="${index}"]`);
+            if (!line) return;
+            line.classList.add('search-match');
+            line.querySelector('.transcript-cue-text').innerHTML = this.highlightTerms(cue.text, moment.terms);
+            this.videoPlayer.setTime(cue.start);
+            this.highlightTranscriptCue(cue.start);
+            return;
+        }
+
+        // Plain text: wrap the first match in the text nodes, keeping the line breaks
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const match = this.findTermMatch(node.textContent, moment.terms);
+            if (!match) continue;
+
+            const matched = node.splitText(match.index);
+            matched.splitText(this.searchTermPattern(moment.terms, 'iu').exec(matched.textContent)[2].length);
+            const highlight = document.createElement('span');
+            highlight.className = 'search-highlight';
+            matched.replaceWith(highlight);
+            highlight.append(matched);
+            container.scrollTop = highlight.offsetTop - container.offsetTop - container.clientHeight / 3;
+            return;
+        }
     }
 
     /**
      * Load video transcript
      */
     async loadTranscript(video) {
+        this.transcriptCues = null;
+        this.activeCueIndex = -1;
+        this.transcriptVariants = [];
+        this.renderTranscriptLanguages();
+        const sourceLabel = document.getElementById('transcriptSourceLabel');
+        if (sourceLabel) {
+            sourceLabel.textContent = 'Auto-generated subtitles';
+        }
+
         try {
+            // Every language variant in the archive folder, with a language switcher
+            const variants = await this.dataManager.getTranscriptVariants(video.video_id);
+            if (this.currentVideo?.video_id !== video.video_id) return;
+            if (variants.length > 0) {
+                this.transcriptVariants = variants;
+                this.renderTranscriptLanguages();
+                await this.showTranscriptVariant(video, this.pickTranscriptVariant(variants));
+                return;
+            }
+
+            // Timed subtitles give a clickable, synced transcript
+            const subtitles = await this.dataManager.loadSubtitles(video.video_id);
+            if (subtitles?.cues?.length && this.currentVideo?.video_id === video.video_id) {
+                this.renderTranscriptCues(subtitles.cues);
+                console.log(`✅ Found ${subtitles.cues.length} subtitle cues for: ${video.video_id} - ${video.title}`);
+                return;
+            }
+
             // Check if transcript is already in video object (from new metadata structure)
             if (video.transcript && video.transcript.trim()) {
                 this.elements.videoTranscript.innerHTML = this.escapeHTML(video.transcript).replace(/\n/g, '<br>');
@@ -1557,42 +2686,20 @@ class ArchiveExplorer {
      */
     async loadKeywords(video) {
         try {
-            // Start with keywords from video object (new metadata structure)
-            let keywords = [...(video.keywords || [])];
-            
-            // Try to merge with legacy keywords file for maximum coverage
+            // Load the legacy keywords file once for maximum coverage; DataManager merges it in
             try {
-                if (!this.legacyKeywordsCache) {
+                if (!this.dataManager.legacyKeywords) {
                     const response = await fetch('../bgca_yt_archive/bgca_yt_keywords.json');
                     if (response.ok) {
-                        this.legacyKeywordsCache = await response.json();
-                    }
-                }
-                
-                // Look for keywords using various possible keys
-                if (this.legacyKeywordsCache) {
-                    const possibleKeys = [
-                        video.video_id,
-                        `${video.title}_${video.video_id}_en_auto_ytdlp`,
-                        Object.keys(this.legacyKeywordsCache).find(key => key.includes(video.video_id))
-                    ].filter(Boolean);
-                    
-                    for (const key of possibleKeys) {
-                        const legacyKeywords = this.legacyKeywordsCache[key];
-                        if (legacyKeywords && Array.isArray(legacyKeywords)) {
-                            // Merge keywords, avoiding duplicates
-                            const lowerKeywords = keywords.map(k => k.toLowerCase());
-                            const newKeywords = legacyKeywords.filter(k => 
-                                !lowerKeywords.includes(k.toLowerCase())
-                            );
-                            keywords = [...keywords, ...newKeywords];
-                            break;
-                        }
+                        this.dataManager.legacyKeywords = await response.json();
                     }
                 }
             } catch (legacyError) {
                 console.warn('Could not load legacy keywords:', legacyError);
             }
+
+            // Keywords from the video object (new metadata structure) plus the legacy ones
+            const keywords = this.dataManager.getVideoKeywords(video);
             
             if (keywords.length > 0) {
                 const keywordTags = keywords.map(keyword => 
@@ -1649,109 +2756,41 @@ class ArchiveExplorer {
             return;
         }
         
-        const html = comments.map(comment => this.createCommentCard(comment)).join('');
-        this.elements.commentsList.innerHTML = html;
-        
-        // Event handlers are set up once in setupEventListeners() using event delegation
-        // No need to add them here repeatedly
+        this.commentList.searchTerm = this.elements.commentSearch.value;
+        this.commentList.render(comments);
     }
 
     /**
-     * Create comment card HTML
+     * Show the whole conversation a comment belongs to in the comments list
      */
-    createCommentCard(comment) {
-        const avatarColor = this.exportService.generateAvatarColor(comment.author);
-        const firstLetter = comment.author[1]?.toUpperCase() || comment.author[0]?.toUpperCase() || 'U';
-        const dateObj = new Date(comment.published_at);
-        const date = (comment.published_at && !isNaN(dateObj.getTime())) 
-            ? dateObj.toLocaleDateString() 
-            : 'Date unavailable';
-        const likes = this.formatNumber(comment.like_count);
-        const heartIcon = comment.channel_owner_liked ? '❤️' : '';
-        
-        let html = `
-            <div class="comment-card">
-                <div class="comment-header">
-                    <div class="d-flex align-items-center">
-                        <div class="avatar me-3" style="background-color: ${avatarColor}; width: 32px; height: 32px; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-weight: 500;">
-                            ${firstLetter}
-                        </div>
-                        <div>
-                            <div class="comment-author">${this.escapeHTML(comment.author)}</div>
-                            <div class="comment-date">${date}</div>
-                        </div>
-                    </div>
-                    <div class="dropdown">
-                        <button class="btn btn-outline-primary btn-sm dropdown-toggle export-dropdown" type="button" data-bs-toggle="dropdown" aria-expanded="false" data-comment-id="${comment.comment_id}">
-                            <i class="bi bi-download"></i>
-                        </button>
-                        <ul class="dropdown-menu">
-                            <li><a class="dropdown-item export-btn" href="#" data-comment-id="${comment.comment_id}" data-format="comment">
-                                <i class="bi bi-chat-text"></i> Comment Only
-                            </a></li>
-                            <li><a class="dropdown-item export-btn" href="#" data-comment-id="${comment.comment_id}" data-format="thumbnail">
-                                <i class="bi bi-image"></i> iPhone Screenshot
-                            </a></li>
-                        </ul>
-                    </div>
-                </div>
-                <div class="comment-text">${this.escapeHTML(comment.text)}</div>
-                <div class="comment-actions">
-                    <div class="comment-likes">
-                        <i class="bi bi-hand-thumbs-up"></i> ${likes}
-                        ${heartIcon ? `<span class="channel-owner-liked ms-2">${heartIcon}</span>` : ''}
-                    </div>
-                </div>
-            </div>
-        `;
-        
-        // Add replies if any
-        if (comment.replies && comment.replies.length > 0) {
-            const repliesHtml = comment.replies.map(reply => `
-                <div class="reply-card comment-card">
-                    <div class="comment-header">
-                        <div class="d-flex align-items-center">
-                            <div class="avatar me-3" style="background-color: ${this.exportService.generateAvatarColor(reply.author)}; width: 28px; height: 28px; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-weight: 500; font-size: 0.8rem;">
-                                ${reply.author[1]?.toUpperCase() || reply.author[0]?.toUpperCase() || 'U'}
-                            </div>
-                            <div>
-                                <div class="comment-author">${this.escapeHTML(reply.author)}</div>
-                                <div class="comment-date">${(() => {
-                                    const replyDateObj = new Date(reply.published_at);
-                                    return (reply.published_at && !isNaN(replyDateObj.getTime())) 
-                                        ? replyDateObj.toLocaleDateString() 
-                                        : 'Date unavailable';
-                                })()}</div>
-                            </div>
-                        </div>
-                        <div class="dropdown">
-                            <button class="btn btn-outline-primary btn-sm dropdown-toggle export-dropdown" type="button" data-bs-toggle="dropdown" aria-expanded="false" data-comment-id="${reply.comment_id}">
-                                <i class="bi bi-download"></i>
-                            </button>
-                            <ul class="dropdown-menu">
-                                <li><a class="dropdown-item export-btn" href="#" data-comment-id="${reply.comment_id}" data-format="comment">
-                                    <i class="bi bi-chat-text"></i> Comment Only
-                                </a></li>
-                                <li><a class="dropdown-item export-btn" href="#" data-comment-id="${reply.comment_id}" data-format="thumbnail">
-                                    <i class="bi bi-image"></i> iPhone Screenshot
-                                </a></li>
-                            </ul>
-                        </div>
-                    </div>
-                    <div class="comment-text">${this.escapeHTML(reply.text)}</div>
-                    <div class="comment-actions">
-                        <div class="comment-likes">
-                            <i class="bi bi-hand-thumbs-up"></i> ${this.formatNumber(reply.like_count)}
-                            ${reply.channel_owner_liked ? `<span class="channel-owner-liked ms-2">❤️</span>` : ''}
-                        </div>
-                    </div>
-                </div>
-            `).join('');
-            
-            html += repliesHtml;
+    async showCommentConversation(videoId, commentId) {
+        try {
+            const thread = await this.dataManager.getCommentThread(videoId, commentId);
+            if (!thread) {
+                this.showError('Conversation not found');
+                return;
+            }
+
+            this.commentList.renderConversation(thread, commentId);
+        } catch (error) {
+            console.error('❌ Failed to load conversation:', error);
+            this.showError('Failed to load conversation');
         }
-        
-        return html;
+    }
+
+    /**
+     * Open a reply's conversation from the channel comments modal
+     */
+    showConversationFromComment(videoId, commentId) {
+        const modal = bootstrap.Modal.getInstance(document.getElementById('commentAnalyticsModal'));
+        if (modal) {
+            modal.hide();
+        }
+
+        setTimeout(async () => {
+            await this.showVideoDetail(videoId);
+            await this.showCommentConversation(videoId, commentId);
+        }, 300);
     }
 
     /**
@@ -1867,6 +2906,72 @@ class ArchiveExplorer {
         }
     }
 
+    /**
+     * Comment search and sort from the comment panel, applied to comment data exports
+     */
+    getCommentExportFilters() {
+        return {
+            search: this.elements.commentSearch?.value || '',
+            sortBy: this.elements.commentSort?.value || 'likes-desc'
+        };
+    }
+
+    /**
+     * Export the current video's comments as CSV, JSON or NDJSON
+     */
+    async exportVideoCommentData(format) {
+        if (!this.currentVideo) return;
+
+        try {
+            this.showExportProgress('single');
+            const video = this.currentVideo;
+            const count = await this.exportService.exportCommentData(
+                [video],
+                this.dataManager,
+                this.getCommentExportFilters(),
+                format,
+                (progress) => this.updateExportProgress(progress, 'single'),
+                `${this.exportService.sanitizeFilename(video.title || video.video_id)}_comments.${format}`
+            );
+
+            this.hideExportProgress();
+            this.showSuccessToast(`Exported ${this.formatNumber(count)} comments as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('❌ Comment data export failed:', error);
+            this.hideExportProgress();
+            if (!/cancelled/i.test(error.message)) {
+                this.showError(`Failed to export comments: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Export the comments of every video in the current archive view as CSV, JSON or NDJSON
+     */
+    async exportAllCommentData(format) {
+        try {
+            this.showExportProgress('all');
+            const { videos } = await this.dataManager.getVideos({}, { page: 1, limit: Math.max(1, this.dataManager.videos.length) });
+            const count = await this.exportService.exportCommentData(
+                videos,
+                this.dataManager,
+                this.getCommentExportFilters(),
+                format,
+                (progress) => this.updateExportProgress(progress, 'all'),
+                `all_comments_${new Date().toISOString().slice(0, 10)}.${format}`
+            );
+
+            this.hideExportProgress();
+            this.showSuccessToast(`Exported ${this.formatNumber(count)} comments as ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error('❌ Comment data export failed:', error);
+            this.hideExportProgress();
+            if (!/cancelled/i.test(error.message)) {
+                this.showError(`Failed to export comments: ${error.message}`);
+            }
+        }
+    }
+
     /**
      * Show export progress
      */
@@ -1964,14 +3069,301 @@ class ArchiveExplorer {
             this.showVideoGrid();
         }
         
-        // Check if search input contains keyword filter, if not clear the keyword filter
-        const searchValue = this.elements.searchInput.value || '';
-        if (!searchValue.includes('keyword:"') && this.currentFilters.keyword) {
-            delete this.currentFilters.keyword;
+        this.currentPagination.page = 1;
+        const result = await this.loadVideoGrid();
+        if (result) {
+            this.getSearchHistory().addRecent(this.getCurrentVideoSearch());
         }
-        
+    }
+
+    /**
+     * Show a search query mistake under the search box, marking where it is, or clear it with null
+     */
+    showSearchQueryError(error) {
+        const errorDiv = document.getElementById('searchQueryError');
+        const input = this.elements.searchInput;
+        if (!errorDiv || !input) return;
+
+        input.classList.toggle('is-invalid', Boolean(error));
+        input.setAttribute('aria-invalid', error ? 'true' : 'false');
+        errorDiv.hidden = !error;
+        if (!error) {
+            errorDiv.innerHTML = '';
+            return;
+        }
+
+        const query = input.value;
+        const end = Math.max(error.end, error.start + 1);
+        errorDiv.innerHTML = `
+            <i class="bi bi-exclamation-circle"></i> ${this.escapeHTML(error.message)}
+            <div><code>${this.escapeHTML(query.slice(0, error.start))}<mark>${this.escapeHTML(query.slice(error.start, end)) || '&nbsp;'}</mark>${this.escapeHTML(query.slice(end))}</code></div>
+        `;
+    }
+
+    /**
+     * Offer a corrected search under the search box, or hide the offer with null
+     */
+    showSearchSuggestion(suggestion) {
+        const suggestionDiv = document.getElementById('searchSuggestion');
+        if (!suggestionDiv) return;
+
+        suggestionDiv.hidden = !suggestion;
+        suggestionDiv.innerHTML = suggestion ? `Did you mean <a href="#">${this.escapeHTML(suggestion)}</a>?` : '';
+        suggestionDiv.querySelector('a')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.elements.searchInput.value = suggestion;
+            this.handleSearch();
+        });
+    }
+
+    /**
+     * Content of the search syntax help popover
+     */
+    getSearchHelpHTML() {
+        const examples = [
+            ['youth leaders', 'Videos with both words in the title, description or keywords'],
+            ['mentoring, youht', 'Also finds other forms (mentor, mentorship) and close spellings (youth)'],
+            ['"youth of the year"', 'The exact phrase'],
+            ['mentor OR coach', 'Either word'],
+            ['gala NOT 2019, gala -2019', 'Leave out matches'],
+            ['(teen OR youth) AND summit', 'Group with parentheses'],
+            ['title: desc: keyword:', 'Search one field, e.g. keyword:"leadership"'],
+            ['transcript: summary: comment: author:', 'Search spoken words, summaries or comments'],
+            ['views:>10000 likes:>=100 comments:>=5', 'Compare counts; 10k and 1.5m work too'],
+            ['duration:<60 duration:1:00..5:00', 'Length in seconds or m:ss'],
+            ['published:2011..2015 published:>=2020-06', 'Years, months or days, and ranges']
+        ];
+        return `<dl class="mb-0">${examples.map(([syntax, description]) =>
+            `<dt>${this.escapeHTML(syntax)}</dt><dd>${this.escapeHTML(description)}</dd>`
+        ).join('')}</dl>`;
+    }
+
+    /**
+     * Recent and saved searches of the archive view being shown
+     */
+    getSearchHistory() {
+        return new SearchHistory(this.dataManager.getViewId());
+    }
+
+    /**
+     * The header search as it stands: query, filters, sort and view mode
+     */
+    getCurrentVideoSearch() {
+        return {
+            source: 'videos',
+            query: this.elements.searchInput?.value.trim() || '',
+            filters: { ...this.currentFilters },
+            listView: this.isListView,
+            listViewSort: { ...this.listViewSort }
+        };
+    }
+
+    /**
+     * One line on what a search covers besides its query, e.g. "List view · sorted by views, descending"
+     */
+    describeSearch(search) {
+        if (search.source === 'archive') {
+            const language = search.language === 'all' ? 'all languages' : search.language;
+            return language ? `Search Archive · ${language} transcripts` : 'Search Archive';
+        }
+
+        let sort;
+        if (search.listView) {
+            const { field, direction } = search.listViewSort || this.listViewSort;
+            sort = `sorted by ${field.replace(/_/g, ' ')}, ${direction === 'asc' ? 'ascending' : 'descending'}`;
+        } else {
+            const sortBy = search.filters?.sortBy || (search.query ? 'relevance' : 'date-desc');
+            const option = this.elements.sortSelect?.querySelector(`option[value="${sortBy}"]`);
+            sort = option ? option.textContent : sortBy;
+        }
+        const filterCount = this.getFilterChips(search.filters || {}).length;
+        return `${search.listView ? 'List' : 'Grid'} view · ${sort}${filterCount ? ` · ${filterCount} filter${filterCount === 1 ? '' : 's'}` : ''}`;
+    }
+
+    /**
+     * Fill the saved and recent searches dropdown under the search box
+     */
+    renderSearchHistoryMenu() {
+        const menu = document.getElementById('searchHistoryMenu');
+        if (!menu) return;
+
+        const history = this.getSearchHistory();
+        const saved = history.getSaved();
+        const recent = history.getRecent();
+        const queryText = (search) => search.query
+            ? this.escapeHTML(search.query)
+            : '<span class="text-muted">All videos</span>';
+
+        menu.innerHTML = `
+            <h6 class="dropdown-header">Saved searches</h6>
+            ${saved.length === 0 ? '<span class="dropdown-item-text small text-muted">No saved searches yet</span>' : saved.map(search => `
+                <div class="dropdown-item search-history-item" role="button" data-saved-id="${this.escapeHTML(search.id)}">
+                    <div class="search-history-text">
+                        <div>${this.escapeHTML(search.name)}</div>
+                        <small>${queryText(search)} · ${this.escapeHTML(this.describeSearch(search))}</small>
+                    </div>
+                    <span class="badge bg-secondary" data-count-for="${this.escapeHTML(search.id)}">…</span>
+                    <button type="button" class="search-history-remove" data-remove-saved="${this.escapeHTML(search.id)}" title="Delete saved search" aria-label="Delete saved search">
+                        <i class="bi bi-x-lg"></i>
+                    </button>
+                </div>
+            `).join('')}
+            <form class="px-3 py-2 d-flex gap-2" id="saveSearchForm">
+                <input type="text" class="form-control form-control-sm" name="name" placeholder="Name the current search" aria-label="Saved search name" required>
+                <button type="submit" class="btn btn-sm btn-primary text-nowrap"><i class="bi bi-bookmark-plus"></i> Save</button>
+            </form>
+            <div class="dropdown-divider"></div>
+            <h6 class="dropdown-header d-flex justify-content-between align-items-center">
+                Recent searches
+                ${recent.length > 0 ? '<button type="button" class="btn btn-link btn-sm p-0" data-clear-recent>Clear</button>' : ''}
+            </h6>
+            ${recent.length === 0 ? '<span class="dropdown-item-text small text-muted">No recent searches</span>' : recent.map((search, index) => `
+                <div class="dropdown-item search-history-item" role="button" data-recent-index="${index}">
+                    <i class="bi bi-${search.source === 'archive' ? 'collection' : 'clock-history'}"></i>
+                    <div class="search-history-text">
+                        <div>${queryText(search)}</div>
+                        <small>${this.escapeHTML(this.describeSearch(search))}</small>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+
+        // Assign rather than add so re-rendering the menu doesn't stack handlers
+        menu.onclick = async (e) => {
+            const remove = e.target.closest('[data-remove-saved]');
+            if (remove) {
+                history.removeSaved(remove.dataset.removeSaved);
+                this.renderSearchHistoryMenu();
+                return;
+            }
+            if (e.target.closest('[data-clear-recent]')) {
+                history.clearRecent();
+                this.renderSearchHistoryMenu();
+                return;
+            }
+
+            const item = e.target.closest('[data-saved-id], [data-recent-index]');
+            if (!item) return;
+            const search = item.dataset.savedId
+                ? saved.find(entry => entry.id === item.dataset.savedId)
+                : recent[parseInt(item.dataset.recentIndex)];
+            bootstrap.Dropdown.getInstance(document.getElementById('searchHistoryBtn'))?.hide();
+            await this.applySearch(search);
+        };
+        const saveForm = menu.querySelector('#saveSearchForm');
+        saveForm.elements.name.value = this.elements.searchInput?.value.trim() || '';
+        saveForm.onsubmit = async (e) => {
+            e.preventDefault();
+            await this.saveCurrentSearch(e.target.elements.name.value);
+        };
+
+        this.updateSavedSearchCounts(saved);
+    }
+
+    /**
+     * Show how many videos each saved search finds now, marking growth since it was last opened
+     */
+    async updateSavedSearchCounts(saved) {
+        for (const search of saved) {
+            const badge = document.querySelector(`[data-count-for="${CSS.escape(search.id)}"]`);
+            if (!badge) continue;
+
+            try {
+                const { total } = await this.dataManager.getVideos({ ...search.filters, search: search.query }, { page: 1, limit: 1 });
+                const added = search.count === null || search.count === undefined ? 0 : total - search.count;
+                badge.textContent = added > 0 ? `${this.formatNumber(total)} (+${this.formatNumber(added)})` : this.formatNumber(total);
+                badge.className = `badge ${added > 0 ? 'bg-success' : 'bg-secondary'}`;
+                badge.title = added > 0
+                    ? `${this.formatNumber(added)} more than when last opened`
+                    : `${this.formatNumber(total)} videos`;
+            } catch (error) {
+                // A query saved before the archive changed can still fail to parse
+                badge.textContent = '!';
+                badge.className = 'badge bg-warning text-dark';
+                badge.title = error.message;
+            }
+        }
+    }
+
+    /**
+     * Save the current header search under a name
+     */
+    async saveCurrentSearch(name) {
+        if (!name.trim()) return;
+
+        const search = this.getCurrentVideoSearch();
+        let count = null;
+        try {
+            count = (await this.dataManager.getVideos({ ...search.filters, search: search.query }, { page: 1, limit: 1 })).total;
+        } catch (error) {
+            this.showError(`Can't save this search: ${error.message}`);
+            return;
+        }
+
+        this.getSearchHistory().save(name, search, count);
+        this.showSuccessToast(`Saved search "${name.trim()}"`);
+        this.renderSearchHistoryMenu();
+    }
+
+    /**
+     * Run a recent or saved search again, restoring what it covered
+     */
+    async applySearch(search) {
+        const history = this.getSearchHistory();
+
+        if (search.source === 'archive') {
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('searchTranscriptsModal')).show();
+            await this.renderTranscriptSearchLanguages();
+            document.getElementById('transcriptSearchInput').value = search.query;
+            const select = document.getElementById('transcriptSearchLanguage');
+            if (select) {
+                select.value = [...select.options].some(option => option.value === search.language) ? search.language : '';
+            }
+            await this.performTranscriptSearch();
+            return;
+        }
+
+        if (this.currentView === 'video-detail') {
+            this.showVideoGrid();
+        }
+        this.elements.searchInput.value = search.query;
+        this.currentFilters = { ...search.filters };
+        this.syncFilterPanel();
+        if (this.elements.sortSelect) {
+            this.elements.sortSelect.value = search.filters?.sortBy || (search.query ? 'relevance' : 'date-desc');
+        }
+        this.listViewSort = { ...this.listViewSort, ...search.listViewSort };
         this.currentPagination.page = 1;
-        await this.loadVideoGrid();
+
+        let result;
+        if (Boolean(search.listView) !== this.isListView) {
+            const toggle = document.getElementById('listViewToggle');
+            if (toggle) toggle.checked = Boolean(search.listView);
+            result = await this.toggleListView();
+        } else {
+            result = await this.loadVideoGrid();
+        }
+        if (this.isListView) {
+            this.updateSortIndicators();
+        }
+
+        if (result) {
+            history.addRecent(this.getCurrentVideoSearch());
+            if (search.id) history.updateSavedCount(search.id, result.total);
+        }
+    }
+
+    /**
+     * Offer recent Search Archive queries as suggestions in its search box
+     */
+    renderArchiveSearchHistory() {
+        const datalist = document.getElementById('transcriptSearchHistory');
+        if (!datalist) return;
+
+        const queries = [...new Set(this.getSearchHistory().getRecent()
+            .filter(search => search.source === 'archive')
+            .map(search => search.query))];
+        datalist.replaceChildren(...queries.map(query => new Option(query)));
     }
 
     /**
@@ -1988,14 +3380,23 @@ class ArchiveExplorer {
             this.elements.searchInput.value = '';
         }
         this.currentFilters = {};
+
+        // A category is a filter panel filter, so it pages and stacks with search and sort like the others
+        if (filterType === 'category') {
+            this.currentFilters = { category: filterValue };
+            this.syncFilterPanel();
+            this.currentPagination.page = 1;
+            const result = await this.loadVideoGrid();
+            this.showSuccess(`Showing ${result?.total ?? 0} videos filtered by: ${filterValue}`, 3000);
+            return;
+        }
+        this.syncFilterPanel();
         
         // Get all videos from data manager
         const allVideos = this.dataManager.videos || [];
         let filteredVideos = [];
         
-        if (filterType === 'category') {
-            filteredVideos = this.filterVideosByCategory(allVideos, filterValue);
-        } else if (filterType === 'theme') {
+        if (filterType === 'theme') {
             filteredVideos = this.filterVideosByTheme(allVideos, filterValue);
         }
         
@@ -2026,69 +3427,6 @@ class ArchiveExplorer {
         this.showSuccess(`Showing ${filteredVideos.length} videos filtered by: ${filterValue}`, 3000);
     }
 
-    /**
-     * Filter videos by category based on title and keywords
-     */
-    filterVideosByCategory(videos, categoryValue) {
-        return videos.filter(video => {
-            const title = (video.title || '').toLowerCase();
-            const description = (video.description || '').toLowerCase();
-            const keywords = this.getVideoKeywords(video.video_id) || [];
-            const keywordText = keywords.join(' ').toLowerCase();
-            
-            // Define category matching logic
-            switch (categoryValue) {
-                case 'Youth of the Year':
-                    return title.includes('youth of the year') || 
-                           title.includes('youth year') ||
-                           keywordText.includes('youth of the year') ||
-                           description.includes('youth of the year');
-                           
-                case 'Alumni':
-                    return title.includes('alumni') || 
-                           title.includes('graduate') ||
-                           title.includes('former member') ||
-                           keywordText.includes('alumni') ||
-                           description.includes('alumni');
-                           
-                case 'Personal':
-                    return title.includes('story') || 
-                           title.includes('journey') ||
-                           title.includes('experience') ||
-                           title.includes('personal') ||
-                           keywordText.includes('story') ||
-                           keywordText.includes('personal');
-                           
-                case 'Partnership':
-                    return title.includes('partner') || 
-                           title.includes('collaboration') ||
-                           title.includes('sponsor') ||
-                           keywordText.includes('partner') ||
-                           description.includes('partner');
-                           
-                case 'Educational':
-                    return title.includes('education') || 
-                           title.includes('learning') ||
-                           title.includes('school') ||
-                           title.includes('academic') ||
-                           title.includes('homework') ||
-                           keywordText.includes('education') ||
-                           keywordText.includes('learning');
-                           
-                case 'PSA':
-                    return title.includes('psa') || 
-                           title.includes('public service') ||
-                           title.includes('announcement') ||
-                           title.includes('campaign') ||
-                           keywordText.includes('psa') ||
-                           keywordText.includes('campaign');
-                           
-                default:
-                    return false;
-            }
-        });
-    }
-
     /**
      * Filter videos by theme based on keywords and content
      */
@@ -2152,12 +3490,251 @@ class ArchiveExplorer {
     }
 
     /**
-     * Handle sort selection
+     * Handle sort selection
+     */
+    async handleSort(sortBy) {
+        this.currentFilters.sortBy = sortBy;
+        this.currentPagination.page = 1;
+        await this.loadVideoGrid();
+    }
+
+    /**
+     * Wire the filter panel, whose filters apply as they are changed, and the chips that remove them
+     */
+    setupFilterPanel() {
+        const form = document.getElementById('videoFilterForm');
+        if (!form) return;
+
+        const categorySelect = document.getElementById('filterCategory');
+        DataManager.VIDEO_CATEGORIES.forEach(category => categorySelect.add(new Option(category, category)));
+
+        let timer = null;
+        form.addEventListener('input', (e) => {
+            if (e.target.id === 'filterKeywordSearch') {
+                this.renderFilterKeywords();
+                return;
+            }
+            if (e.target.classList.contains('filter-keyword')) {
+                const keyword = this.shownFilterKeywords[parseInt(e.target.dataset.keywordIndex)];
+                const keywords = (this.currentFilters.keywords || []).filter(entry => entry.toLowerCase() !== keyword.toLowerCase());
+                if (e.target.checked) {
+                    keywords.push(keyword);
+                }
+                this.currentFilters.keywords = keywords;
+            }
+            // Typed values apply after a pause, picks at once
+            clearTimeout(timer);
+            timer = setTimeout(() => this.applyFilterPanel(), e.target.type === 'text' ? 300 : 0);
+        });
+
+        document.getElementById('filterPanel')?.addEventListener('show.bs.offcanvas', () => this.renderFilterKeywords());
+        document.getElementById('clearFiltersBtn')?.addEventListener('click', () => this.clearFilters());
+        document.getElementById('activeFilterChips')?.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-chip-index]');
+            if (remove) {
+                this.removeFilter(this.shownFilterChips[parseInt(remove.dataset.chipIndex)]);
+            } else if (e.target.closest('.filter-chips-clear')) {
+                this.clearFilters();
+            }
+        });
+    }
+
+    /**
+     * getVideos filters set in the filter panel. Values that can't be read are marked and left out.
+     */
+    readFilterPanel() {
+        const filters = {};
+        const text = (id) => document.getElementById(id).value.trim();
+        const number = (id, key, kind) => {
+            const input = document.getElementById(id);
+            const value = input.value.trim();
+            const parsed = value ? SearchQuery.parseNumber(value, kind) : null;
+            input.classList.toggle('is-invalid', Boolean(value) && parsed === null);
+            if (parsed) {
+                filters[key] = parsed;
+            }
+        };
+
+        if (text('filterDateFrom')) filters.dateFrom = text('filterDateFrom');
+        if (text('filterDateTo')) filters.dateTo = text('filterDateTo');
+        number('filterMinViews', 'minViews', 'number');
+        number('filterMinComments', 'minComments', 'number');
+        number('filterMinDuration', 'minDuration', 'duration');
+        number('filterMaxDuration', 'maxDuration', 'duration');
+        document.querySelectorAll('#videoFilterForm select[data-filter]').forEach(select => {
+            if (select.value) {
+                filters[select.dataset.filter] = select.value === 'yes';
+            }
+        });
+        if (text('filterCategory')) filters.category = text('filterCategory');
+
+        const keywords = this.currentFilters.keywords || [];
+        if (keywords.length > 0) {
+            filters.keywords = [...keywords];
+            if (document.getElementById('filterKeywordAll').checked) {
+                filters.keywordMode = 'all';
+            }
+        }
+        return filters;
+    }
+
+    /**
+     * Apply the filter panel on top of the header search and sort order
      */
-    async handleSort(sortBy) {
-        this.currentFilters.sortBy = sortBy;
+    async applyFilterPanel() {
+        const { sortBy } = this.currentFilters;
+        this.currentFilters = { ...(sortBy ? { sortBy } : {}), ...this.readFilterPanel() };
+        if (this.currentView === 'video-detail') {
+            this.showVideoGrid();
+        }
         this.currentPagination.page = 1;
-        await this.loadVideoGrid();
+        this.renderFilterChips();
+        return this.loadVideoGrid();
+    }
+
+    /**
+     * Show the current filters in the filter panel, e.g. after opening a saved search
+     */
+    syncFilterPanel() {
+        if (!document.getElementById('videoFilterForm')) return;
+        const filters = this.currentFilters;
+        const set = (id, value) => {
+            const input = document.getElementById(id);
+            input.value = value ?? '';
+            input.classList.remove('is-invalid');
+        };
+
+        set('filterDateFrom', filters.dateFrom);
+        set('filterDateTo', filters.dateTo);
+        set('filterMinViews', filters.minViews);
+        set('filterMinComments', filters.minComments);
+        set('filterMinDuration', filters.minDuration ? this.videoPlayer.formatTime(filters.minDuration) : '');
+        set('filterMaxDuration', filters.maxDuration ? this.videoPlayer.formatTime(filters.maxDuration) : '');
+        document.querySelectorAll('#videoFilterForm select[data-filter]').forEach(select => {
+            const value = filters[select.dataset.filter];
+            select.value = typeof value === 'boolean' ? (value ? 'yes' : 'no') : '';
+        });
+        set('filterCategory', filters.category);
+        document.getElementById(filters.keywordMode === 'all' ? 'filterKeywordAll' : 'filterKeywordAny').checked = true;
+
+        this.renderFilterKeywords();
+        this.renderFilterChips();
+    }
+
+    /**
+     * List the keywords to pick from: the picked ones first, then the most used that match the search
+     */
+    renderFilterKeywords() {
+        const list = document.getElementById('filterKeywordList');
+        if (!list) return;
+
+        const search = document.getElementById('filterKeywordSearch').value.trim().toLowerCase();
+        const selected = new Set((this.currentFilters.keywords || []).map(keyword => keyword.toLowerCase()));
+        const matching = this.dataManager.getKeywordCounts()
+            .filter(({ keyword }) => !search || keyword.toLowerCase().includes(search));
+        const picked = matching.filter(({ keyword }) => selected.has(keyword.toLowerCase()));
+        const others = matching.filter(({ keyword }) => !selected.has(keyword.toLowerCase()));
+        const shown = [...picked, ...others.slice(0, ArchiveExplorer.FILTER_KEYWORD_LIMIT)];
+        this.shownFilterKeywords = shown.map(({ keyword }) => keyword);
+
+        if (shown.length === 0) {
+            list.innerHTML = `<div class="text-muted small">${search ? 'No keywords match.' : 'No videos have keywords.'}</div>`;
+            return;
+        }
+        list.innerHTML = shown.map(({ keyword, count }, index) => `
+            <div class="form-check">
+                <input class="form-check-input filter-keyword" type="checkbox" id="filterKeyword${index}" data-keyword-index="${index}"
+                       ${selected.has(keyword.toLowerCase()) ? 'checked' : ''}>
+                <label class="form-check-label" for="filterKeyword${index}">
+                    ${this.escapeHTML(keyword)} <span class="text-muted">(${this.formatNumber(count)})</span>
+                </label>
+            </div>
+        `).join('') + (others.length > ArchiveExplorer.FILTER_KEYWORD_LIMIT ? `
+            <div class="text-muted small mt-1">${this.formatNumber(others.length - ArchiveExplorer.FILTER_KEYWORD_LIMIT)} more; type to find them</div>
+        ` : '');
+    }
+
+    /**
+     * The active filters as chips: [{ key, value, label }], one per keyword
+     */
+    getFilterChips(filters) {
+        const chips = [];
+        const duration = (seconds) => this.videoPlayer ? this.videoPlayer.formatTime(seconds) : `${seconds}s`;
+        const availability = { hasTranscript: 'transcript', hasSummary: 'summary', hasVideoFile: 'video file', hasComments: 'comments' };
+
+        if (filters.dateFrom) chips.push({ key: 'dateFrom', label: `From ${filters.dateFrom}` });
+        if (filters.dateTo) chips.push({ key: 'dateTo', label: `Until ${filters.dateTo}` });
+        if (filters.minViews) chips.push({ key: 'minViews', label: `${this.formatNumber(filters.minViews)}+ views` });
+        if (filters.minComments) chips.push({ key: 'minComments', label: `${this.formatNumber(filters.minComments)}+ comments` });
+        if (filters.minDuration) chips.push({ key: 'minDuration', label: `At least ${duration(filters.minDuration)}` });
+        if (filters.maxDuration) chips.push({ key: 'maxDuration', label: `At most ${duration(filters.maxDuration)}` });
+        Object.entries(availability).forEach(([key, name]) => {
+            if (typeof filters[key] === 'boolean') {
+                chips.push({ key, label: `${filters[key] ? 'With' : 'Without'} ${name}` });
+            }
+        });
+        if (filters.category) chips.push({ key: 'category', label: `Category: ${filters.category}` });
+        const keywordLabel = filters.keywordMode === 'all' ? 'Keyword' : 'Any keyword';
+        (filters.keywords || []).forEach(keyword => {
+            chips.push({ key: 'keywords', value: keyword, label: `${filters.keywords.length > 1 ? keywordLabel : 'Keyword'}: ${keyword}` });
+        });
+        return chips;
+    }
+
+    /**
+     * Show the active filters as removable chips above the videos, and their count on the Filters button
+     */
+    renderFilterChips() {
+        const chips = this.getFilterChips(this.currentFilters);
+        this.shownFilterChips = chips;
+
+        const count = document.getElementById('activeFilterCount');
+        if (count) {
+            count.textContent = chips.length;
+            count.hidden = chips.length === 0;
+        }
+
+        const container = document.getElementById('activeFilterChips');
+        if (!container) return;
+        container.hidden = chips.length === 0 || this.currentView === 'video-detail';
+        container.innerHTML = chips.map((chip, index) => `
+            <span class="filter-chip">
+                ${this.escapeHTML(chip.label)}
+                <button type="button" class="filter-chip-remove" data-chip-index="${index}" aria-label="Remove filter">
+                    <i class="bi bi-x"></i>
+                </button>
+            </span>
+        `).join('') + (chips.length > 1 ? '<button type="button" class="btn btn-link btn-sm filter-chips-clear">Clear all</button>' : '');
+    }
+
+    /**
+     * Remove one filter chip's filter and show the videos again
+     */
+    removeFilter(chip) {
+        if (!chip) return;
+        if (chip.key === 'keywords') {
+            this.currentFilters.keywords = (this.currentFilters.keywords || []).filter(keyword => keyword !== chip.value);
+            if (this.currentFilters.keywords.length === 0) {
+                delete this.currentFilters.keywords;
+                delete this.currentFilters.keywordMode;
+            }
+        } else {
+            delete this.currentFilters[chip.key];
+        }
+        this.syncFilterPanel();
+        this.currentPagination.page = 1;
+        return this.loadVideoGrid();
+    }
+
+    /**
+     * Remove every filter, keeping the search and sort order
+     */
+    clearFilters() {
+        const { sortBy } = this.currentFilters;
+        this.currentFilters = sortBy ? { sortBy } : {};
+        this.syncFilterPanel();
+        this.currentPagination.page = 1;
+        return this.loadVideoGrid();
     }
 
     /**
@@ -2462,77 +4039,14 @@ class ArchiveExplorer {
      * Analyze word frequency in comments
      */
     analyzeWordFrequency(comments) {
-        const stopWords = new Set([
-            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
-            'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
-            'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'cannot', 'cant',
-            'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
-            'this', 'that', 'these', 'those', 'my', 'your', 'his', 'her', 'its', 'our', 'their',
-            'what', 'which', 'who', 'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each',
-            'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own',
-            'same', 'so', 'than', 'too', 'very', 's', 't', 're', 've', 'll', 'd', 'just', 'now',
-            'also', 'back', 'still', 'well', 'get', 'go', 'know', 'like', 'see', 'think', 'want',
-            'really', 'way', 'right', 'good', 'great', 'much', 'many', 'new', 'first', 'last',
-            'long', 'little', 'own', 'other', 'old', 'right', 'big', 'high', 'different', 'small',
-            'large', 'next', 'early', 'young', 'important', 'few', 'public', 'bad', 'same', 'able'
-        ]);
-
-        const wordCounts = {};
-
-        comments.forEach(comment => {
-            const words = comment.text.toLowerCase()
-                .replace(/[^\w\s]/g, '') // Remove punctuation
-                .split(/\s+/)
-                .filter(word => word.length > 2 && !stopWords.has(word));
-
-            words.forEach(word => {
-                wordCounts[word] = (wordCounts[word] || 0) + 1;
-            });
-        });
-
-        // Return top 20 words
-        return Object.entries(wordCounts)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 20)
-            .map(([word, count]) => ({ word, count }));
+        return CommentProcessor.analyzeWordFrequency(comments);
     }
 
     /**
      * Analyze words in most-liked comments
      */
     analyzeLikedCommentWords(comments) {
-        // Sort by likes and take top 20%
-        const sortedByLikes = comments.sort((a, b) => b.like_count - a.like_count);
-        const topPercentage = Math.max(1, Math.floor(sortedByLikes.length * 0.2));
-        const topComments = sortedByLikes.slice(0, topPercentage);
-
-        const wordLikeScores = {};
-
-        topComments.forEach(comment => {
-            const words = comment.text.toLowerCase()
-                .replace(/[^\w\s]/g, '')
-                .split(/\s+/)
-                .filter(word => word.length > 3);
-
-            words.forEach(word => {
-                if (!wordLikeScores[word]) {
-                    wordLikeScores[word] = { totalLikes: 0, count: 0 };
-                }
-                wordLikeScores[word].totalLikes += comment.like_count;
-                wordLikeScores[word].count += 1;
-            });
-        });
-
-        // Calculate average likes per word and return top 15
-        return Object.entries(wordLikeScores)
-            .map(([word, data]) => ({
-                word,
-                avgLikes: Math.round(data.totalLikes / data.count),
-                count: data.count
-            }))
-            .filter(item => item.count >= 2) // Must appear in at least 2 comments
-            .sort((a, b) => b.avgLikes - a.avgLikes)
-            .slice(0, 15);
+        return CommentProcessor.analyzeLikedCommentWords(comments);
     }
 
     /**
@@ -2922,7 +4436,7 @@ class ArchiveExplorer {
         commentsWithReplies.forEach(comment => {
             flattened.push(comment);
             if (comment.replies && comment.replies.length > 0) {
-                flattened.push(...comment.replies);
+                flattened.push(...this.flattenComments(comment.replies));
             }
         });
         return flattened;
@@ -2988,6 +4502,7 @@ class ArchiveExplorer {
             document.getElementById('totalViews').textContent = this.formatNumber(totalViews);
             document.getElementById('avgEngagement').textContent = this.formatNumber(avgEngagement);
             document.getElementById('uniqueCommenters').textContent = this.formatNumber(uniqueCommenters);
+            this.renderArchiveBreakdown(document.getElementById('archiveBreakdown'));
             
             // Show the channel stats section
             const channelStats = document.getElementById('channelStats');
@@ -3000,10 +4515,36 @@ class ArchiveExplorer {
         }
     }
 
+    /**
+     * Show per-archive totals in a container, or hide it when only one archive is in view
+     */
+    renderArchiveBreakdown(container) {
+        if (!container) return;
+
+        const breakdown = this.dataManager.getArchiveBreakdown();
+        if (breakdown.length < 2) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = breakdown.map(archive => `
+            <div class="archive-breakdown-item">
+                <i class="bi bi-collection"></i> <strong>${this.escapeHTML(archive.label)}</strong>:
+                ${this.formatNumber(archive.videos)} videos &middot;
+                ${this.formatNumber(archive.comments)} comments &middot;
+                ${this.formatNumber(archive.views)} views
+            </div>
+        `).join('');
+        container.style.display = 'flex';
+    }
+
     /**
      * Show channel analytics modal
      */
     async showChannelAnalytics() {
+        this.renderArchiveBreakdown(document.getElementById('channelAnalyticsArchives'));
+
         // Show the Channel Analytics modal with static content
         const modal = new bootstrap.Modal(document.getElementById('channelAnalyticsModal'));
         modal.show();
@@ -3155,11 +4696,10 @@ class ArchiveExplorer {
             }))
         };
         
-        // Calculate most liked words
-        analytics.mostLikedWords = this.calculateMostLikedWords(allComments);
-        
-        // Calculate most frequent words
-        analytics.mostFrequentWords = this.calculateMostFrequentWords(allComments);
+        // Most liked/frequent words are precomputed by the comment worker when available
+        const wordStats = this.dataManager.channelWordStats;
+        analytics.mostLikedWords = wordStats?.mostLikedWords || this.calculateMostLikedWords(allComments);
+        analytics.mostFrequentWords = wordStats?.mostFrequentWords || this.calculateMostFrequentWords(allComments);
         
         return analytics;
     }
@@ -3168,57 +4708,21 @@ class ArchiveExplorer {
      * Calculate most liked words from comments
      */
     calculateMostLikedWords(comments) {
-        const wordLikes = {};
-        
-        comments.forEach(comment => {
-            const likes = parseInt(comment.like_count) || 0;
-            if (likes > 0) {
-                const words = this.extractWords(comment.text);
-                words.forEach(word => {
-                    if (!wordLikes[word]) wordLikes[word] = 0;
-                    wordLikes[word] += likes;
-                });
-            }
-        });
-        
-        return Object.entries(wordLikes)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 20)
-            .map(([word, likes]) => ({ word, count: likes }));
+        return CommentProcessor.calculateMostLikedWords(comments);
     }
 
     /**
      * Calculate most frequent words from comments
      */
     calculateMostFrequentWords(comments) {
-        const wordCount = {};
-        
-        comments.forEach(comment => {
-            const words = this.extractWords(comment.text);
-            words.forEach(word => {
-                if (!wordCount[word]) wordCount[word] = 0;
-                wordCount[word]++;
-            });
-        });
-        
-        return Object.entries(wordCount)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 20)
-            .map(([word, count]) => ({ word, count }));
+        return CommentProcessor.calculateMostFrequentWords(comments);
     }
 
     /**
      * Extract meaningful words from text
      */
     extractWords(text) {
-        const stopWords = new Set(['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'can', 'may', 'might', 'must', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'a', 'an', 'so', 'just', 'get', 'got', 'like', 'go', 'going', 'went', 'come', 'came', 'see', 'saw', 'know', 'knew', 'think', 'thought', 'say', 'said', 'tell', 'told', 'take', 'took', 'make', 'made', 'give', 'gave', 'want', 'wanted', 'need', 'needed', 'try', 'tried', 'use', 'used', 'work', 'worked', 'look', 'looked', 'feel', 'felt', 'seem', 'seemed', 'leave', 'left', 'put', 'keep', 'kept', 'let', 'help', 'helped', 'show', 'showed', 'hear', 'heard', 'ask', 'asked', 'turn', 'turned', 'move', 'moved', 'live', 'lived', 'play', 'played', 'run', 'ran', 'bring', 'brought', 'sit', 'sat', 'stand', 'stood', 'lose', 'lost', 'pay', 'paid', 'meet', 'met', 'include', 'including', 'continue', 'continued', 'set', 'follow', 'followed', 'stop', 'stopped', 'create', 'created', 'speak', 'spoke', 'read', 'write', 'wrote', 'provide', 'provided', 'allow', 'allowed', 'add', 'added', 'spend', 'spent', 'grow', 'grew', 'open', 'opened', 'walk', 'walked', 'win', 'won', 'carry', 'carried', 'talk', 'talked', 'appear', 'appeared', 'produce', 'produced', 'offer', 'offered', 'consider', 'considered', 'suggest', 'suggested', 'require', 'required', 'expect', 'expected', 'build', 'built', 'stay', 'stayed', 'fall', 'fell', 'cut', 'send', 'sent', 'receive', 'received', 'remain', 'remained', 'serve', 'served', 'die', 'died', 'decide', 'decided', 'reach', 'reached', 'kill', 'killed', 'raise', 'raised', 'pass', 'passed', 'sell', 'sold', 'buy', 'bought', 'break', 'broke', 'wear', 'wore', 'choose', 'chose', 'treat', 'treated', 'watch', 'watched', 'return', 'returned', 'develop', 'developed', 'carry', 'carried', 'lead', 'led', 'understand', 'understood', 'face', 'faced', 'deal', 'dealt', 'pull', 'pulled', 'pick', 'picked', 'rise', 'rose', 'drop', 'dropped', 'plan', 'planned', 'save', 'saved', 'push', 'pushed', 'eat', 'ate', 'avoid', 'avoided', 'support', 'supported', 'change', 'changed', 'enter', 'entered', 'share', 'shared', 'manage', 'managed', 'improve', 'improved', 'maintain', 'maintained', 'remember', 'remembered', 'explain', 'explained', 'describe', 'described', 'join', 'joined', 'discuss', 'discussed', 'introduce', 'introduced', 'enjoy', 'enjoyed', 'agree', 'agreed', 'compare', 'compared', 'control', 'controlled', 'visit', 'visited', 'attend', 'attended', 'achieve', 'achieved', 'check', 'checked', 'protect', 'protected', 'complete', 'completed', 'apply', 'applied', 'accept', 'accepted', 'reduce', 'reduced', 'increase', 'increased', 'assume', 'assumed', 'prepare', 'prepared', 'relate', 'related', 'identify', 'identified', 'recognize', 'recognized', 'ensure', 'ensured', 'focus', 'focused', 'handle', 'handled', 'contain', 'contained', 'invest', 'invested', 'design', 'designed', 'express', 'expressed', 'wish', 'wished', 'thank', 'thanked', 'hope', 'hoped', 'love', 'loved', 'hate', 'hated', 'care', 'cared', 'worry', 'worried', 'believe', 'believed', 'realize', 'realized', 'learn', 'learned', 'teach', 'taught', 'study', 'studied', 'practice', 'practiced', 'discover', 'discovered', 'explore', 'explored', 'test', 'tested', 'prove', 'proved', 'solve', 'solved', 'answer', 'answered', 'question', 'questioned', 'wonder', 'wondered', 'doubt', 'doubted', 'guess', 'guessed', 'suppose', 'supposed', 'imagine', 'imagined', 'dream', 'dreamed', 'forget', 'forgot', 'ignore', 'ignored', 'notice', 'noticed', 'observe', 'observed', 'find', 'found', 'search', 'searched', 'seek', 'sought', 'wait', 'waited', 'call', 'called', 'text', 'texted', 'email', 'emailed', 'contact', 'contacted', 'connect', 'connected', 'communicate', 'communicated', 'respond', 'responded', 'reply', 'replied', 'react', 'reacted', 'listen', 'listened', 'mind', 'minded', 'matter', 'mattered', 'mean', 'meant', 'sound', 'sounded', 'sort', 'sorted', 'type', 'typed', 'kind', 'way', 'ways', 'time', 'times', 'day', 'days', 'year', 'years', 'week', 'weeks', 'month', 'months', 'hour', 'hours', 'minute', 'minutes', 'second', 'seconds', 'moment', 'moments', 'place', 'places', 'part', 'parts', 'side', 'sides', 'end', 'ends', 'point', 'points', 'line', 'lines', 'area', 'areas', 'back', 'front', 'top', 'bottom', 'left', 'right', 'here', 'there', 'where', 'when', 'how', 'why', 'what', 'who', 'which', 'whose', 'whom', 'now', 'then', 'today', 'tomorrow', 'yesterday', 'always', 'never', 'sometimes', 'often', 'usually', 'rarely', 'hardly', 'almost', 'quite', 'very', 'too', 'also', 'only', 'even', 'still', 'yet', 'already', 'again', 'once', 'twice', 'more', 'most', 'less', 'least', 'much', 'many', 'few', 'little', 'big', 'small', 'large', 'great', 'good', 'better', 'best', 'bad', 'worse', 'worst', 'new', 'old', 'young', 'long', 'short', 'high', 'low', 'early', 'late', 'fast', 'slow', 'quick', 'easy', 'hard', 'difficult', 'simple', 'complex', 'clear', 'dark', 'light', 'bright', 'heavy', 'light', 'strong', 'weak', 'hot', 'cold', 'warm', 'cool', 'wet', 'dry', 'clean', 'dirty', 'fresh', 'old', 'new', 'nice', 'beautiful', 'ugly', 'pretty', 'handsome', 'cute', 'smart', 'stupid', 'funny', 'serious', 'happy', 'sad', 'angry', 'mad', 'excited', 'bored', 'tired', 'sick', 'healthy', 'fine', 'okay', 'alright', 'sure', 'maybe', 'probably', 'definitely', 'certainly', 'possibly', 'likely', 'unlikely', 'true', 'false', 'right', 'wrong', 'correct', 'incorrect', 'yes', 'no', 'yeah', 'yep', 'nope', 'ok', 'well', 'oh', 'ah', 'um', 'uh', 'hmm', 'wow', 'hey', 'hi', 'hello', 'goodbye', 'bye', 'thanks', 'please', 'sorry', 'excuse', 'pardon']);
-        
-        return text
-            .toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .split(/\s+/)
-            .filter(word => word.length > 2 && !stopWords.has(word))
-            .slice(0, 100); // Limit processing for performance
+        return CommentProcessor.extractWords(text);
     }
 
     /**
@@ -3265,6 +4769,7 @@ class ArchiveExplorer {
                 <div class="comment-card">
                     <div class="comment-video-context" onclick="window.app.showVideoFromComment('${comment.video_id}')">
                         <i class="bi bi-play-btn-fill text-danger me-1"></i> ${this.escapeHTML(comment.video_title)}
+                        ${this.createArchiveBadge(this.dataManager.getVideo(comment.video_id))}
                     </div>
                     <div class="comment-header">
                         <div class="comment-author-section">
@@ -3297,6 +4802,11 @@ class ArchiveExplorer {
                         <div class="comment-likes">
                             <i class="bi bi-hand-thumbs-up"></i> ${likes}
                         </div>
+                        ${comment.is_reply ? `
+                            <button type="button" class="btn btn-link btn-sm view-conversation-btn" data-comment-id="${comment.comment_id}" data-video-id="${comment.video_id}">
+                                <i class="bi bi-chat-left-text"></i> View full conversation
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
             `;
@@ -3307,6 +4817,14 @@ class ArchiveExplorer {
         } else {
             container.innerHTML += html;
         }
+
+        // One listener on the list opens a reply's conversation
+        container.onclick = (e) => {
+            const conversationBtn = e.target.closest('.view-conversation-btn');
+            if (conversationBtn) {
+                this.showConversationFromComment(conversationBtn.dataset.videoId, conversationBtn.dataset.commentId);
+            }
+        };
         
         // Show/hide load more button
         const loadMoreBtn = document.getElementById('loadMoreChannelComments');
@@ -3351,7 +4869,7 @@ class ArchiveExplorer {
      */
     filterChannelComments() {
         const allComments = this.dataManager.comments || [];
-        const search = document.getElementById('channelCommentSearch')?.value.toLowerCase() || '';
+        const search = document.getElementById('channelCommentSearch')?.value.trim() || '';
         const sort = document.getElementById('channelCommentSort')?.value || 'likes-desc';
         
         // Add video titles to comments
@@ -3362,11 +4880,8 @@ class ArchiveExplorer {
         
         // Apply search filter
         if (search) {
-            filtered = filtered.filter(comment => 
-                comment.text.toLowerCase().includes(search) ||
-                comment.author.toLowerCase().includes(search) ||
-                comment.video_title.toLowerCase().includes(search)
-            );
+            const matchesSearch = this.dataManager.createCommentMatcher(search);
+            filtered = filtered.filter(comment => matchesSearch(comment.text, comment.author, comment.video_title));
         }
         
         // Apply sort
@@ -3429,32 +4944,8 @@ class ArchiveExplorer {
                 return null;
             }
 
-            // Start with keywords from video object
-            let keywords = [...(video.keywords || [])];
-            
-            // Try to merge with legacy keywords if available
-            if (this.legacyKeywordsCache) {
-                const possibleKeys = [
-                    videoId,
-                    `${video.title}_${videoId}_en_auto_ytdlp`,
-                    Object.keys(this.legacyKeywordsCache).find(key => key.includes(videoId))
-                ].filter(Boolean);
-                
-                for (const key of possibleKeys) {
-                    const legacyKeywords = this.legacyKeywordsCache[key];
-                    if (legacyKeywords && Array.isArray(legacyKeywords)) {
-                        // Merge keywords, avoiding duplicates
-                        const lowerKeywords = keywords.map(k => k.toLowerCase());
-                        const newKeywords = legacyKeywords.filter(k => 
-                            !lowerKeywords.includes(k.toLowerCase())
-                        );
-                        keywords = [...keywords, ...newKeywords];
-                        break;
-                    }
-                }
-            }
-
-            return keywords;
+            // Keywords from the video object merged with the legacy keywords file
+            return this.dataManager.getVideoKeywords(video);
         } catch (error) {
             console.error('Error getting video keywords:', error);
             return null;
@@ -3818,17 +5309,12 @@ class ArchiveExplorer {
         const modal = bootstrap.Modal.getInstance(document.getElementById('keywordAnalyticsModal'));
         if (modal) modal.hide();
 
-        // Update search input to show the filter
+        // The search query filters by keyword; quotes inside the keyword would end the phrase
         const searchInput = this.elements.searchInput;
         if (searchInput) {
-            searchInput.value = `keyword:"${keyword}"`;
+            searchInput.value = `keyword:"${keyword.replace(/"/g, '')}"`;
         }
-
-        // Store the keyword filter in currentFilters
-        this.currentFilters.keyword = keyword;
         this.currentPagination.page = 1; // Reset to first page
-        
-        console.log('🔍 currentFilters after setting keyword:', this.currentFilters);
 
         // Use loadVideoGrid to properly handle the filter with pagination and view switching
         this.loadVideoGrid();
@@ -3878,6 +5364,8 @@ class ArchiveExplorer {
     showSearchTranscriptsModal() {
         const modal = new bootstrap.Modal(document.getElementById('searchTranscriptsModal'));
         modal.show();
+        this.renderTranscriptSearchLanguages();
+        this.renderArchiveSearchHistory();
         
         // Focus on search input when modal opens
         setTimeout(() => {
@@ -3887,7 +5375,32 @@ class ArchiveExplorer {
     }
 
     /**
-     * Perform transcript search
+     * Offer the transcript languages found in the archive folder as search scopes
+     */
+    async renderTranscriptSearchLanguages() {
+        const column = document.getElementById('transcriptSearchLanguageCol');
+        const select = document.getElementById('transcriptSearchLanguage');
+        if (!column || !select) return;
+
+        let languages = [];
+        try {
+            languages = await this.dataManager.getTranscriptLanguages();
+        } catch (error) {
+            console.warn('⚠️ Could not list transcript languages:', error);
+        }
+
+        const selected = select.value;
+        select.innerHTML = `
+            <option value="">Default transcripts</option>
+            <option value="all">All languages</option>
+            ${languages.map(entry => `<option value="${this.escapeHTML(entry.language)}">${this.escapeHTML(entry.label)}</option>`).join('')}
+        `;
+        select.value = [...select.options].some(option => option.value === selected) ? selected : '';
+        column.style.display = languages.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Search all archive content, or the transcript files of one language when one is picked
      */
     async performTranscriptSearch() {
         const searchInput = document.getElementById('transcriptSearchInput');
@@ -3904,182 +5417,299 @@ class ArchiveExplorer {
         }
 
         const loadingDiv = document.getElementById('transcriptSearchLoading');
+        const loadingText = document.getElementById('transcriptSearchLoadingText');
         const resultsDiv = document.getElementById('transcriptSearchResults');
         
         // Show loading state
+        loadingText.textContent = 'Searching through content...';
         loadingDiv.style.display = 'block';
         resultsDiv.innerHTML = '';
 
         try {
             const startTime = Date.now();
-            this.showLoadingToast('Searching transcripts...');
-            
-            // Try to use precomputed transcript index for fast search
-            const searchResults = await this.searchTranscriptsFromIndex(searchTerm);
-            
-            const endTime = Date.now();
-            const searchTime = ((endTime - startTime) / 1000).toFixed(2);
-            
-            // Hide loading state
+            const language = document.getElementById('transcriptSearchLanguage')?.value || '';
+            this.getSearchHistory().addRecent({ source: 'archive', query: searchTerm, language });
+            this.renderArchiveSearchHistory();
+
+            if (language) {
+                // A chosen language searches the archive's transcript files directly
+                this.showLoadingToast('Searching transcripts...');
+                const searchResults = await this.searchTranscriptVariants(searchTerm, language);
+                const searchTime = ((Date.now() - startTime) / 1000).toFixed(2);
+                loadingDiv.style.display = 'none';
+
+                const totalMatches = searchResults.reduce((sum, result) => sum + result.totalMatches, 0);
+                this.showSuccessToast(`Found ${totalMatches} matches in ${searchResults.length} videos (${searchTime}s)`);
+                this.renderTranscriptSearchResults(searchResults, searchTerm, searchTime);
+                return;
+            }
+
+            // The first search reads every summary and transcript into the search index
+            this.showLoadingToast('Searching archive...');
+            const { groups, suggestion } = await this.dataManager.searchContent(searchTerm, { limit: 25 }, (message) => {
+                loadingText.textContent = message;
+            });
+            const searchTime = ((Date.now() - startTime) / 1000).toFixed(2);
             loadingDiv.style.display = 'none';
-            
-            // Show success toast
-            const totalMatches = searchResults.reduce((sum, result) => sum + result.totalMatches, 0);
-            this.showSuccessToast(`Found ${totalMatches} matches in ${searchResults.length} videos (${searchTime}s)`);
-            
-            // Render results
-            this.renderTranscriptSearchResults(searchResults, searchTerm, searchTime);
+
+            const totalMatches = Object.values(groups).reduce((sum, group) => sum + group.total, 0);
+            this.showSuccessToast(`Found ${this.formatNumber(totalMatches)} matches (${searchTime}s)`);
+            this.renderContentSearchResults(groups, searchTerm, suggestion);
+            this.bindContentSearchSuggestion(suggestion);
             
         } catch (error) {
-            console.error('Transcript search error:', error);
+            console.error('Archive search error:', error);
             loadingDiv.style.display = 'none';
-            
-            // Fallback to old method if index search fails
-            console.log('Falling back to file-by-file search...');
-            this.performTranscriptSearchFallback();
+            this.showError('Failed to search the archive. Please try again.');
         }
     }
 
     /**
-     * Fast transcript search using precomputed index
+     * Search the transcript files of one language, or of every language ('all'), in the archive folder
      */
-    async searchTranscriptsFromIndex(searchTerm) {
-        // Load transcript index if not already loaded
-        if (!this.transcriptIndex) {
-            console.log('Loading transcript index...');
-            const response = await fetch(AppConfig.dataFiles.transcriptIndex);
-            if (!response.ok) {
-                throw new Error('Transcript index not found');
-            }
-            this.transcriptIndex = await response.json();
-            console.log(`Loaded transcript index: ${this.transcriptIndex.metadata.total_videos} videos, ${this.transcriptIndex.metadata.total_words.toLocaleString()} words`);
-        }
-
+    async searchTranscriptVariants(searchTerm, language) {
         const searchResults = [];
-        const lowerSearchTerm = searchTerm.toLowerCase();
-        
-        // Use word index for faster initial filtering
-        const candidateVideoIds = new Set();
-        
-        // Check if any indexed words match our search term
-        const searchWords = lowerSearchTerm.split(/\s+/).filter(word => word.length >= 3);
-        for (const word of searchWords) {
-            if (this.transcriptIndex.word_index[word]) {
-                this.transcriptIndex.word_index[word].forEach(videoId => candidateVideoIds.add(videoId));
-            }
-        }
-        
-        // If no word matches found, do full text search on all transcripts
-        if (candidateVideoIds.size === 0) {
-            Object.keys(this.transcriptIndex.transcripts).forEach(videoId => candidateVideoIds.add(videoId));
-        }
-        
-        // Search through candidate videos
-        for (const videoId of candidateVideoIds) {
-            const transcriptData = this.transcriptIndex.transcripts[videoId];
-            if (!transcriptData) continue;
-            
-            const excerpts = this.findTextExcerpts(transcriptData.text, searchTerm);
-            if (excerpts.length > 0) {
-                // Find corresponding video object
-                const video = this.dataManager.videos.find(v => v.video_id === videoId);
-                if (video) {
-                    searchResults.push({
-                        video: video,
-                        excerpts: excerpts,
-                        totalMatches: excerpts.length
-                    });
+
+        for (const video of this.dataManager.videos) {
+            const variants = (await this.dataManager.getTranscriptVariants(video.video_id))
+                .filter(variant => language === 'all' || variant.language === language);
+
+            for (const variant of variants) {
+                try {
+                    // Not cached: searching every language would otherwise keep all files in memory
+                    const data = await this.dataManager.loadTranscriptFile(video.video_id, variant.path, { cache: false });
+                    const excerpts = this.findTextExcerpts(data.transcript || '', searchTerm);
+                    if (excerpts.length > 0) {
+                        // Timed subtitles: the transcript text is the cues joined, so a match position maps to a cue
+                        if (data.cues?.length) {
+                            excerpts.forEach(excerpt => {
+                                excerpt.time = data.cues[SubtitleParser.findCueAtPosition(data.cues, excerpt.position)].start;
+                            });
+                        }
+                        searchResults.push({
+                            video: video,
+                            excerpts: excerpts,
+                            totalMatches: excerpts.length,
+                            languageLabel: variant.label,
+                            variantKey: this.getTranscriptVariantKey(variant)
+                        });
+                    }
+                } catch (error) {
+                    // Unreadable file, continue with the next one
                 }
             }
         }
-        
-        // Sort results by relevance (number of matches)
+
         searchResults.sort((a, b) => b.totalMatches - a.totalMatches);
-        
         return searchResults;
     }
 
     /**
-     * Fallback transcript search method (original slow implementation)
+     * Render ranked search results, one section per content type, offering the corrected query if there is one
      */
-    async performTranscriptSearchFallback() {
-        const searchInput = document.getElementById('transcriptSearchInput');
-        const searchTerm = searchInput.value.trim();
-        const loadingDiv = document.getElementById('transcriptSearchLoading');
+    renderContentSearchResults(groups, searchTerm, suggestion = null) {
         const resultsDiv = document.getElementById('transcriptSearchResults');
-        
-        loadingDiv.style.display = 'block';
-        resultsDiv.innerHTML = '';
+        this.searchResultMoments = [];
+        const types = SearchEngine.TYPES.filter(type => groups[type].total > 0);
+        const commentsNote = (this.dataManager.commentsLoaded ? '' : `
+            <div class="alert alert-info small py-2">
+                <i class="bi bi-hourglass-split"></i> Comments are still loading, so comment results may be incomplete.
+            </div>
+        `) + (suggestion ? `
+            <div class="content-search-suggestion">
+                Did you mean <a href="#" id="contentSearchSuggestion">${this.escapeHTML(suggestion)}</a>?
+            </div>
+        ` : '');
 
-        try {
-            const startTime = Date.now();
-            this.showLoadingToast('Searching transcripts (fallback method)...');
-            
-            // Get all videos directly from data manager (not paginated)
-            const videos = this.dataManager.videos;
-            
-            if (!videos || !Array.isArray(videos)) {
-                throw new Error('Videos not loaded. Please wait for the app to finish loading.');
+        if (types.length === 0) {
+            resultsDiv.innerHTML = `
+                ${commentsNote}
+                <div class="text-center py-5">
+                    <i class="bi bi-search text-muted" style="font-size: 3rem; opacity: 0.5;"></i>
+                    <h6 class="text-muted mt-3">No results found</h6>
+                    <p class="text-muted">Nothing in the archive matches "${this.escapeHTML(searchTerm)}". Try a different search term.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const groupLabels = {
+            video: { label: 'Videos', icon: 'bi-camera-video' },
+            summary: { label: 'Summaries', icon: 'bi-card-text' },
+            transcript: { label: 'Transcripts', icon: 'bi-file-text' },
+            comment: { label: 'Comments', icon: 'bi-chat-left-text' }
+        };
+
+        resultsDiv.innerHTML = commentsNote + '<div class="content-search-results">' + types.map(type => {
+            const group = groups[type];
+            return `
+                <section class="content-search-group">
+                    <h6 class="content-search-group-title">
+                        <i class="bi ${groupLabels[type].icon}"></i> ${groupLabels[type].label}
+                        <span class="badge bg-secondary">${this.formatNumber(group.total)}</span>
+                        ${group.total > group.results.length ? `<small class="text-muted fw-normal">best ${group.results.length} shown</small>` : ''}
+                    </h6>
+                    <div class="list-group">
+                        ${group.results.map(result => this.createContentSearchResult(result)).join('')}
+                    </div>
+                </section>
+            `;
+        }).join('') + '</div>';
+
+        if (groups.transcript.results.length > 0) {
+            this.linkTranscriptMoments(groups.transcript.results);
+        }
+    }
+
+    /**
+     * Point transcript results at their match; with timed subtitles, at the first cue that matches,
+     * adding its timestamp to the result. Runs after rendering, as reading subtitles takes a moment.
+     */
+    async linkTranscriptMoments(results) {
+        const moments = this.searchResultMoments;
+        const resultsDiv = document.getElementById('transcriptSearchResults');
+
+        for (const result of results) {
+            let cues;
+            try {
+                cues = (await this.dataManager.loadSubtitles(result.videoId))?.cues;
+            } catch (error) {
+                console.warn(`⚠️ Could not read subtitles for ${result.videoId}:`, error);
+                continue;
             }
-            
-            const searchResults = [];
-            
-            // Search through each video's transcript
-            let transcriptsFound = 0;
-            let videosProcessed = 0;
-            
-            for (const video of videos) {
-                videosProcessed++;
-                let foundTranscript = false;
-                
-                try {
-                    // Use archive loader to get transcript
-                    const transcriptData = await this.dataManager.loadTranscript(video.video_id);
-                    
-                    if (transcriptData && transcriptData.transcript) {
-                        const content = transcriptData.transcript;
-                        const excerpts = this.findTextExcerpts(content, searchTerm);
-                        
-                        if (excerpts.length > 0) {
-                            searchResults.push({
-                                video: video,
-                                excerpts: excerpts,
-                                totalMatches: excerpts.length
-                            });
-                        }
-                        foundTranscript = true;
-                        transcriptsFound++;
-                    }
-                } catch (error) {
-                    // Silently continue to next video
-                }
-                
-                // Update progress occasionally
-                if (videosProcessed % 50 === 0) {
-                    console.log(`Searched ${videosProcessed}/${videos.length} videos, found ${transcriptsFound} transcripts`);
-                }
+            // A newer search replaced these results
+            if (this.searchResultMoments !== moments) return;
+
+            const link = resultsDiv.querySelector(`[data-transcript-result="${result.videoId}"]`);
+            if (!link) continue;
+
+            // Without a matching cue the video still opens on the Transcript tab at the match
+            const cue = cues?.find(entry => this.findTermMatch(entry.text, result.terms));
+            moments.push({ time: cue ? cue.start : null, terms: result.terms });
+            link.dataset.momentIndex = moments.length - 1;
+            if (cue) {
+                link.querySelector('.search-result-excerpt')?.insertAdjacentHTML('afterbegin', this.createSearchMomentBadge(cue.start));
             }
-            
-            const endTime = Date.now();
-            const searchTime = ((endTime - startTime) / 1000).toFixed(2);
-            
-            // Hide loading state
-            loadingDiv.style.display = 'none';
-            
-            // Show success toast
-            const totalMatches = searchResults.reduce((sum, result) => sum + result.totalMatches, 0);
-            this.showSuccessToast(`Found ${totalMatches} matches in ${searchResults.length} videos (${searchTime}s)`);
-            
-            // Render results
-            this.renderTranscriptSearchResults(searchResults, searchTerm, searchTime);
-            
-        } catch (error) {
-            console.error('Transcript search error:', error);
-            loadingDiv.style.display = 'none';
-            this.showError('Failed to search transcripts. Please try again.');
         }
     }
 
+    /**
+     * Timestamp a search result opens the video at
+     */
+    createSearchMomentBadge(time) {
+        return `<span class="search-result-moment" title="Opens the video here"><i class="bi bi-play-circle"></i> ${this.videoPlayer.formatTime(time)}</span>`;
+    }
+
+    /**
+     * Search the archive again with the suggested query
+     */
+    bindContentSearchSuggestion(suggestion) {
+        document.getElementById('contentSearchSuggestion')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            document.getElementById('transcriptSearchInput').value = suggestion;
+            this.performTranscriptSearch();
+        });
+    }
+
+    /**
+     * One search result: the video it belongs to, where the words matched and an excerpt
+     */
+    createContentSearchResult(result) {
+        const video = result.type === 'video' ? result.item : this.dataManager.getVideo(result.videoId);
+        if (!video) return '';
+
+        const fieldLabels = {
+            title: 'Title', description: 'Description', keywords: 'Keywords', summary: 'Summary',
+            transcript: 'Transcript', text: 'Comment', author: 'Author'
+        };
+        let excerpt = '';
+        let details = `${this.formatDate(video.published_at)} · ${this.formatNumber(video.view_count)} views`;
+
+        if (result.type === 'video') {
+            if (result.fields.includes('description')) {
+                excerpt = this.createSearchExcerpt(video.description, result.terms);
+            } else if (result.fields.includes('keywords')) {
+                const matching = video.keywords.filter(keyword => this.findTermMatch(keyword, result.terms));
+                excerpt = this.highlightTerms(`Keywords: ${matching.join(', ')}`, result.terms);
+            }
+        } else if (result.type === 'comment') {
+            excerpt = this.createSearchExcerpt(result.item.text, result.terms);
+            details = `${this.highlightTerms(result.item.author, result.terms)} · ${this.formatNumber(result.item.like_count || 0)} likes · ${this.formatDate(result.item.published_at)}`;
+        } else {
+            excerpt = this.createSearchExcerpt(result.item[result.type], result.terms);
+        }
+
+        return `
+            <a href="#" class="list-group-item list-group-item-action content-search-result"
+               ${result.type === 'transcript' ? `data-transcript-result="${video.video_id}"` : ''}
+               onclick="event.preventDefault(); window.app.openVideoFromSearch('${video.video_id}', this.dataset.momentIndex)">
+                <img src="${this.getVideoThumbnail(video)}" alt="Video thumbnail" class="search-result-thumbnail"
+                     onerror="this.src='https://img.youtube.com/vi/${video.video_id}/mqdefault.jpg'">
+                <div class="content-search-result-body">
+                    <div class="search-result-title">${this.highlightTerms(video.title, result.type === 'video' ? result.terms : [])}</div>
+                    <div class="text-muted small">
+                        ${details}
+                        · matched in ${result.fields.map(field => fieldLabels[field] || field).join(', ')}
+                    </div>
+                    ${excerpt ? `<div class="search-result-excerpt mt-1">${excerpt}</div>` : ''}
+                </div>
+                <span class="content-search-score" title="Relevance score">${result.score.toFixed(1)}</span>
+            </a>
+        `;
+    }
+
+    /**
+     * Escaped excerpt of text around the first matched search term, with the terms highlighted
+     */
+    createSearchExcerpt(text, terms, contextLength = 150) {
+        const content = String(text || '');
+        const match = this.findTermMatch(content, terms);
+        const center = match ? match.index : 0;
+        const start = Math.max(0, center - contextLength);
+        const end = Math.min(content.length, center + contextLength * 2);
+
+        let excerpt = content.substring(start, end);
+        // Don't start or end in the middle of a word
+        if (start > 0) excerpt = excerpt.replace(/^\S*\s/, '');
+        if (end < content.length) excerpt = excerpt.replace(/\s\S*$/, '');
+
+        return `${start > 0 ? '… ' : ''}${this.highlightTerms(excerpt.trim(), terms)}${end < content.length ? ' …' : ''}`;
+    }
+
+    /**
+     * Regular expression for words starting with one of the indexed search terms
+     */
+    searchTermPattern(terms, flags) {
+        return new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.map(term => this.escapeRegExp(term)).join('|')})`, flags);
+    }
+
+    /**
+     * First place a search term starts a word in text, as { index } or null
+     */
+    findTermMatch(text, terms) {
+        if (!terms.length) return null;
+        const match = this.searchTermPattern(terms, 'iu').exec(text);
+        return match ? { index: match.index + match[1].length } : null;
+    }
+
+    /**
+     * Escape text and highlight the words that start with a search term
+     */
+    highlightTerms(text, terms) {
+        const content = String(text || '');
+        if (!terms.length) return this.escapeHTML(content);
+
+        let html = '';
+        let position = 0;
+        for (const match of content.matchAll(this.searchTermPattern(terms, 'giu'))) {
+            const index = match.index + match[1].length;
+            html += this.escapeHTML(content.slice(position, index)) +
+                `<span class="search-highlight">${this.escapeHTML(match[2])}</span>`;
+            position = index + match[2].length;
+        }
+        return html + this.escapeHTML(content.slice(position));
+    }
+
     /**
      * Find text excerpts containing search term
      */
@@ -4163,6 +5793,13 @@ class ArchiveExplorer {
         }
 
         const totalMatches = results.reduce((sum, result) => sum + result.totalMatches, 0);
+
+        // Each excerpt opens the video at its match: at its cue when the file has timings
+        this.searchResultMoments = [];
+        const momentIndex = (result, excerpt) => {
+            this.searchResultMoments.push({ time: excerpt.time ?? null, terms: [searchTerm], variantKey: result.variantKey });
+            return `data-moment-index="${this.searchResultMoments.length - 1}"`;
+        };
         
         const html = `
             <div class="search-results-table">
@@ -4189,7 +5826,8 @@ class ArchiveExplorer {
                     <tbody id="searchResultsTableBody">
                         ${results.map(result => 
                             result.excerpts.map(excerpt => `
-                                <tr onclick="window.app.openVideoFromSearch('${result.video.video_id}')" 
+                                <tr onclick="window.app.openVideoFromSearch('${result.video.video_id}', this.dataset.momentIndex)" 
+                                    ${momentIndex(result, excerpt)}
                                     data-video-id="${result.video.video_id}"
                                     data-title="${this.escapeHTML(result.video.title)}"
                                     data-date="${result.video.published_at}"
@@ -4201,7 +5839,7 @@ class ArchiveExplorer {
                                              onerror="this.src='https://img.youtube.com/vi/${result.video.video_id}/mqdefault.jpg'">
                                     </td>
                                     <td>
-                                        <a href="#" class="search-result-title" onclick="event.preventDefault(); window.app.openVideoFromSearch('${result.video.video_id}')">
+                                        <a href="#" class="search-result-title" onclick="event.preventDefault()">
                                             ${this.escapeHTML(result.video.title)}
                                         </a>
                                     </td>
@@ -4216,7 +5854,9 @@ class ArchiveExplorer {
                                         </span>
                                     </td>
                                     <td>
+                                        ${result.languageLabel ? `<span class="badge bg-light text-dark border mb-1">${this.escapeHTML(result.languageLabel)}</span>` : ''}
                                         <div class="search-result-excerpt">
+                                            ${excerpt.time !== undefined ? this.createSearchMomentBadge(excerpt.time) : ''}
                                             "${this.highlightSearchTerms(this.escapeHTML(excerpt.text), searchTerm)}"
                                         </div>
                                     </td>
@@ -4269,9 +5909,16 @@ class ArchiveExplorer {
     }
 
     /**
-     * Open video from search and close modal
+     * Open video from search and close modal; with a moment index, the video opens at that search match
      */
-    openVideoFromSearch(videoId) {
+    openVideoFromSearch(videoId, momentIndex) {
+        const moment = momentIndex !== undefined ? this.searchResultMoments[parseInt(momentIndex)] : null;
+        this.pendingTranscriptMoment = moment ? { ...moment, videoId } : null;
+        if (moment?.variantKey) {
+            // Show the transcript in the language that matched
+            this.transcriptLanguage = moment.variantKey;
+        }
+
         // Close the search modal
         const modal = bootstrap.Modal.getInstance(document.getElementById('searchTranscriptsModal'));
         if (modal) {
@@ -4282,7 +5929,7 @@ class ArchiveExplorer {
         const video = this.dataManager.videos.find(v => v.video_id === videoId);
         if (video) {
             // Navigate to video
-            this.showVideo(video.video_id);
+            this.showVideoDetail(video.video_id);
         } else {
             console.error('Video not found:', videoId);
             this.showError('Video not found');
@@ -4358,6 +6005,9 @@ class ArchiveExplorer {
 
 }
 
+// Keywords listed in the filter panel before a search narrows them down
+ArchiveExplorer.FILTER_KEYWORD_LIMIT = 100;
+
 // Initialize the app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new ArchiveExplorer();
@@ -0,0 +1,350 @@
+/**
+ * ArchiveHealthCheck - Validates archive folders against their metadata
+ * Collects the problems the loaders otherwise only report as console warnings
+ * into one report that can be reviewed in the app or exported.
+ */
+class ArchiveHealthCheck {
+    constructor(directoryManager) {
+        this.directoryManager = directoryManager;
+
+        this.issueTypes = {
+            missing_media: { label: 'Video without media', severity: 'warning' },
+            orphan_media: { label: 'Media without metadata', severity: 'warning' },
+            unparsable_comments: { label: 'Unparsable comment file', severity: 'error' },
+            duplicate_id: { label: 'Duplicate ID', severity: 'error' },
+            resource_fork: { label: 'macOS resource fork', severity: 'info' },
+            comment_count_mismatch: { label: 'Comment count mismatch', severity: 'info' }
+        };
+
+        this.videoExtensions = ['mp4', 'webm', 'ogg', 'mov', 'avi', 'mkv', 'm4v'];
+        this.checkedMappings = new Set();
+    }
+
+    /**
+     * Check every archive in the current view and return the combined report
+     */
+    async run(workspace, progressCallback) {
+        const archives = workspace.getIncludedArchives();
+        this.checkedMappings = new Set();
+        const report = {
+            generated_at: new Date().toISOString(),
+            archives: [],
+            issues: [],
+            notes: [],
+            summary: {}
+        };
+
+        for (let i = 0; i < archives.length; i++) {
+            const archive = archives[i];
+            const prefix = archives.length > 1 ? `${archive.label}: ` : '';
+            const result = await this.checkArchive(archive, (message, progress) => {
+                progressCallback?.(`${prefix}${message}`, Math.round(((i + progress / 100) / archives.length) * 100));
+            });
+
+            report.archives.push({ id: archive.id, label: archive.label, source: archive.source, stats: result.stats });
+            report.issues.push(...result.issues);
+            report.notes.push(...result.notes.map(note => `${prefix}${note}`));
+        }
+
+        if (workspace.archives.length > 1) {
+            report.issues.push(...this.findCrossArchiveDuplicates(workspace.archives));
+        }
+
+        Object.keys(this.issueTypes).forEach(type => {
+            report.summary[type] = report.issues.filter(issue => issue.type === type).length;
+        });
+
+        progressCallback?.('Health check complete', 100);
+        console.log(`🩺 Archive health check found ${report.issues.length} issues`);
+        return report;
+    }
+
+    /**
+     * Check one archive's metadata, media, comment files and video mapping
+     */
+    async checkArchive(archive, progressCallback) {
+        const loader = archive.manager.archiveLoader;
+        const issues = [];
+        const notes = [];
+        const stats = { metadata_videos: 0, media_files: 0, comment_files: 0, scanned_files: 0 };
+        const addIssue = (type, fields) => issues.push({
+            archive: archive.label,
+            type,
+            severity: this.issueTypes[type].severity,
+            video_id: '',
+            path: '',
+            ...fields
+        });
+
+        progressCallback?.('Reading video metadata...', 5);
+        const metadata = await loader.loadVideoMetadata() || [];
+        stats.metadata_videos = metadata.length;
+        const metadataIds = this.countBy(metadata.map(entry => entry.video_id).filter(Boolean));
+        metadataIds.forEach((count, videoId) => {
+            if (count > 1) {
+                addIssue('duplicate_id', { video_id: videoId, message: `Listed ${count} times in the video metadata` });
+            }
+        });
+
+        let files = null;
+        if (loader.directoryHandle) {
+            progressCallback?.('Scanning archive folder...', 10);
+            files = await this.directoryManager.scanFiles(loader.directoryHandle, (count) => {
+                progressCallback?.(`Scanning archive folder... ${count} files`, 10);
+            });
+            stats.scanned_files = files.size;
+        } else {
+            notes.push('Hosted archive: media and comment files can only be checked in a selected folder');
+        }
+
+        // Media files against metadata
+        const mediaById = files ? this.collectMedia(files, loader) : await this.collectDiscoveredMedia(loader);
+        if (mediaById) {
+            stats.media_files = [...mediaById.values()].reduce((sum, paths) => sum + paths.length, 0);
+
+            metadataIds.forEach((count, videoId) => {
+                if (!mediaById.has(videoId)) {
+                    addIssue('missing_media', { video_id: videoId, message: 'In the metadata, but no media file was found' });
+                }
+            });
+            mediaById.forEach((paths, videoId) => {
+                if (!metadataIds.has(videoId)) {
+                    paths.forEach(path => addIssue('orphan_media', { video_id: videoId, path, message: 'Media file has no metadata entry' }));
+                }
+                if (paths.length > 1) {
+                    addIssue('duplicate_id', { video_id: videoId, path: paths.join('; '), message: `${paths.length} media files share this video ID` });
+                }
+            });
+        } else {
+            notes.push('Media presence was not checked: file listings are not available for this archive');
+        }
+
+        if (files) {
+            for (const path of files.keys()) {
+                if (this.isResourceForkName(path)) {
+                    addIssue('resource_fork', { video_id: loader.extractShortcode(path.split('/').pop()) || '', path, message: 'macOS metadata file copied with the archive' });
+                }
+            }
+        }
+
+        progressCallback?.('Checking video mapping...', 20);
+        const mapping = await this.loadVideoMapping(loader);
+        // The bundled ./data mapping is shared by every archive, so report it once
+        if (mapping && !this.checkedMappings.has(mapping.source)) {
+            this.checkedMappings.add(mapping.source);
+            Object.entries(mapping.data).forEach(([key, entry]) => {
+                const path = typeof entry === 'string' ? entry : entry?.file_path || '';
+                if (this.isResourceForkName(path)) {
+                    addIssue('resource_fork', {
+                        video_id: entry?.video_id || key.match(/[a-zA-Z0-9_-]{11}$/)?.[0] || key,
+                        path,
+                        message: `${mapping.source} entry "${key}" points at a resource fork instead of the video`
+                    });
+                }
+            });
+        }
+
+        // Comment files: parse them all and count what they hold
+        let commentCounts = null;
+        if (files) {
+            const commentPaths = [...files.keys()].filter(path =>
+                path.startsWith('bgca_yt_comments/') && /\.(json|txt)$/i.test(path) && !this.isResourceForkName(path)
+            );
+            stats.comment_files = commentPaths.length;
+            commentCounts = new Map();
+
+            for (let i = 0; i < commentPaths.length; i++) {
+                const path = commentPaths[i];
+                if (i % 25 === 0) {
+                    progressCallback?.(`Parsing comment files (${i}/${commentPaths.length})...`, 25 + Math.round((i / commentPaths.length) * 65));
+                }
+                await this.checkCommentFile(path, files.get(path), loader, commentCounts, addIssue);
+            }
+        } else if (archive.manager.comments.length > 0) {
+            commentCounts = this.countBy(archive.manager.comments.map(comment => comment.video_id));
+        }
+
+        progressCallback?.('Comparing comment counts...', 95);
+        if (commentCounts) {
+            archive.manager.videos.forEach(video => {
+                const found = commentCounts.get(video.video_id);
+                const expected = parseInt(video.comment_count);
+                // Videos without an archived comment file are not a mismatch, just not downloaded
+                if (found === undefined || isNaN(expected) || found === expected) return;
+                addIssue('comment_count_mismatch', {
+                    video_id: video.video_id,
+                    expected,
+                    found,
+                    message: `Metadata reports ${expected} comments, the archive holds ${found}`
+                });
+            });
+        }
+
+        return { stats, issues, notes };
+    }
+
+    /**
+     * Parse one comment file, recording its comment count and any problems
+     */
+    async checkCommentFile(path, handle, loader, commentCounts, addIssue) {
+        const shortcode = loader.extractShortcode(path.split('/').pop());
+        let text;
+        try {
+            text = await (await handle.getFile()).text();
+        } catch (error) {
+            addIssue('unparsable_comments', { video_id: shortcode || '', path, message: `Could not read file: ${error.message}` });
+            return;
+        }
+
+        if (text.includes('Mac OS X') && text.includes('ATTR') && text.includes('resource fork')) {
+            addIssue('resource_fork', { video_id: shortcode || '', path, message: 'Comment file holds a macOS resource fork instead of comments' });
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            addIssue('unparsable_comments', { video_id: shortcode || '', path, message: `Invalid JSON: ${error.message}` });
+            return;
+        }
+
+        const comments = ArchiveContentTypes.normalizeComments(data, shortcode);
+        if (comments.length === 0 && !Array.isArray(data) && !Array.isArray(data?.comments) && !Array.isArray(data?.[shortcode])) {
+            addIssue('unparsable_comments', { video_id: shortcode || '', path, message: 'No comment list found in file' });
+            return;
+        }
+
+        if (shortcode) {
+            commentCounts.set(shortcode, (commentCounts.get(shortcode) || 0) + comments.length);
+        }
+
+        const duplicates = [...this.countBy(comments.map(comment => comment.comment_id)).values()].filter(count => count > 1);
+        if (duplicates.length > 0) {
+            addIssue('duplicate_id', { video_id: shortcode || '', path, message: `${duplicates.length} comment IDs appear more than once` });
+        }
+    }
+
+    /**
+     * Group media files under bgca_yt_media by video ID
+     */
+    collectMedia(files, loader) {
+        const mediaById = new Map();
+        for (const path of files.keys()) {
+            const name = path.split('/').pop();
+            const extension = name.toLowerCase().split('.').pop();
+            if (!path.startsWith('bgca_yt_media/') || !this.videoExtensions.includes(extension) || this.isResourceForkName(name)) {
+                continue;
+            }
+            const videoId = loader.extractShortcode(name);
+            if (videoId) {
+                mediaById.set(videoId, [...(mediaById.get(videoId) || []), path]);
+            }
+        }
+        return mediaById;
+    }
+
+    /**
+     * Media listing from the PHP discovery API, when it is running.
+     * The fallback discovery only assumes files exist, so it cannot be trusted here.
+     */
+    async collectDiscoveredMedia(loader) {
+        const discovery = await loader.discoverFiles();
+        if (!loader.apiAvailable || !discovery?.discovery?.videos) {
+            return null;
+        }
+
+        const mediaById = new Map();
+        Object.entries(discovery.discovery.videos).forEach(([videoId, path]) => {
+            mediaById.set(videoId, [String(path)]);
+        });
+        return mediaById;
+    }
+
+    /**
+     * Find video-mapping.json in the archive folder, then next to the hosted archive, then in ./data
+     */
+    async loadVideoMapping(loader) {
+        const candidates = [];
+        if (loader.directoryHandle) {
+            candidates.push({ path: 'video-mapping.json' }, { path: 'bgca_yt_explorer_data/video-mapping.json' });
+        }
+        candidates.push({ url: `${loader.archivePath}/video-mapping.json` }, { url: './data/video-mapping.json' });
+
+        for (const candidate of candidates) {
+            try {
+                let data;
+                if (candidate.path) {
+                    const handle = await loader.getFileHandleByPath(candidate.path);
+                    data = JSON.parse(await (await handle.getFile()).text());
+                } else {
+                    const response = await fetch(candidate.url);
+                    if (!response.ok) continue;
+                    data = await response.json();
+                }
+                return { source: candidate.path || candidate.url, data: data || {} };
+            } catch (error) {
+                // Try next location
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Videos present in more than one archive of the workspace
+     */
+    findCrossArchiveDuplicates(archives) {
+        const owners = new Map();
+        archives.filter(archive => archive.status === 'ready').forEach(archive => {
+            archive.manager.videos.forEach(video => {
+                owners.set(video.video_id, [...(owners.get(video.video_id) || []), archive.label]);
+            });
+        });
+
+        const issues = [];
+        owners.forEach((labels, videoId) => {
+            if (labels.length > 1) {
+                issues.push({
+                    archive: labels.join('; '),
+                    type: 'duplicate_id',
+                    severity: this.issueTypes.duplicate_id.severity,
+                    video_id: videoId,
+                    path: '',
+                    message: `Archived in ${labels.length} archives; only the first is shown in the merged view`
+                });
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * Check whether a file name or path points at an AppleDouble "._" file
+     */
+    isResourceForkName(path) {
+        return path.split('/').pop().startsWith('._');
+    }
+
+    /**
+     * Count occurrences of each value
+     */
+    countBy(values) {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        return counts;
+    }
+
+    /**
+     * Flatten a report into rows for CSV export
+     */
+    toRows(report) {
+        return report.issues.map(issue => ({
+            ...issue,
+            label: this.issueTypes[issue.type]?.label || issue.type,
+            expected: issue.expected ?? '',
+            found: issue.found ?? ''
+        }));
+    }
+}
+
+// Export for use in other modules
+window.ArchiveHealthCheck = ArchiveHealthCheck;
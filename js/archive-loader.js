@@ -11,6 +11,12 @@ class ArchiveLoader {
         this.shortcodeRegex = /([a-zA-Z0-9_-]{11})/g;
         this.fileDiscovery = null;
         this.directoryHandle = null; // Store the directory handle from File System Access API
+        this.channelTitle = null; // Fallback channel name for videos whose metadata doesn't have one
+        this.apiAvailable = false; // Set once the PHP discovery API has answered
+        this.snapshotFolder = 'bgca_yt_metadata_history'; // Earlier dated copies of bgca_yt_metadata.json
+        this.sources = [];
+        this.registerDefaultSources();
+        this.manifest = new ArchiveManifest(this);
     }
 
     /**
@@ -18,11 +24,99 @@ class ArchiveLoader {
      */
     setDirectoryHandle(directoryHandle) {
         this.directoryHandle = directoryHandle;
+        this.manifest.markStale();
         if (directoryHandle) {
             console.log(`📁 Archive loader updated to use directory: ${directoryHandle.name}`);
         }
     }
 
+    /**
+     * Resolve a slash-separated folder path below the selected archive folder
+     */
+    async getDirectoryByPath(path) {
+        let dir = this.directoryHandle;
+        for (const part of path.split('/').filter(Boolean)) {
+            dir = await dir.getDirectoryHandle(part);
+        }
+        return dir;
+    }
+
+    /**
+     * Resolve a slash-separated file path below the selected archive folder
+     */
+    async getFileHandleByPath(path) {
+        const parts = path.split('/');
+        const fileName = parts.pop();
+        const dir = await this.getDirectoryByPath(parts.join('/'));
+        return dir.getFileHandle(fileName);
+    }
+
+    /**
+     * Collect lastModified stamps for every archive file the parsed data is built from.
+     * Used by the IndexedDB cache to tell whether it is still current.
+     */
+    async getSourceStamps() {
+        if (!this.directoryHandle) {
+            return null;
+        }
+
+        const stamps = {};
+
+        // Per-file folders are covered by the manifest's folder signatures
+        const manifest = await this.manifest.load();
+        for (const [folder, signature] of Object.entries(manifest?.folders || {})) {
+            if (signature) {
+                stamps[`${folder}/`] = `${signature.file_count}:${signature.latest_modified}`;
+            }
+        }
+
+        const files = [
+            'bgca_yt_metadata.json',
+            'bgca_yt_keywords.json',
+            'comments.json',
+            'summaries.json',
+            'bgca_yt_explorer_data/videos.json',
+            'bgca_yt_explorer_data/transcripts.json',
+            'bgca_yt_explorer_data/summaries.json',
+            'bgca_yt_explorer_data/comments.json'
+        ];
+        for (const path of files) {
+            try {
+                const file = await (await this.getFileHandleByPath(path)).getFile();
+                stamps[path] = `${file.lastModified}:${file.size}`;
+            } catch (error) {
+                // File not part of this archive layout
+            }
+        }
+
+        for (const { path, file } of await this.listMetadataSnapshots()) {
+            stamps[path] = `${file.lastModified}:${file.size}`;
+        }
+
+        return stamps;
+    }
+
+    /**
+     * Make sure the archive folder can be written to, asking the user if needed
+     */
+    async ensureWritePermission() {
+        if (!this.directoryHandle) {
+            return false;
+        }
+
+        const options = { mode: 'readwrite' };
+        try {
+            if (await this.directoryHandle.queryPermission?.(options) === 'granted') {
+                return true;
+            }
+            return await this.directoryHandle.requestPermission?.(options) === 'granted';
+        } catch (error) {
+            // requestPermission needs a user gesture; callers fall back to read-only behaviour
+            console.warn('⚠️ Could not obtain write permission for archive folder:', error.message);
+            return false;
+        }
+    }
+
     /**
      * Extract shortcode from filename using various patterns
      */
@@ -33,6 +127,7 @@ class ArchiveLoader {
             /_([a-zA-Z0-9_-]{11})_comments/,
             /_([a-zA-Z0-9_-]{11})_youtube/,
             /_([a-zA-Z0-9_-]{11})\.mp4/,
+            /[_#\[]([a-zA-Z0-9_-]{11})\]?(?:\.[a-zA-Z-]+)?\.(?:vtt|srt)$/,
             /([a-zA-Z0-9_-]{11})/
         ];
 
@@ -64,6 +159,7 @@ class ArchiveLoader {
                 
                 if (data.success) {
                     this.fileDiscovery = data;
+                    this.apiAvailable = true;
                     console.log('✅ PHP file discovery completed successfully');
                     return data;
                 }
@@ -122,7 +218,7 @@ class ArchiveLoader {
         // Load data from user directory or fallback to included files
         let transcripts = {};
         let summaries = {};
-        let comments = {};
+        let commentVideoIds = new Set(); // comments.json can be huge; only its video IDs are needed here
         
         try {
             // Try loading from user's directory first
@@ -146,8 +242,7 @@ class ArchiveLoader {
                     
                     try {
                         const commentsFile = await explorerDataDir.getFileHandle('comments.json');
-                        const file = await commentsFile.getFile();
-                        comments = JSON.parse(await file.text());
+                        commentVideoIds = await this.readCommentBundleVideoIds(await commentsFile.getFile());
                         console.log('📁 Loaded comments from user directory');
                     } catch (e) { /* ignore */ }
                 } catch (error) {
@@ -170,14 +265,13 @@ class ArchiveLoader {
                 } catch (e) { /* ignore */ }
             }
             
-            if (Object.keys(comments).length === 0) {
+            if (commentVideoIds.size === 0) {
                 try {
-                    const response = await fetch('./data/comments.json');
-                    if (response.ok) comments = await response.json();
+                    commentVideoIds = await this.readCommentBundleVideoIds('./data/comments.json');
                 } catch (e) { /* ignore */ }
             }
 
-            console.log(`📊 Loaded data: ${Object.keys(transcripts).length} transcripts, ${Object.keys(summaries).length} summaries, ${Object.keys(comments).length} comments`);
+            console.log(`📊 Loaded data: ${Object.keys(transcripts).length} transcripts, ${Object.keys(summaries).length} summaries, ${commentVideoIds.size} comments`);
 
             // Create discovery structure based on available data
             const discovery = {
@@ -198,7 +292,7 @@ class ArchiveLoader {
                     if (summaries[shortcode]) {
                         discovery.summaries[shortcode] = `${shortcode}_summary.txt`;
                     }
-                    if (comments[shortcode]) {
+                    if (commentVideoIds.has(shortcode)) {
                         discovery.comments[shortcode] = `${shortcode}_comments.json`;
                     }
                     
@@ -207,6 +301,15 @@ class ArchiveLoader {
                 }
             });
 
+            // Files actually present in the user's folder override the assumptions above
+            const manifest = await this.manifest.load();
+            if (manifest) {
+                Object.assign(discovery.transcripts, manifest.files.transcript);
+                Object.assign(discovery.summaries, manifest.files.summary);
+                Object.assign(discovery.comments, manifest.files.comments);
+                Object.assign(discovery.videos, manifest.files.video);
+            }
+
             const totals = {
                 unique_videos: metadata.length,
                 transcripts: Object.keys(discovery.transcripts).length,
@@ -231,6 +334,20 @@ class ArchiveLoader {
         }
     }
 
+    /**
+     * Video IDs with comments in a combined comments.json (a File or URL), streamed record by record
+     */
+    async readCommentBundleVideoIds(source) {
+        const videoIds = new Set();
+        const onRecord = (record, path) => videoIds.add(path.length > 0 ? path[0] : record.video_id);
+        if (typeof source === 'string') {
+            await StreamingJsonParser.parseUrl(source, onRecord);
+        } else {
+            await StreamingJsonParser.parseFile(source, onRecord);
+        }
+        return videoIds;
+    }
+
     /**
      * Load video metadata from user's directory or fallback to local data
      */
@@ -289,45 +406,215 @@ class ArchiveLoader {
     }
 
     /**
-     * Load additional metadata from .info.json file for a specific video
+     * Dated metadata snapshots kept next to the current bgca_yt_metadata.json, as [{ path, file }]
      */
-    async loadVideoInfoFile(shortcode, publishedDate) {
-        const cacheKey = `info_${shortcode}`;
-        if (this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
+    async listMetadataSnapshots() {
+        if (!this.directoryHandle) {
+            return [];
         }
 
-        // Try different patterns to find the actual .info.json file
-        const patterns = [
-            // Pattern with published date and "youtube video" format
-            publishedDate ? `${publishedDate.replace(/-/g, '').substring(0, 8)}_${shortcode}_youtube video #${shortcode}.info.json` : null,
-            // Fallback with default date and "youtube video" format  
-            `20080317_${shortcode}_youtube video #${shortcode}.info.json`,
-            // Pattern with different date prefixes (the files seem to use more recent dates)
-            `20250626_${shortcode}_*.info.json`, // Will need glob matching
-            `*_${shortcode}_*.info.json` // Most general pattern
-        ].filter(Boolean);
-
-        // First try the exact patterns
-        for (const pattern of patterns.slice(0, 2)) {
+        const snapshots = [];
+        try {
+            const dir = await this.getDirectoryByPath(this.snapshotFolder);
+            for await (const [name, handle] of dir.entries()) {
+                if (handle.kind === 'file' && name.endsWith('.json') && !name.startsWith('._')) {
+                    snapshots.push({ path: `${this.snapshotFolder}/${name}`, file: await handle.getFile() });
+                }
+            }
+        } catch (error) {
+            // No snapshot history in this archive
+        }
+        return snapshots.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    /**
+     * Per-video view, like and comment counts from every metadata snapshot, oldest first.
+     * Points are dated by each record's scraped_at, else by a date in the snapshot's file name,
+     * else by the file's modification time. Returns a Map of video_id → points.
+     */
+    async loadMetricsHistory(currentMetadata) {
+        if (this.cache.has('metrics_history')) {
+            return this.cache.get('metrics_history');
+        }
+
+        const history = new Map();
+        const undatedCounts = new Set();
+        const addRecords = (records, fallbackDate) => {
+            records.forEach(record => {
+                const scrapedAt = record?.scraped_at ? new Date(record.scraped_at) : fallbackDate;
+                if (!record?.video_id || !scrapedAt || isNaN(scrapedAt)) return;
+
+                const point = {
+                    scraped_at: scrapedAt.toISOString(),
+                    view_count: parseInt(record.view_count) || 0,
+                    like_count: parseInt(record.like_count) || 0,
+                    comment_count: parseInt(record.comment_count) || 0
+                };
+
+                // The current file is often also copied into the history folder: the same
+                // scrape shows up with the same scraped_at, or undated with the same counts
+                const points = history.get(record.video_id) || [];
+                if (points.some(existing => existing.scraped_at === point.scraped_at)) return;
+                if (!record.scraped_at) {
+                    const countsKey = `${record.video_id}:${point.view_count}:${point.like_count}:${point.comment_count}`;
+                    if (undatedCounts.has(countsKey)) return;
+                    undatedCounts.add(countsKey);
+                }
+
+                points.push(point);
+                history.set(record.video_id, points);
+            });
+        };
+
+        const snapshots = await this.listMetadataSnapshots();
+        for (const { path, file } of snapshots) {
+            try {
+                const data = JSON.parse(await file.text());
+                const dateMatch = path.match(/(\d{4})-?(\d{2})-?(\d{2})/);
+                const fallbackDate = dateMatch ? new Date(`${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}T00:00:00Z`) : new Date(file.lastModified);
+                addRecords(Array.isArray(data) ? data : Object.values(data), fallbackDate);
+            } catch (error) {
+                console.warn(`⚠️ Could not read metadata snapshot ${path}:`, error);
+            }
+        }
+
+        let currentDate = null;
+        if (this.directoryHandle) {
             try {
-                const response = await fetch(`${this.archivePath}/bgca_yt_media/${pattern}`);
-                if (response.ok) {
-                    const infoData = await response.json();
-                    this.cache.set(cacheKey, infoData);
-                    console.log(`✅ Loaded info file: ${pattern}`);
-                    return infoData;
+                currentDate = new Date((await (await this.getFileHandleByPath('bgca_yt_metadata.json')).getFile()).lastModified);
+            } catch (error) {
+                // Metadata came from another file; undated records are left out
+            }
+        }
+        addRecords(currentMetadata || [], currentDate);
+
+        history.forEach(points => points.sort((a, b) => a.scraped_at.localeCompare(b.scraped_at)));
+        if (snapshots.length > 0) {
+            console.log(`📊 Loaded metrics history from ${snapshots.length} metadata snapshots`);
+        }
+
+        this.cache.set('metrics_history', history);
+        return history;
+    }
+
+    /**
+     * Growth between the two latest scrapes of a video, or null with fewer than two
+     */
+    computeGrowth(points) {
+        if (!points || points.length < 2) {
+            return null;
+        }
+
+        const previous = points[points.length - 2];
+        const latest = points[points.length - 1];
+        return {
+            since: previous.scraped_at,
+            until: latest.scraped_at,
+            view_count: latest.view_count - previous.view_count,
+            like_count: latest.like_count - previous.like_count,
+            comment_count: latest.comment_count - previous.comment_count
+        };
+    }
+
+    /**
+     * Read every .info.json in the selected archive's bgca_yt_media folder.
+     * Returns a Map of shortcode → the fields the explorer uses (see extractInfoFields).
+     */
+    async loadAllInfoFiles() {
+        if (this.cache.has('info_all')) {
+            return this.cache.get('info_all');
+        }
+
+        const infoFiles = new Map();
+        if (!this.directoryHandle) {
+            return infoFiles;
+        }
+
+        let paths = {};
+        const manifest = await this.manifest.load();
+        if (manifest) {
+            paths = manifest.files.info || {};
+        } else {
+            try {
+                const mediaDir = await this.directoryHandle.getDirectoryHandle('bgca_yt_media');
+                for await (const [name, handle] of mediaDir.entries()) {
+                    const shortcode = this.extractShortcode(name);
+                    if (handle.kind === 'file' && name.endsWith('.info.json') && !name.startsWith('._') && shortcode && !paths[shortcode]) {
+                        paths[shortcode] = `bgca_yt_media/${name}`;
+                    }
                 }
             } catch (error) {
-                // Continue to next pattern
+                console.log('📁 No bgca_yt_media folder, skipping .info.json metadata');
             }
         }
 
-        // If exact patterns fail, try to find any .info.json file for this video ID
-        // This is a fallback that would ideally use a proper file discovery API
-        console.warn(`Could not find exact info file for ${shortcode}, trying fallback discovery`);
-        
-        return null;
+        for (const [shortcode, path] of Object.entries(paths)) {
+            const infoData = await this.readInfoFile(path);
+            if (infoData) {
+                infoFiles.set(shortcode, infoData);
+            }
+        }
+
+        console.log(`📊 Loaded ${infoFiles.size} of ${Object.keys(paths).length} .info.json files`);
+        this.cache.set('info_all', infoFiles);
+        return infoFiles;
+    }
+
+    /**
+     * Read one .info.json from the archive folder, keeping only the fields the explorer uses
+     */
+    async readInfoFile(path) {
+        try {
+            const file = await (await this.getFileHandleByPath(path)).getFile();
+            const text = await file.text();
+            if (text.includes('Mac OS X') && text.includes('ATTR')) {
+                return null; // Resource fork copied alongside the real file
+            }
+            return this.extractInfoFields(JSON.parse(text));
+        } catch (error) {
+            console.warn(`⚠️ Could not read info file ${path}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Reduce a yt-dlp info dict to the fields merged into video records.
+     * The full dicts carry every format and thumbnail and are far too large to keep around.
+     */
+    extractInfoFields(info) {
+        const chapters = Array.isArray(info.chapters) ? info.chapters.map(chapter => ({
+            start_time: Number(chapter.start_time) || 0,
+            end_time: Number(chapter.end_time) || 0,
+            title: chapter.title || ''
+        })) : [];
+
+        return {
+            title: info.title || info.fulltitle || '',
+            description: info.description || '',
+            upload_date: info.upload_date || '',
+            timestamp: info.timestamp || null,
+            channel: info.channel || info.uploader || '',
+            channel_id: info.channel_id || null,
+            view_count: info.view_count ?? null,
+            like_count: info.like_count ?? null,
+            comment_count: info.comment_count ?? null,
+            duration: info.duration ?? null,
+            thumbnail: info.thumbnail || '',
+            tags: Array.isArray(info.tags) ? info.tags : [],
+            categories: Array.isArray(info.categories) ? info.categories : [],
+            width: info.width || null,
+            height: info.height || null,
+            resolution: info.resolution || (info.width && info.height ? `${info.width}x${info.height}` : ''),
+            fps: info.fps || null,
+            chapters
+        };
+    }
+
+    /**
+     * Check whether a description was cut short by the metadata export
+     */
+    isTruncatedText(text) {
+        return /(\.\.\.|…)\s*$/.test(text || '');
     }
 
     /**
@@ -395,505 +682,200 @@ class ArchiveLoader {
     }
 
     /**
-     * Load transcript for a specific video by shortcode
+     * Register an archive source; sources are consulted in ascending priority order
      */
-    async loadTranscript(shortcode) {
-        const cacheKey = `transcript_${shortcode}`;
+    registerSource(source) {
+        this.sources = this.sources.filter(existing => existing.name !== source.name);
+        this.sources.push(source);
+        this.sources.sort((a, b) => a.priority - b.priority);
+        console.log(`🔌 Registered archive source: ${source.name} (priority ${source.priority})`);
+    }
+
+    /**
+     * Register the built-in archive layouts
+     */
+    registerDefaultSources() {
+        this.registerSource(new DirectoryArchiveSource(this, 10));
+        this.registerSource(new DirectoryBundleArchiveSource(this, '', 20));
+        this.registerSource(new DirectoryBundleArchiveSource(this, 'bgca_yt_explorer_data', 25));
+        this.registerSource(new PhpApiArchiveSource(this, 30));
+        this.registerSource(new HttpBundleArchiveSource(this, 'archive_http', () => `${this.archivePath}/bgca_yt_explorer_data`, 40));
+        this.registerSource(new HttpBundleArchiveSource(this, 'included_data', './data', 50));
+    }
+
+    /**
+     * Resolve one content type for a video through the registered sources
+     */
+    async resolveContent(type, shortcode) {
+        const contentType = ArchiveContentTypes[type];
+        if (!contentType) {
+            throw new Error(`Unknown archive content type: ${type}`);
+        }
+
+        const cacheKey = `${type}_${shortcode}`;
         if (this.cache.has(cacheKey)) {
             return this.cache.get(cacheKey);
         }
 
-        // Try loading from user's archive directory first
-        if (this.directoryHandle) {
+        for (const source of this.sources) {
+            if (!source.isAvailable()) {
+                continue;
+            }
+
             try {
-                // Try loading from bgca_yt_subtitles directory (individual files)
-                const subtitlesDir = await this.directoryHandle.getDirectoryHandle('bgca_yt_subtitles');
-                
-                // Try different file patterns for transcript files
-                const patterns = [
-                    `${shortcode}_en_auto_ytdlp.txt`,
-                    `${shortcode}.txt`,
-                    `${shortcode}_en.txt`,
-                    `${shortcode}_transcript.txt`
-                ];
-                
-                // If direct patterns fail, try to find files with shortcode anywhere in filename
-                try {
-                    for await (const [name, handle] of subtitlesDir.entries()) {
-                        // Skip macOS resource forks and hidden files
-                        if (name.startsWith('._') || name.startsWith('.DS_Store') || name.includes('ATTR')) {
-                            continue;
-                        }
-                        
-                        if (handle.kind === 'file' && name.includes(shortcode) && name.endsWith('_en_auto_ytdlp.txt')) {
-                            const file = await handle.getFile();
-                            const transcriptText = await file.text();
-                            
-                            // Check if this is actually a resource fork by looking for binary content
-                            if (transcriptText.includes('Mac OS X') && transcriptText.includes('ATTR') && transcriptText.includes('resource fork')) {
-                                console.log(`⚠️ Skipping macOS resource fork: ${name}`);
-                                continue;
-                            }
-                            
-                            const transcript = {
-                                video_id: shortcode,
-                                transcript: transcriptText,
-                                source_file: `bgca_yt_subtitles/${name}`
-                            };
-                            this.cache.set(cacheKey, transcript);
-                            console.log(`✅ Loaded transcript from user's archive (pattern match): ${name}`);
-                            return transcript;
-                        }
-                    }
-                } catch (iterError) {
-                    console.log(`📁 Could not iterate directory for pattern matching: ${iterError.message}`);
-                }
-                
-                for (const pattern of patterns) {
-                    try {
-                        const transcriptFile = await subtitlesDir.getFileHandle(pattern);
-                        const file = await transcriptFile.getFile();
-                        const transcriptText = await file.text();
-                        
-                        // Check if this is actually a resource fork by looking for binary content
-                        if (transcriptText.includes('Mac OS X') && transcriptText.includes('ATTR') && transcriptText.includes('resource fork')) {
-                            console.log(`⚠️ Skipping macOS resource fork: ${pattern}`);
-                            continue;
-                        }
-                        
-                        const transcript = {
-                            video_id: shortcode,
-                            transcript: transcriptText,
-                            source_file: `bgca_yt_subtitles/${pattern}`
-                        };
-                        this.cache.set(cacheKey, transcript);
-                        console.log(`✅ Loaded transcript from user's archive: ${pattern}`);
-                        return transcript;
-                    } catch (e) {
-                        // Try next pattern
-                    }
+                const entry = await source.load(contentType, shortcode);
+                if (entry) {
+                    const result = contentType.build(shortcode, entry.data, entry.source_file);
+                    this.cache.set(cacheKey, result);
+                    console.log(`✅ Loaded ${contentType.label} for ${shortcode} from ${source.name}: ${entry.source_file}`);
+                    return result;
                 }
             } catch (error) {
-                console.log(`📁 No bgca_yt_subtitles folder or transcript files, trying explorer_data...`);
-                
-                // Fallback to explorer_data folder
-                try {
-                    const explorerDataDir = await this.directoryHandle.getDirectoryHandle('bgca_yt_explorer_data');
-                    const transcriptsFile = await explorerDataDir.getFileHandle('transcripts.json');
-                    const file = await transcriptsFile.getFile();
-                    const transcripts = JSON.parse(await file.text());
-                    
-                    if (transcripts[shortcode]) {
-                        const transcript = {
-                            video_id: shortcode,
-                            transcript: transcripts[shortcode],
-                            source_file: 'bgca_yt_explorer_data/transcripts.json'
-                        };
-                        this.cache.set(cacheKey, transcript);
-                        console.log(`✅ Loaded transcript from explorer_data: ${shortcode}`);
-                        return transcript;
-                    }
-                } catch (e2) {
-                    console.log(`📁 No transcript in explorer_data for ${shortcode}, trying fallback...`);
-                }
+                console.log(`📁 Source ${source.name} could not provide ${contentType.label} for ${shortcode}: ${error.message}`);
             }
         }
 
-        // Fallback: load from included data
-        try {
-            const response = await fetch('./data/transcripts.json');
-            if (response.ok) {
-                const transcripts = await response.json();
-                if (transcripts[shortcode]) {
-                    const transcript = {
-                        video_id: shortcode,
-                        transcript: transcripts[shortcode],
-                        source_file: 'included_data/transcripts.json'
-                    };
-                    this.cache.set(cacheKey, transcript);
-                    console.log(`✅ Loaded transcript from included data: ${shortcode}`);
-                    return transcript;
-                }
-            }
-        } catch (error) {
-            console.warn(`Failed to load transcript for ${shortcode}:`, error);
-        }
-        
-        console.log(`📝 Transcript for ${shortcode} not available`);
-        return null;
+        console.log(`📝 ${contentType.label} for ${shortcode} not available`);
+        return contentType.empty();
+    }
+
+    /**
+     * Load transcript for a specific video by shortcode
+     */
+    async loadTranscript(shortcode) {
+        return this.resolveContent('transcript', shortcode);
     }
 
     /**
      * Load summary for a specific video by shortcode
      */
     async loadSummary(shortcode) {
-        const cacheKey = `summary_${shortcode}`;
-        if (this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
+        return this.resolveContent('summary', shortcode);
+    }
+
+    /**
+     * Load timed subtitle cues (WebVTT or SRT) for a specific video by shortcode
+     */
+    async loadSubtitles(shortcode) {
+        return this.resolveContent('subtitles', shortcode);
+    }
+
+    /**
+     * List bgca_yt_subtitles once, grouping subtitle and transcript file names by shortcode
+     */
+    async getTranscriptListing() {
+        if (this.cache.has('transcript_files')) {
+            return this.cache.get('transcript_files');
         }
 
-        try {
-            // Try loading from user's archive directory first
-            if (this.directoryHandle) {
-                try {
-                    // Try loading from bgca_yt_summaries directory (individual files)
-                    const summariesDir = await this.directoryHandle.getDirectoryHandle('bgca_yt_summaries');
-                    
-                    // Try different file patterns for summary files
-                    const patterns = [
-                        `${shortcode}_summary.txt`,
-                        `${shortcode}.txt`,
-                        `${shortcode}_summary.json`,
-                        `${shortcode}.json`
-                    ];
-                    
-                    // If direct patterns fail, try to find files with shortcode anywhere in filename
-                    try {
-                        for await (const [name, handle] of summariesDir.entries()) {
-                            // Skip macOS resource forks and hidden files
-                            if (name.startsWith('._') || name.startsWith('.DS_Store') || name.includes('ATTR')) {
-                                continue;
-                            }
-                            
-                            if (handle.kind === 'file' && name.includes(shortcode) && name.includes('_summary')) {
-                                const file = await handle.getFile();
-                                const summaryText = await file.text();
-                                
-                                // Check if this is actually a resource fork by looking for binary content
-                                if (summaryText.includes('Mac OS X') && summaryText.includes('ATTR') && summaryText.includes('resource fork')) {
-                                    console.log(`⚠️ Skipping macOS resource fork: ${name}`);
-                                    continue;
-                                }
-                                
-                                const summary = {
-                                    video_id: shortcode,
-                                    summary: summaryText,
-                                    source_file: `bgca_yt_summaries/${name}`
-                                };
-                                this.cache.set(cacheKey, summary);
-                                console.log(`✅ Loaded summary from user's archive (pattern match): ${name}`);
-                                return summary;
-                            }
-                        }
-                    } catch (iterError) {
-                        console.log(`📁 Could not iterate directory for pattern matching: ${iterError.message}`);
-                    }
-                    
-                    for (const pattern of patterns) {
-                        try {
-                            const summaryFile = await summariesDir.getFileHandle(pattern);
-                            const file = await summaryFile.getFile();
-                            const summaryText = await file.text();
-                            
-                            // Check if this is actually a resource fork by looking for binary content
-                            if (summaryText.includes('Mac OS X') && summaryText.includes('ATTR') && summaryText.includes('resource fork')) {
-                                console.log(`⚠️ Skipping macOS resource fork: ${pattern}`);
-                                continue;
-                            }
-                            
-                            const summary = {
-                                video_id: shortcode,
-                                summary: summaryText,
-                                source_file: `bgca_yt_summaries/${pattern}`
-                            };
-                            this.cache.set(cacheKey, summary);
-                            console.log(`✅ Loaded summary from user's archive: ${pattern}`);
-                            return summary;
-                        } catch (e) {
-                            // Try next pattern
-                        }
-                    }
-                } catch (error) {
-                    console.log(`📁 No bgca_yt_summaries folder or summary files, trying root folder...`);
-                    
-                    // Try root of archive folder for summaries.json
-                    try {
-                        const summariesFile = await this.directoryHandle.getFileHandle('summaries.json');
-                        const file = await summariesFile.getFile();
-                        const summaries = JSON.parse(await file.text());
-                        
-                        if (summaries[shortcode]) {
-                            const summary = {
-                                video_id: shortcode,
-                                summary: summaries[shortcode],
-                                source_file: 'summaries.json'
-                            };
-                            this.cache.set(cacheKey, summary);
-                            console.log(`✅ Loaded summary from archive root: ${shortcode}`);
-                            return summary;
-                        }
-                    } catch (e2) {
-                        console.log(`📁 No summaries.json in archive root, trying explorer_data folder...`);
-                    
-                    try {
-                        const explorerDataDir = await this.directoryHandle.getDirectoryHandle('bgca_yt_explorer_data');
-                        const summariesFile = await explorerDataDir.getFileHandle('summaries.json');
-                        const file = await summariesFile.getFile();
-                        const summaries = JSON.parse(await file.text());
-                        
-                        if (summaries[shortcode]) {
-                            const summary = {
-                                video_id: shortcode,
-                                summary: summaries[shortcode],
-                                source_file: 'user_directory/bgca_yt_explorer_data/summaries.json'
-                            };
-                            this.cache.set(cacheKey, summary);
-                            console.log(`✅ Loaded summary from explorer_data folder: ${shortcode}`);
-                            return summary;
-                        }
-                    } catch (e2) {
-                        console.log(`📁 No summary in explorer_data folder for ${shortcode}, trying fallback...`);
+        const listing = new Map();
+        if (this.directoryHandle) {
+            try {
+                const dir = await this.getDirectoryByPath('bgca_yt_subtitles');
+                for await (const [name, handle] of dir.entries()) {
+                    if (handle.kind !== 'file' || name.startsWith('._') || !/\.(vtt|srt|txt)$/i.test(name)) {
+                        continue;
                     }
+                    const fileShortcode = this.extractShortcode(name);
+                    if (fileShortcode) {
+                        listing.set(fileShortcode, [...(listing.get(fileShortcode) || []), name]);
                     }
                 }
+            } catch (error) {
+                console.log('📁 No bgca_yt_subtitles folder, no transcript languages available');
             }
-            
-            // Fallback to included data
-            const response = await fetch('./data/summaries.json');
-            if (response.ok) {
-                const summaries = await response.json();
-                if (summaries[shortcode]) {
-                    const summary = {
-                        video_id: shortcode,
-                        summary: summaries[shortcode],
-                        source_file: 'summaries.json'
-                    };
-                    this.cache.set(cacheKey, summary);
-                    console.log(`✅ Loaded summary from JSON: ${shortcode}`);
-                    return summary;
-                }
+        }
+
+        this.cache.set('transcript_files', listing);
+        return listing;
+    }
+
+    /**
+     * Every language variant of a video's transcript: one entry per language and manual/auto kind.
+     * Timed files win over plain text for the same variant (WebVTT, then SRT, then .txt).
+     * Only available for a selected archive folder.
+     */
+    async findTranscriptVariants(shortcode, { timedOnly = false } = {}) {
+        const formatRank = { vtt: 0, srt: 1, txt: 2 };
+        const names = ((await this.getTranscriptListing()).get(shortcode) || [])
+            .map(name => ({ name, format: name.toLowerCase().split('.').pop() }))
+            .filter(file => !timedOnly || file.format !== 'txt')
+            .sort((a, b) => formatRank[a.format] - formatRank[b.format] || a.name.localeCompare(b.name));
+
+        const variants = new Map();
+        names.forEach(({ name, format }) => {
+            const { language, auto } = SubtitleParser.languageFromFilename(name, shortcode);
+            const key = `${language}:${auto}`;
+            if (!variants.has(key)) {
+                variants.set(key, {
+                    language,
+                    auto,
+                    label: SubtitleParser.languageLabel(language, auto),
+                    format,
+                    path: `bgca_yt_subtitles/${name}`
+                });
             }
-        } catch (error) {
-            console.warn(`Failed to load summary for ${shortcode}:`, error);
+        });
+
+        // Uploaded before auto-generated, then alphabetical
+        return [...variants.values()].sort((a, b) => a.auto - b.auto || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * A video's subtitle files that can be shown as timed captions
+     */
+    async findSubtitleFiles(shortcode) {
+        return this.findTranscriptVariants(shortcode, { timedOnly: true });
+    }
+
+    /**
+     * Languages that have a transcript for at least one video in the archive
+     */
+    async listTranscriptLanguages() {
+        const languages = new Set();
+        for (const [shortcode, names] of await this.getTranscriptListing()) {
+            names.forEach(name => languages.add(SubtitleParser.languageFromFilename(name, shortcode).language));
         }
-        
-        console.log(`📄 Summary for ${shortcode} not available`);
-        return null;
+        return [...languages]
+            .map(language => ({ language, label: SubtitleParser.languageLabel(language) }))
+            .sort((a, b) => a.label.localeCompare(b.label));
     }
 
     /**
-     * Load comments for a specific video by shortcode
+     * Read one transcript or subtitle file from the archive folder.
+     * Resolves to { cues, transcript, source_file }; cues is null for plain-text transcripts.
+     * Pass cache: false for one-off reads such as searching every language.
      */
-    async loadComments(shortcode) {
-        const cacheKey = `comments_${shortcode}`;
+    async loadTranscriptFile(path, { cache = true } = {}) {
+        const cacheKey = `transcript_file_${path}`;
         if (this.cache.has(cacheKey)) {
             return this.cache.get(cacheKey);
         }
 
-        // Try loading from user's archive directory first
-        if (this.directoryHandle) {
-            try {
-                // Try loading from bgca_yt_comments directory (individual files)
-                let commentsDir;
-                try {
-                    // First try the video_comments subdirectory (newer structure)
-                    const baseCommentsDir = await this.directoryHandle.getDirectoryHandle('bgca_yt_comments');
-                    commentsDir = await baseCommentsDir.getDirectoryHandle('video_comments');
-                    console.log(`📁 Using bgca_yt_comments/video_comments/ subdirectory for ${shortcode}`);
-                } catch (e) {
-                    // Fallback to root bgca_yt_comments directory (older structure)
-                    commentsDir = await this.directoryHandle.getDirectoryHandle('bgca_yt_comments');
-                    console.log(`📁 Using bgca_yt_comments/ root directory for ${shortcode}`);
-                }
-                
-                // Try different file patterns for comment files
-                const patterns = [
-                    `${shortcode}_comments.json`,
-                    `${shortcode}.json`,
-                    `${shortcode}_comments.txt`,
-                    `${shortcode}.txt`
-                ];
-                
-                // If direct patterns fail, try to find files with shortcode anywhere in filename
-                try {
-                    for await (const [name, handle] of commentsDir.entries()) {
-                        // Skip macOS resource forks and hidden files
-                        if (name.startsWith('._') || name.startsWith('.DS_Store') || name.includes('ATTR')) {
-                            continue;
-                        }
-                        
-                        if (handle.kind === 'file' && name.includes(shortcode) && name.includes('_comments')) {
-                            const file = await handle.getFile();
-                            const fileContent = await file.text();
-                            
-                            // Check if this is actually a resource fork by looking for binary content
-                            if (fileContent.includes('Mac OS X') && fileContent.includes('ATTR') && fileContent.includes('resource fork')) {
-                                console.log(`⚠️ Skipping macOS resource fork: ${name}`);
-                                continue;
-                            }
-                            
-                            let commentsData;
-                            try {
-                                commentsData = JSON.parse(fileContent);
-                            } catch (e) {
-                                console.warn(`Comment file ${name} is not valid JSON, skipping...`);
-                                continue;
-                            }
-                            
-                            // Handle different comment file formats
-                            let rawComments = [];
-                            if (Array.isArray(commentsData)) {
-                                rawComments = commentsData;
-                            } else if (commentsData[shortcode]) {
-                                rawComments = commentsData[shortcode];
-                            } else if (commentsData.comments) {
-                                rawComments = commentsData.comments;
-                            }
-                            
-                            const comments = Array.isArray(rawComments) ? rawComments.map((comment, index) => ({
-                                comment_id: comment.comment_id || comment.id || `${shortcode}_comment_${index}`,
-                                video_id: shortcode,
-                                author: comment.author || 'Unknown',
-                                text: comment.text || comment.content || '',
-                                like_count: parseInt(comment.like_count || comment.likes) || 0,
-                                published_at: comment.published_at ? new Date(comment.published_at) : new Date(),
-                                is_reply: Boolean(comment.is_reply || comment.parent),
-                                parent_comment_id: comment.parent_comment_id || comment.parent || null
-                            })) : [];
-                            
-                            this.cache.set(cacheKey, comments);
-                            console.log(`✅ Loaded comments from user's archive (pattern match): ${name} (${comments.length} comments)`);
-                            return comments;
-                        }
-                    }
-                } catch (iterError) {
-                    console.log(`📁 Could not iterate directory for pattern matching: ${iterError.message}`);
-                }
-                
-                for (const pattern of patterns) {
-                    try {
-                        const commentsFile = await commentsDir.getFileHandle(pattern);
-                        const file = await commentsFile.getFile();
-                        const fileContent = await file.text();
-                        
-                        let commentsData;
-                        try {
-                            commentsData = JSON.parse(fileContent);
-                        } catch (e) {
-                            // If not JSON, treat as plain text (shouldn't happen for comments usually)
-                            console.warn(`Comment file ${pattern} is not valid JSON, skipping...`);
-                            continue;
-                        }
-                        
-                        // Handle different comment file formats
-                        let rawComments = [];
-                        if (Array.isArray(commentsData)) {
-                            rawComments = commentsData;
-                        } else if (commentsData[shortcode]) {
-                            rawComments = commentsData[shortcode];
-                        } else if (commentsData.comments) {
-                            rawComments = commentsData.comments;
-                        }
-                        
-                        const comments = Array.isArray(rawComments) ? rawComments.map((comment, index) => ({
-                            comment_id: comment.comment_id || comment.id || `${shortcode}_comment_${index}`,
-                            video_id: shortcode,
-                            author: comment.author || 'Unknown',
-                            text: comment.text || comment.content || '',
-                            like_count: parseInt(comment.like_count || comment.likes) || 0,
-                            published_at: comment.published_at ? new Date(comment.published_at) : new Date(),
-                            is_reply: Boolean(comment.is_reply || comment.parent),
-                            parent_comment_id: comment.parent_comment_id || comment.parent || null
-                        })) : [];
-                        
-                        this.cache.set(cacheKey, comments);
-                        console.log(`✅ Loaded comments from user's archive: ${pattern} (${comments.length} comments)`);
-                        return comments;
-                    } catch (e) {
-                        // Try next pattern
-                    }
-                }
-            } catch (error) {
-                console.log(`📁 No bgca_yt_comments folder or comment files, trying root folder...`);
-            }
-            
-            // Try root of archive folder for comments.json
-            try {
-                const commentsFile = await this.directoryHandle.getFileHandle('comments.json');
-                const file = await commentsFile.getFile();
-                const commentsData = JSON.parse(await file.text());
-                
-                if (commentsData[shortcode]) {
-                    const rawComments = commentsData[shortcode];
-                    const comments = Array.isArray(rawComments) ? rawComments.map((comment, index) => ({
-                        comment_id: comment.comment_id || comment.id || `${shortcode}_comment_${index}`,
-                        video_id: shortcode,
-                        author: comment.author || 'Unknown',
-                        text: comment.text || '',
-                        like_count: parseInt(comment.like_count) || 0,
-                        published_at: comment.published_at ? new Date(comment.published_at) : new Date(),
-                        is_reply: Boolean(comment.is_reply),
-                        parent_comment_id: comment.parent_comment_id || comment.parent || null
-                    })) : [];
-                    
-                    this.cache.set(cacheKey, comments);
-                    console.log(`✅ Loaded comments from archive root: ${shortcode} (${comments.length} comments)`);
-                    return comments;
-                }
-            } catch (e2) {
-                console.log(`📁 No comments.json in archive root, trying explorer_data folder...`);
-            }
-            
-            // Try explorer_data folder
-            try {
-                const explorerDataDir = await this.directoryHandle.getDirectoryHandle('bgca_yt_explorer_data');
-                const commentsFile = await explorerDataDir.getFileHandle('comments.json');
-                const file = await commentsFile.getFile();
-                const commentsData = JSON.parse(await file.text());
-                
-                if (commentsData[shortcode]) {
-                    const rawComments = commentsData[shortcode];
-                    const comments = Array.isArray(rawComments) ? rawComments.map((comment, index) => ({
-                        comment_id: comment.comment_id || comment.id || `${shortcode}_comment_${index}`,
-                        video_id: shortcode,
-                        author: comment.author || 'Unknown',
-                        text: comment.text || '',
-                        like_count: parseInt(comment.like_count) || 0,
-                        published_at: comment.published_at ? new Date(comment.published_at) : new Date(),
-                        is_reply: Boolean(comment.is_reply),
-                        parent_comment_id: comment.parent_comment_id || comment.parent || null
-                    })) : [];
-                    
-                    this.cache.set(cacheKey, comments);
-                    console.log(`✅ Loaded comments from explorer_data folder: ${shortcode} (${comments.length} comments)`);
-                    return comments;
-                }
-            } catch (e3) {
-                console.log(`📁 No comments in explorer_data folder for ${shortcode}, trying fallback...`);
-            }
+        const file = await (await this.getFileHandleByPath(path)).getFile();
+        const text = await file.text();
+        if (text.includes('Mac OS X') && text.includes('ATTR')) {
+            throw new Error(`${path} is a macOS resource fork`);
         }
-            
-        // Fallback: Load from included data
-        try {
-            const response = await fetch('./data/comments.json');
-            if (response.ok) {
-                const commentsData = await response.json();
-                if (commentsData[shortcode]) {
-                    const rawComments = commentsData[shortcode];
-                    
-                    // Normalize comment format
-                    const comments = Array.isArray(rawComments) ? rawComments.map((comment, index) => ({
-                        comment_id: comment.comment_id || comment.id || `${shortcode}_comment_${index}`,
-                        video_id: shortcode,
-                        author: comment.author || 'Unknown',
-                        text: comment.text || '',
-                        like_count: parseInt(comment.like_count) || 0,
-                        published_at: comment.published_at ? new Date(comment.published_at) : new Date(),
-                        is_reply: Boolean(comment.is_reply),
-                        parent_comment_id: comment.parent_comment_id || comment.parent || null
-                    })) : [];
-                    
-                    this.cache.set(cacheKey, comments);
-                    console.log(`✅ Loaded comments from JSON: ${shortcode} (${comments.length} comments)`);
-                    return comments;
-                }
-            }
-        } catch (error) {
-            console.warn(`Failed to load comments for ${shortcode}:`, error);
+
+        const format = SubtitleParser.formatFromFilename(path);
+        const cues = format ? SubtitleParser.parse(text, format) : null;
+        const result = {
+            cues,
+            transcript: cues ? SubtitleParser.toText(cues) : text,
+            source_file: path
+        };
+        if (cache) {
+            this.cache.set(cacheKey, result);
         }
+        return result;
+    }
 
-        console.log(`💬 Comments for ${shortcode} not available`);
-        return [];
+    /**
+     * Load comments for a specific video by shortcode
+     */
+    async loadComments(shortcode) {
+        return this.resolveContent('comments', shortcode);
     }
 
     /**
@@ -913,6 +895,19 @@ class ArchiveLoader {
             throw new Error('No directory handle available');
         }
 
+        // Use the manifest path when we have one
+        const manifest = await this.manifest.load();
+        const manifestPath = manifest ? this.manifest.getPath('video', shortcode) : null;
+        if (manifestPath) {
+            try {
+                const fileHandle = await this.getFileHandleByPath(manifestPath);
+                console.log(`🎬 Found video file via manifest: ${manifestPath}`);
+                return fileHandle;
+            } catch (error) {
+                this.manifest.markStale();
+            }
+        }
+
         try {
             // Try to get the video file from the media directory
             const mediaDir = await this.directoryHandle.getDirectoryHandle('bgca_yt_media');
@@ -980,6 +975,8 @@ class ArchiveLoader {
         const keywords = await this.loadKeywords();
         const discovery = await this.discoverFiles();
         const metadata = await this.loadVideoMetadata();
+        const infoFiles = await this.loadAllInfoFiles();
+        const metricsHistory = await this.loadMetricsHistory(metadata);
 
         if (!discovery) {
             console.error('Failed to discover archive files');
@@ -1006,15 +1003,20 @@ class ArchiveLoader {
                 );
             }
 
-            // Skip trying to load .info.json files since we're using included data
-            // These files don't exist on the server and cause 404 errors
-            let infoData = null;
+            // .info.json files are only read from a selected archive folder;
+            // over HTTP they don't exist on the server and cause 404 errors
+            const infoData = infoFiles.get(shortcode) || null;
 
-            // Use data from .info.json if available, otherwise fall back to metadata.json
+            // Prefer metadata.json, but fill its gaps (empty dates, truncated descriptions) from .info.json
             const title = metadataEntry?.title || infoData?.title || `BGCA Video ${shortcode}`;
-            const description = metadataEntry?.description || infoData?.description || '';
+            const metadataDescription = metadataEntry?.description || '';
+            const description = infoData?.description &&
+                (!metadataDescription || (this.isTruncatedText(metadataDescription) && infoData.description.length > metadataDescription.length))
+                ? infoData.description
+                : metadataDescription;
+            const upload_date = infoData?.upload_date || '';
             const published_at = metadataEntry?.published_at || 
-                (infoData?.upload_date ? `${infoData.upload_date.slice(0,4)}-${infoData.upload_date.slice(4,6)}-${infoData.upload_date.slice(6,8)}` : '');
+                (upload_date ? `${upload_date.slice(0,4)}-${upload_date.slice(4,6)}-${upload_date.slice(6,8)}` : '');
             const view_count = parseInt(metadataEntry?.view_count || infoData?.view_count) || 0;
             const like_count = parseInt(metadataEntry?.like_count || infoData?.like_count) || 0;
             const comment_count = parseInt(metadataEntry?.comment_count || infoData?.comment_count) || 0;
@@ -1026,13 +1028,26 @@ class ArchiveLoader {
                 description,
                 published_at,
                 channel_id: metadataEntry?.channel_id || infoData?.channel_id || null,
-                channel_title: metadataEntry?.channel_title || infoData?.channel || 'Boys & Girls Clubs of America',
+                channel_title: metadataEntry?.channel_title || infoData?.channel || this.channelTitle || this.directoryHandle?.name || 'Unknown Channel',
                 view_count,
                 like_count,
                 comment_count,
                 duration,
                 thumbnail_url: metadataEntry?.thumbnail_url || infoData?.thumbnail || '',
-                scraped_at: new Date().toISOString(),
+                scraped_at: metadataEntry?.scraped_at || new Date().toISOString(),
+                // Counts from every metadata snapshot, and the change between the latest two
+                metrics_history: metricsHistory.get(shortcode) || [],
+                growth: this.computeGrowth(metricsHistory.get(shortcode)),
+                // Details only yt-dlp's .info.json carries
+                upload_date,
+                tags: infoData?.tags || [],
+                categories: infoData?.categories || [],
+                resolution: infoData?.resolution || '',
+                width: infoData?.width || null,
+                height: infoData?.height || null,
+                fps: infoData?.fps || null,
+                chapters: infoData?.chapters || [],
+                has_info: Boolean(infoData),
                 // Archive availability flags
                 has_transcript: shortcode in discovery.discovery.transcripts,
                 has_summary: shortcode in discovery.discovery.summaries,
@@ -1094,25 +1109,6 @@ class ArchiveLoader {
         }
     }
 
-    /**
-     * Search videos by text
-     */
-    searchVideos(videos, query) {
-        if (!query || query.trim() === '') return videos;
-        
-        const searchTerm = query.toLowerCase().trim();
-        
-        return videos.filter(video => {
-            return (
-                video.title.toLowerCase().includes(searchTerm) ||
-                video.description.toLowerCase().includes(searchTerm) ||
-                video.keywords.some(keyword => 
-                    keyword.toLowerCase().includes(searchTerm)
-                )
-            );
-        });
-    }
-
     /**
      * Clear cache
      */
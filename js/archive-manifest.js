@@ -0,0 +1,226 @@
+/**
+ * BGCA Archive Manifest
+ * Maps every shortcode to its files in the selected archive folder so lookups
+ * don't have to iterate whole directories. Stored as bgca_yt_explorer_data/manifest.json
+ * and only rebuilt when a folder's file count or newest modification time changes.
+ */
+
+class ArchiveManifest {
+    constructor(loader) {
+        this.loader = loader;
+        this.folderName = 'bgca_yt_explorer_data';
+        this.fileName = 'manifest.json';
+        this.version = 3; // Bump when a content type is added so stored manifests get rebuilt
+        this.data = null;
+        this.loadPromise = null;
+    }
+
+    /**
+     * Folders to scan and which manifest section each matching file belongs to
+     */
+    getFolderSpecs() {
+        const specs = [];
+        for (const [type, contentType] of Object.entries(ArchiveContentTypes)) {
+            if (!contentType?.folders) continue;
+            contentType.folders.forEach(folder => {
+                specs.push({ folder, type, matches: contentType.matchesFile });
+            });
+        }
+
+        specs.push({ folder: 'bgca_yt_media', type: 'video', matches: (name) => /\.(mp4|webm|mkv|mov|m4v)$/i.test(name) });
+        specs.push({ folder: 'bgca_yt_media', type: 'info', matches: (name) => name.endsWith('.info.json') });
+        return specs;
+    }
+
+    /**
+     * Get the manifest for the current directory, reusing the stored one when still valid
+     */
+    async load() {
+        if (this.data) {
+            return this.data;
+        }
+        if (!this.loader.directoryHandle) {
+            return null;
+        }
+        if (!this.loadPromise) {
+            this.loadPromise = this.loadOrBuild().finally(() => {
+                this.loadPromise = null;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Compare the stored manifest against the folders on disk and rebuild if anything changed
+     */
+    async loadOrBuild() {
+        try {
+            const specs = this.getFolderSpecs();
+            const folders = [...new Set(specs.map(spec => spec.folder))];
+
+            const stored = await this.readStoredManifest();
+            const scanned = {};
+            for (const folder of folders) {
+                scanned[folder] = await this.scanFolder(folder);
+            }
+
+            const signatures = Object.fromEntries(
+                Object.entries(scanned).map(([folder, state]) => [folder, state.signature])
+            );
+
+            if (stored && stored.version === this.version && this.signaturesMatch(stored.folders, signatures)) {
+                this.data = stored;
+                console.log(`📋 Reusing archive manifest from ${stored.generated_at}`);
+                return this.data;
+            }
+
+            console.log(stored ? '📋 Archive folders changed, rebuilding manifest...' : '📋 Building archive manifest...');
+            this.data = this.buildManifest(specs, scanned, signatures);
+            await this.writeManifest(this.data);
+            return this.data;
+        } catch (error) {
+            console.warn('⚠️ Could not build archive manifest, falling back to directory scans:', error);
+            return null;
+        }
+    }
+
+    /**
+     * List the file names of a folder. The File System Access API has no directory timestamps,
+     * and opening every file for its own would cost as much as a rebuild, so the manifest is
+     * checked against the names alone: it maps names, so a changed file keeps its entry valid.
+     */
+    async scanFolder(folder) {
+        const state = { names: [], signature: null };
+
+        let dir;
+        try {
+            dir = await this.loader.getDirectoryByPath(folder);
+        } catch (error) {
+            return state; // Folder missing in this archive layout
+        }
+
+        for await (const [name, handle] of dir.entries()) {
+            if (handle.kind !== 'file' || name.startsWith('._') || name.startsWith('.DS_Store')) {
+                continue;
+            }
+            state.names.push(name);
+        }
+
+        state.signature = { file_count: state.names.length, names_hash: ArchiveManifest.hashNames(state.names) };
+        return state;
+    }
+
+    /**
+     * Order-independent hash of a folder's file names (FNV-1a over the sorted names)
+     */
+    static hashNames(names) {
+        let hash = 0x811c9dc5;
+        [...names].sort().forEach(name => {
+            for (let i = 0; i < name.length; i++) {
+                hash ^= name.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            hash ^= 0x2f; // Separator, so "ab","c" differs from "a","bc"
+            hash = Math.imul(hash, 0x01000193);
+        });
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * Build the shortcode → path maps from scanned folder listings
+     */
+    buildManifest(specs, scanned, signatures) {
+        const files = {};
+        specs.forEach(spec => {
+            files[spec.type] = files[spec.type] || {};
+            scanned[spec.folder].names.forEach(name => {
+                if (!spec.matches(name)) return;
+                const shortcode = this.loader.extractShortcode(name);
+                // Earlier folders win, e.g. video_comments/ over the bgca_yt_comments root
+                if (shortcode && !files[spec.type][shortcode]) {
+                    files[spec.type][shortcode] = `${spec.folder}/${name}`;
+                }
+            });
+        });
+
+        const counts = Object.entries(files).map(([type, map]) => `${Object.keys(map).length} ${type}`).join(', ');
+        console.log(`✅ Archive manifest built: ${counts}`);
+
+        return {
+            version: this.version,
+            generated_at: new Date().toISOString(),
+            folders: signatures,
+            files
+        };
+    }
+
+    /**
+     * Check whether stored folder signatures still describe the folders on disk
+     */
+    signaturesMatch(stored, current) {
+        if (!stored) return false;
+        return Object.entries(current).every(([folder, signature]) => {
+            const previous = stored[folder];
+            if (!signature || !previous) return !signature && !previous;
+            return previous.file_count === signature.file_count &&
+                previous.names_hash === signature.names_hash;
+        });
+    }
+
+    /**
+     * Read manifest.json from the archive, if present
+     */
+    async readStoredManifest() {
+        try {
+            const dir = await this.loader.directoryHandle.getDirectoryHandle(this.folderName);
+            const fileHandle = await dir.getFileHandle(this.fileName);
+            const file = await fileHandle.getFile();
+            return JSON.parse(await file.text());
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Write manifest.json into the archive. Keeps the manifest in memory if the folder is read-only.
+     */
+    async writeManifest(manifest) {
+        if (!await this.loader.ensureWritePermission()) {
+            console.warn('⚠️ No write access to archive folder, manifest kept for this session only');
+            return false;
+        }
+
+        try {
+            const dir = await this.loader.directoryHandle.getDirectoryHandle(this.folderName, { create: true });
+            const fileHandle = await dir.getFileHandle(this.fileName, { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(JSON.stringify(manifest, null, 2));
+            await writable.close();
+            console.log(`💾 Saved ${this.folderName}/${this.fileName}`);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Failed to save archive manifest:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Look up the archive-relative path for a shortcode
+     */
+    getPath(type, shortcode) {
+        return this.data?.files?.[type]?.[shortcode] || null;
+    }
+
+    /**
+     * Drop the in-memory manifest so the next load re-validates it against disk
+     */
+    markStale() {
+        if (this.data) {
+            console.log('📋 Archive manifest out of date, will rescan on next lookup');
+        }
+        this.data = null;
+    }
+}
+
+// Export for use in other modules
+window.ArchiveManifest = ArchiveManifest;
@@ -0,0 +1,437 @@
+/**
+ * BGCA Archive Sources
+ * Pluggable locations the ArchiveLoader resolves per-video content from.
+ * Each source is asked in priority order (lowest first) until one returns an entry.
+ */
+
+/**
+ * Content types served by the archive sources.
+ * Describes where each type lives in every supported archive layout.
+ */
+const ArchiveContentTypes = {
+    transcript: {
+        label: 'transcript',
+        format: 'text',
+        folders: ['bgca_yt_subtitles'],
+        // Plain text transcripts, or subtitle files read as text when a video has only those
+        matchesFile: (name) => name.endsWith('_en_auto_ytdlp.txt') || SubtitleParser.formatFromFilename(name) !== null,
+        patterns: (shortcode) => [
+            `${shortcode}_en_auto_ytdlp.txt`,
+            `${shortcode}.txt`,
+            `${shortcode}_en.txt`,
+            `${shortcode}_transcript.txt`,
+            `${shortcode}.en.vtt`,
+            `${shortcode}.vtt`,
+            `${shortcode}.en.srt`,
+            `${shortcode}.srt`
+        ],
+        bundleFile: 'transcripts.json',
+        apiAction: 'get_transcript',
+        apiField: 'transcript',
+        empty: () => null,
+        build: (shortcode, data, sourceFile) => {
+            const format = SubtitleParser.formatFromFilename(sourceFile);
+            return {
+                video_id: shortcode,
+                transcript: format ? SubtitleParser.toText(SubtitleParser.parse(data, format)) : data,
+                source_file: sourceFile
+            };
+        }
+    },
+
+    summary: {
+        label: 'summary',
+        format: 'text',
+        folders: ['bgca_yt_summaries'],
+        matchesFile: (name) => name.includes('_summary'),
+        patterns: (shortcode) => [
+            `${shortcode}_summary.txt`,
+            `${shortcode}.txt`,
+            `${shortcode}_summary.json`,
+            `${shortcode}.json`
+        ],
+        bundleFile: 'summaries.json',
+        apiAction: 'get_summary',
+        apiField: 'summary',
+        empty: () => null,
+        build: (shortcode, data, sourceFile) => ({
+            video_id: shortcode,
+            summary: data,
+            source_file: sourceFile
+        })
+    },
+
+    subtitles: {
+        label: 'subtitles',
+        format: 'text',
+        folders: ['bgca_yt_subtitles'],
+        matchesFile: (name) => /\.(vtt|srt)$/i.test(name),
+        patterns: (shortcode) => [
+            `${shortcode}.en.vtt`,
+            `${shortcode}.vtt`,
+            `${shortcode}.en.srt`,
+            `${shortcode}.srt`
+        ],
+        // Timed cues only come from per-video files
+        bundleFile: null,
+        empty: () => null,
+        build: (shortcode, data, sourceFile) => ({
+            video_id: shortcode,
+            cues: SubtitleParser.parse(data, SubtitleParser.formatFromFilename(sourceFile)),
+            source_file: sourceFile
+        })
+    },
+
+    comments: {
+        label: 'comments',
+        format: 'json',
+        // Newer archives nest the files in video_comments/, older ones keep them at the root
+        folders: ['bgca_yt_comments/video_comments', 'bgca_yt_comments'],
+        matchesFile: (name) => name.includes('_comments'),
+        patterns: (shortcode) => [
+            `${shortcode}_comments.json`,
+            `${shortcode}.json`,
+            `${shortcode}_comments.txt`,
+            `${shortcode}.txt`
+        ],
+        bundleFile: 'comments.json',
+        apiAction: 'get_comments',
+        apiField: 'comments',
+        empty: () => [],
+        build: (shortcode, data) => ArchiveContentTypes.normalizeComments(data, shortcode)
+    },
+
+    /**
+     * Normalize any supported comment file format into the explorer's comment shape.
+     * startIndex offsets the fallback comment IDs when a video's comments arrive in pieces.
+     */
+    normalizeComments(commentsData, shortcode, startIndex = 0) {
+        let rawComments = [];
+        if (Array.isArray(commentsData)) {
+            rawComments = commentsData;
+        } else if (commentsData?.[shortcode]) {
+            rawComments = commentsData[shortcode];
+        } else if (commentsData?.comments) {
+            rawComments = commentsData.comments;
+        }
+
+        if (!Array.isArray(rawComments)) {
+            return [];
+        }
+
+        return rawComments.map((comment, index) => {
+            // yt-dlp marks top-level comments with parent "root"
+            const parent = comment.parent === 'root' ? null : comment.parent;
+            const parentId = comment.parent_comment_id || parent || null;
+
+            return {
+                ...comment,
+                comment_id: comment.comment_id || comment.id || `${shortcode}_comment_${startIndex + index}`,
+                video_id: shortcode,
+                author: comment.author || 'Unknown',
+                text: comment.text || comment.content || '',
+                like_count: parseInt(comment.like_count || comment.likes) || 0,
+                published_at: comment.published_at ? new Date(comment.published_at) : new Date(),
+                is_reply: Boolean(comment.is_reply || parentId),
+                parent_comment_id: parentId
+            };
+        });
+    }
+};
+
+/**
+ * Base class for archive sources
+ */
+class ArchiveSource {
+    constructor(name, priority, loader) {
+        this.name = name;
+        this.priority = priority;
+        this.loader = loader;
+    }
+
+    /**
+     * Whether this source can currently be queried
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Look up one content entry. Resolves to { data, source_file } or null when not found here.
+     */
+    async load(contentType, shortcode) {
+        return null;
+    }
+
+    /**
+     * Check if file text is actually a macOS resource fork copied alongside the real file
+     */
+    isResourceFork(text) {
+        return text.includes('Mac OS X') && text.includes('ATTR') && text.includes('resource fork');
+    }
+
+    /**
+     * Check if a directory entry is a hidden or macOS metadata file
+     */
+    isHiddenFile(name) {
+        return name.startsWith('._') || name.startsWith('.DS_Store') || name.includes('ATTR');
+    }
+
+    /**
+     * Parse raw file text according to the content type format
+     */
+    parseContent(contentType, text) {
+        return contentType.format === 'json' ? JSON.parse(text) : text;
+    }
+
+    /**
+     * Pick one video's entry from a bundle keyed by shortcode, or a flat array of records with video_id
+     */
+    pickFromBundle(bundle, shortcode) {
+        if (Array.isArray(bundle)) {
+            const records = bundle.filter(record => record?.video_id === shortcode);
+            return records.length > 0 ? records : null;
+        }
+        return bundle?.[shortcode] || null;
+    }
+
+    /**
+     * Load a JSON bundle once per source, shared through the loader cache
+     */
+    async loadBundle(fileName, fetchBundle) {
+        const cacheKey = `bundle_${this.name}_${fileName}`;
+        if (!this.loader.cache.has(cacheKey)) {
+            this.loader.cache.set(cacheKey, fetchBundle().catch(() => null));
+        }
+        return this.loader.cache.get(cacheKey);
+    }
+}
+
+/**
+ * Individual per-video files inside the user's selected archive folder
+ */
+class DirectoryArchiveSource extends ArchiveSource {
+    constructor(loader, priority = 10) {
+        super('directory', priority, loader);
+    }
+
+    isAvailable() {
+        return !!this.loader.directoryHandle;
+    }
+
+    async load(contentType, shortcode) {
+        // The manifest knows exactly which file belongs to the shortcode
+        const manifest = await this.loader.manifest.load();
+        if (manifest) {
+            const path = this.loader.manifest.getPath(contentType.label, shortcode);
+            if (!path) {
+                return null;
+            }
+            try {
+                const handle = await this.loader.getFileHandleByPath(path);
+                return await this.readEntry(handle, path, contentType);
+            } catch (error) {
+                this.loader.manifest.markStale();
+            }
+        }
+
+        for (const folder of contentType.folders) {
+            let dir;
+            try {
+                dir = await this.loader.getDirectoryByPath(folder);
+            } catch (error) {
+                continue;
+            }
+
+            const entry = await this.findByScan(dir, folder, contentType, shortcode) ||
+                await this.findByPattern(dir, folder, contentType, shortcode);
+            if (entry) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find a file with the shortcode anywhere in its name
+     */
+    async findByScan(dir, folder, contentType, shortcode) {
+        try {
+            for await (const [name, handle] of dir.entries()) {
+                if (this.isHiddenFile(name)) {
+                    continue;
+                }
+                if (handle.kind !== 'file' || !name.includes(shortcode) || !contentType.matchesFile(name)) {
+                    continue;
+                }
+
+                const entry = await this.readEntry(handle, `${folder}/${name}`, contentType);
+                if (entry) {
+                    return entry;
+                }
+            }
+        } catch (iterError) {
+            console.log(`📁 Could not iterate ${folder} for pattern matching: ${iterError.message}`);
+        }
+        return null;
+    }
+
+    /**
+     * Try the well-known filenames for the shortcode
+     */
+    async findByPattern(dir, folder, contentType, shortcode) {
+        for (const pattern of contentType.patterns(shortcode)) {
+            try {
+                const handle = await dir.getFileHandle(pattern);
+                const entry = await this.readEntry(handle, `${folder}/${pattern}`, contentType);
+                if (entry) {
+                    return entry;
+                }
+            } catch (e) {
+                // Try next pattern
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read and parse one file, skipping resource forks and unparseable files
+     */
+    async readEntry(handle, sourceFile, contentType) {
+        const file = await handle.getFile();
+        const text = await file.text();
+
+        if (this.isResourceFork(text)) {
+            console.log(`⚠️ Skipping macOS resource fork: ${sourceFile}`);
+            return null;
+        }
+
+        try {
+            return { data: this.parseContent(contentType, text), source_file: sourceFile };
+        } catch (e) {
+            console.warn(`${contentType.label} file ${sourceFile} is not valid ${contentType.format}, skipping...`);
+            return null;
+        }
+    }
+}
+
+/**
+ * Combined JSON bundles (transcripts.json etc.) inside the user's selected archive folder
+ */
+class DirectoryBundleArchiveSource extends ArchiveSource {
+    constructor(loader, folder = '', priority = 20) {
+        super(folder ? `directory:${folder}` : 'directory:root', priority, loader);
+        this.folder = folder;
+    }
+
+    isAvailable() {
+        return !!this.loader.directoryHandle;
+    }
+
+    async load(contentType, shortcode) {
+        if (!contentType.bundleFile) {
+            return null;
+        }
+
+        const bundle = await this.loadBundle(contentType.bundleFile, async () => {
+            const dir = this.folder
+                ? await this.loader.directoryHandle.getDirectoryHandle(this.folder)
+                : this.loader.directoryHandle;
+            const fileHandle = await dir.getFileHandle(contentType.bundleFile);
+            const file = await fileHandle.getFile();
+            return JSON.parse(await file.text());
+        });
+
+        const data = this.pickFromBundle(bundle, shortcode);
+        if (!data) {
+            return null;
+        }
+
+        return {
+            data,
+            source_file: this.folder ? `${this.folder}/${contentType.bundleFile}` : contentType.bundleFile
+        };
+    }
+}
+
+/**
+ * Server-side archive-api.php lookups
+ */
+class PhpApiArchiveSource extends ArchiveSource {
+    constructor(loader, priority = 30) {
+        super('php-api', priority, loader);
+    }
+
+    /**
+     * Only queried once discovery has confirmed the API is being served
+     */
+    isAvailable() {
+        return this.loader.apiAvailable === true;
+    }
+
+    async load(contentType, shortcode) {
+        if (!contentType.apiAction) {
+            return null;
+        }
+
+        const url = `${this.loader.apiPath}?action=${contentType.apiAction}&shortcode=${encodeURIComponent(shortcode)}`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            return null;
+        }
+
+        const result = await response.json();
+        if (!result.success || result[contentType.apiField] === undefined) {
+            return null;
+        }
+
+        return { data: result[contentType.apiField], source_file: result.source_file };
+    }
+}
+
+/**
+ * JSON bundles fetched over HTTP, e.g. an archive served next to the explorer or the included ./data files
+ */
+class HttpBundleArchiveSource extends ArchiveSource {
+    constructor(loader, name, baseUrl, priority) {
+        super(name, priority, loader);
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Base URL may be a function so it can follow loader.archivePath changes
+     */
+    getBaseUrl() {
+        return typeof this.baseUrl === 'function' ? this.baseUrl() : this.baseUrl;
+    }
+
+    async load(contentType, shortcode) {
+        if (!contentType.bundleFile) {
+            return null;
+        }
+
+        const url = `${this.getBaseUrl()}/${contentType.bundleFile}`;
+        const bundle = await this.loadBundle(url, async () => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${url}: ${response.status}`);
+            }
+            return response.json();
+        });
+
+        const data = this.pickFromBundle(bundle, shortcode);
+        if (!data) {
+            return null;
+        }
+
+        return { data, source_file: `${this.name}/${contentType.bundleFile}` };
+    }
+}
+
+// Export for use in other modules
+window.ArchiveContentTypes = ArchiveContentTypes;
+window.ArchiveSource = ArchiveSource;
+window.DirectoryArchiveSource = DirectoryArchiveSource;
+window.DirectoryBundleArchiveSource = DirectoryBundleArchiveSource;
+window.PhpApiArchiveSource = PhpApiArchiveSource;
+window.HttpBundleArchiveSource = HttpBundleArchiveSource;
@@ -0,0 +1,482 @@
+/**
+ * ArchiveWorkspace - Several channel archives explored side by side
+ * Each archive keeps its own DataManager (loader, IndexedDB cache, comment indexes).
+ * The workspace shows the active archive, or all of them merged, through the DataManager interface.
+ */
+class ArchiveWorkspace extends DataManager {
+    constructor() {
+        super();
+        this.archives = [];
+        this.activeArchiveId = 'all';
+        this.videoOwners = new Map();
+
+        // Folders that mark a directory as an archive export
+        this.archiveMarkers = ['bgca_yt_explorer_data', 'bgca_yt_media', 'bgca_yt_subtitles', 'bgca_yt_comments'];
+    }
+
+    /**
+     * Register one archive. Pass directoryHandle for a local folder or path for an HTTP archive.
+     */
+    registerArchive({ name, directoryHandle = null, path = null, channelTitle = null, id = null }) {
+        const archiveId = this.uniqueArchiveId(id || name);
+        const manager = new DataManager();
+        manager.dbName = `${manager.dbName}:${archiveId}`;
+
+        const loader = manager.archiveLoader;
+        loader.channelTitle = channelTitle;
+        if (directoryHandle) {
+            loader.setDirectoryHandle(directoryHandle);
+        }
+        if (path) {
+            loader.archivePath = path;
+        }
+
+        const archive = {
+            id: archiveId,
+            name,
+            label: channelTitle || name,
+            source: directoryHandle ? 'directory' : 'http',
+            manager,
+            status: 'pending',
+            error: null
+        };
+        this.archives.push(archive);
+        console.log(`🗂️ Registered archive "${archive.label}" (${archive.source})`);
+        return archive;
+    }
+
+    /**
+     * Turn an archive name into an ID that is unique within the workspace
+     */
+    uniqueArchiveId(name) {
+        const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'archive';
+        let archiveId = base;
+        for (let n = 2; this.archives.some(archive => archive.id === archiveId); n++) {
+            archiveId = `${base}-${n}`;
+        }
+        return archiveId;
+    }
+
+    /**
+     * Forget every registered archive
+     */
+    clearArchives() {
+        this.archives = [];
+        this.activeArchiveId = 'all';
+        this.buildMergedView();
+    }
+
+    /**
+     * Register the archives in a selected folder: the folder itself if it is an archive,
+     * otherwise every archive folder directly inside it
+     */
+    async addDirectoryArchives(directoryHandle) {
+        const folders = await this.findArchiveFolders(directoryHandle);
+        return folders.map(handle => this.registerArchive({ name: handle.name, directoryHandle: handle }));
+    }
+
+    /**
+     * Find archive folders at or directly below a directory
+     */
+    async findArchiveFolders(directoryHandle) {
+        if (await this.isArchiveFolder(directoryHandle)) {
+            return [directoryHandle];
+        }
+
+        const folders = [];
+        try {
+            for await (const [name, handle] of directoryHandle.entries()) {
+                if (handle.kind === 'directory' && !name.startsWith('.') && await this.isArchiveFolder(handle)) {
+                    folders.push(handle);
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not look for archives inside ${directoryHandle.name}:`, error);
+        }
+
+        if (folders.length > 0) {
+            console.log(`🗂️ Found ${folders.length} archives inside ${directoryHandle.name}`);
+            return folders.sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        // Not recognisably an archive; load it anyway so the usual fallbacks apply
+        return [directoryHandle];
+    }
+
+    /**
+     * Check whether a directory looks like an archive export
+     */
+    async isArchiveFolder(directoryHandle) {
+        try {
+            await directoryHandle.getFileHandle('bgca_yt_metadata.json');
+            return true;
+        } catch (error) {
+            // Check the archive subfolders instead
+        }
+
+        for (const folder of this.archiveMarkers) {
+            try {
+                await directoryHandle.getDirectoryHandle(folder);
+                return true;
+            } catch (error) {
+                // Try next marker
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Register the HTTP archives listed in AppConfig.ARCHIVES
+     */
+    registerConfiguredArchives() {
+        const configured = AppConfig.ARCHIVES?.length
+            ? AppConfig.ARCHIVES
+            : [{ id: 'archive', name: 'Archive', path: AppConfig.DATA_PATH }];
+
+        configured.forEach(entry => this.registerArchive({
+            id: entry.id,
+            name: entry.name,
+            path: entry.path,
+            channelTitle: entry.channel_title
+        }));
+    }
+
+    /**
+     * Initialize every registered archive, then build the merged view
+     */
+    async initialize(progressCallback, options = {}) {
+        if (this.archives.length === 0) {
+            this.registerConfiguredArchives();
+        }
+
+        const pending = this.archives.filter(archive => options.rebuildCache || archive.status !== 'ready');
+        await this.initializeArchives(pending, progressCallback, options);
+
+        if (!this.archives.some(archive => archive.status === 'ready')) {
+            throw new Error(this.archives[0]?.error?.message || 'No archive could be loaded');
+        }
+
+        this.buildMergedView();
+        this.isInitialized = true;
+        console.log(`✅ Workspace ready: ${this.archives.length} archive(s), ${this.videos.length} videos`);
+    }
+
+    /**
+     * Initialize archives one after another, mapping each one's progress onto a share of the bar.
+     * With options.deferComments, commentsReady settles once every archive's comments are merged in.
+     */
+    async initializeArchives(archives, progressCallback, options = {}) {
+        const commentLoads = [];
+
+        for (let i = 0; i < archives.length; i++) {
+            const archive = archives[i];
+            const prefix = this.archives.length > 1 ? `${archive.label}: ` : '';
+
+            try {
+                archive.status = 'loading';
+                await archive.manager.initialize((message, progress) => {
+                    progressCallback?.(`${prefix}${message}`, Math.round(((i + progress / 100) / archives.length) * 100));
+                }, {
+                    ...options,
+                    commentsProgressCallback: (message, progress) => options.commentsProgressCallback?.(`${prefix}${message}`, progress)
+                });
+
+                this.tagArchiveData(archive);
+                archive.status = 'ready';
+                archive.error = null;
+                commentLoads.push(this.mergeArchiveComments(archive));
+            } catch (error) {
+                console.error(`❌ Failed to load archive "${archive.label}":`, error);
+                archive.status = 'failed';
+                archive.error = error;
+            }
+        }
+
+        this.commentsLoaded = false;
+        this.commentsReady = Promise.all([this.commentsReady, ...commentLoads]).then(() => {
+            this.commentsLoaded = true;
+        });
+    }
+
+    /**
+     * Wait for an archive's background comment load, then add its comments to the merged view.
+     * A failed comment load leaves the archive browsable without comments.
+     */
+    async mergeArchiveComments(archive) {
+        try {
+            await archive.manager.commentsReady;
+        } catch (error) {
+            console.error(`❌ Failed to load comments for archive "${archive.label}":`, error);
+            return;
+        }
+
+        if (archive.manager.loadedFromCache) {
+            return; // Already tagged with the cached videos
+        }
+        this.tagArchiveComments(archive);
+        if (this.getIncludedArchives().includes(archive)) {
+            this.buildMergedView();
+        }
+    }
+
+    /**
+     * Add the archives in another folder to an already running workspace
+     */
+    async addArchivesFromDirectory(directoryHandle, progressCallback) {
+        const added = await this.addDirectoryArchives(directoryHandle);
+        await this.initializeArchives(added, progressCallback);
+        this.buildMergedView();
+        return added;
+    }
+
+    /**
+     * Rebuild the local cache of every archive
+     */
+    async rebuildCache(progressCallback) {
+        console.log('🔄 Rebuilding local cache for all archives...');
+        for (let i = 0; i < this.archives.length; i++) {
+            const archive = this.archives[i];
+            try {
+                await archive.manager.rebuildCache((message, progress) => {
+                    progressCallback?.(message, Math.round(((i + progress / 100) / this.archives.length) * 100));
+                });
+                this.tagArchiveData(archive);
+                archive.status = 'ready';
+                archive.error = null;
+            } catch (error) {
+                console.error(`❌ Failed to rebuild archive "${archive.label}":`, error);
+                archive.status = 'failed';
+                archive.error = error;
+            }
+        }
+        this.buildMergedView();
+    }
+
+    /**
+     * Stamp an archive's videos and comments with where they came from,
+     * and name the archive after its channel when the metadata agrees on one
+     */
+    tagArchiveData(archive) {
+        const { manager } = archive;
+
+        const channelCounts = {};
+        manager.videos.forEach(video => {
+            if (video.channel_title) {
+                channelCounts[video.channel_title] = (channelCounts[video.channel_title] || 0) + 1;
+            }
+        });
+        const [topChannel] = Object.entries(channelCounts).sort((a, b) => b[1] - a[1])[0] || [];
+        if (topChannel && !manager.archiveLoader.channelTitle) {
+            archive.label = topChannel;
+        }
+        // Regional exports of the same channel need their folder name to tell them apart
+        if (this.archives.some(other => other !== archive && other.label === archive.label)) {
+            archive.label = `${archive.label} (${archive.name})`;
+        }
+
+        manager.videos.forEach(video => {
+            video.archive_id = archive.id;
+            video.archive_name = archive.label;
+        });
+        this.tagArchiveComments(archive);
+    }
+
+    /**
+     * Stamp an archive's comments with the archive they came from
+     */
+    tagArchiveComments(archive) {
+        archive.manager.comments.forEach(comment => {
+            comment.archive_id = archive.id;
+        });
+    }
+
+    /**
+     * Switch between one archive and the merged corpus ('all')
+     */
+    selectArchive(archiveId) {
+        const exists = archiveId === 'all' || this.archives.some(archive => archive.id === archiveId);
+        this.activeArchiveId = exists ? archiveId : 'all';
+        this.buildMergedView();
+        console.log(`🗂️ Showing ${this.activeArchiveId === 'all' ? 'all archives' : `archive "${this.getActiveArchive().label}"`}`);
+    }
+
+    /**
+     * Expose the selected archives' data through the DataManager fields.
+     * A video archived in more than one archive is kept from the first one only.
+     */
+    buildMergedView() {
+        const included = this.getIncludedArchives();
+
+        this.videos = [];
+        this.comments = [];
+        this.videoMapping = {};
+        this.videoOwners = new Map();
+        this.videoCommentsIndex = null;
+        this.wordFreqIndex = {};
+        this.searchIndex = {};
+
+        let duplicates = 0;
+        included.forEach(archive => {
+            const { manager } = archive;
+            manager.videos.forEach(video => {
+                if (this.videoOwners.has(video.video_id)) {
+                    duplicates++;
+                    return;
+                }
+                this.videoOwners.set(video.video_id, archive);
+                this.videos.push(video);
+                if (manager.videoMapping[video.video_id]) {
+                    this.videoMapping[video.video_id] = manager.videoMapping[video.video_id];
+                }
+                if (manager.wordFreqIndex?.[video.video_id]) {
+                    this.wordFreqIndex[video.video_id] = manager.wordFreqIndex[video.video_id];
+                }
+            });
+
+            manager.comments.forEach(comment => {
+                if (this.videoOwners.get(comment.video_id) === archive) {
+                    this.comments.push(comment);
+                }
+            });
+            Object.assign(this.searchIndex, manager.searchIndex || {});
+        });
+
+        if (duplicates > 0) {
+            console.log(`🗂️ Skipped ${duplicates} videos that appear in more than one archive`);
+        }
+
+        // Channel-wide word stats only carry over from a single archive; merged views recompute them
+        this.channelWordStats = included.length === 1 ? included[0].manager.channelWordStats : null;
+        this.archiveLoader = included[0]?.manager.archiveLoader || this.archiveLoader;
+    }
+
+    /**
+     * Archives shown in the current view
+     */
+    getIncludedArchives() {
+        return this.archives.filter(archive =>
+            archive.status === 'ready' &&
+            (this.activeArchiveId === 'all' || archive.id === this.activeArchiveId)
+        );
+    }
+
+    /**
+     * Get the selected archive, or null when showing all archives
+     */
+    getActiveArchive() {
+        return this.archives.find(archive => archive.id === this.activeArchiveId) || null;
+    }
+
+    /**
+     * Name of what is shown: the active archive's ID, or 'all:' with the IDs of the merged archives
+     */
+    getViewId() {
+        if (this.activeArchiveId !== 'all') {
+            return this.activeArchiveId;
+        }
+        const ids = this.archives.filter(archive => archive.status === 'ready').map(archive => archive.id);
+        return `all:${ids.sort().join('+')}`;
+    }
+
+    /**
+     * Whether more than one archive is loaded, so items need an archive label
+     */
+    isMultiArchive() {
+        return this.archives.filter(archive => archive.status === 'ready').length > 1;
+    }
+
+    /**
+     * Get the archive a video was loaded from
+     */
+    getArchiveForVideo(videoId) {
+        return this.videoOwners.get(videoId) || null;
+    }
+
+    /**
+     * Per-archive totals for the current view
+     */
+    getArchiveBreakdown() {
+        return this.getIncludedArchives().map(archive => {
+            const videos = this.videos.filter(video => video.archive_id === archive.id);
+            return {
+                id: archive.id,
+                label: archive.label,
+                videos: videos.length,
+                comments: videos.reduce((sum, video) => sum + (parseInt(video.comment_count) || 0), 0),
+                views: videos.reduce((sum, video) => sum + (parseInt(video.view_count) || 0), 0),
+                likes: videos.reduce((sum, video) => sum + (parseInt(video.like_count) || 0), 0)
+            };
+        });
+    }
+
+    /**
+     * DataManager of the archive that owns a video
+     */
+    getManagerForVideo(videoId) {
+        const archive = this.getArchiveForVideo(videoId) || this.getIncludedArchives()[0];
+        if (!archive) {
+            throw new Error('No archive loaded');
+        }
+        return archive.manager;
+    }
+
+    // Per-video content comes from the archive the video belongs to
+
+    async loadTranscript(videoId) {
+        return this.getManagerForVideo(videoId).loadTranscript(videoId);
+    }
+
+    async loadSummary(videoId) {
+        return this.getManagerForVideo(videoId).loadSummary(videoId);
+    }
+
+    async loadPrecomputedTranscripts() {
+        const merged = {};
+        for (const archive of this.getIncludedArchives()) {
+            Object.assign(merged, await archive.manager.loadPrecomputedTranscripts() || {});
+        }
+        return Object.keys(merged).length > 0 ? merged : null;
+    }
+
+    async loadSubtitles(videoId) {
+        return this.getManagerForVideo(videoId).loadSubtitles(videoId);
+    }
+
+    async getSubtitleTracks(videoId) {
+        return this.getManagerForVideo(videoId).getSubtitleTracks(videoId);
+    }
+
+    async getTranscriptVariants(videoId) {
+        return this.getManagerForVideo(videoId).getTranscriptVariants(videoId);
+    }
+
+    async loadTranscriptFile(videoId, path, options = {}) {
+        return this.getManagerForVideo(videoId).loadTranscriptFile(videoId, path, options);
+    }
+
+    /**
+     * Transcript languages across the archives in the current view
+     */
+    async getTranscriptLanguages() {
+        const languages = new Map();
+        for (const archive of this.getIncludedArchives()) {
+            (await archive.manager.getTranscriptLanguages()).forEach(entry => languages.set(entry.language, entry));
+        }
+        return [...languages.values()].sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    async loadCommentsForVideo(videoId) {
+        return this.getManagerForVideo(videoId).loadCommentsForVideo(videoId);
+    }
+
+    getVideoFilePath(videoId) {
+        return this.getManagerForVideo(videoId).getVideoFilePath(videoId);
+    }
+
+    async getVideoFileHandle(videoId) {
+        return this.getManagerForVideo(videoId).getVideoFileHandle(videoId);
+    }
+}
+
+// Export for use in other modules
+window.ArchiveWorkspace = ArchiveWorkspace;
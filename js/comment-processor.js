@@ -0,0 +1,305 @@
+/**
+ * CommentProcessor - Parses, normalizes and indexes archive comments
+ * Runs inside js/workers/comment-worker.js, or on the main thread when workers are unavailable
+ */
+class CommentProcessor {
+    /**
+     * Process comment sources into comments plus derived indexes.
+     * Sources are { kind: 'file', file, shortcode, name } for per-video files
+     * or { kind: 'bundle', file | url, name } for combined comments.json files.
+     * Bundles are streamed, so a large comments.json never sits in memory as one string.
+     */
+    async process(sources, onProgress) {
+        const comments = [];
+        let failedFiles = 0;
+
+        // Progress follows bytes read when every source is a local file, otherwise files done
+        const totalBytes = sources.every(source => source.file)
+            ? sources.reduce((sum, source) => sum + source.file.size, 0)
+            : 0;
+        let doneBytes = 0;
+        let lastPercent = -1;
+        const report = (filesDone, sourceBytes = 0, sourceTotal = 0) => {
+            let fraction;
+            let status;
+            if (totalBytes > 0) {
+                fraction = (doneBytes + sourceBytes) / totalBytes;
+                status = `${CommentProcessor.formatMegabytes(doneBytes + sourceBytes)} of ${CommentProcessor.formatMegabytes(totalBytes)} MB`;
+            } else if (sourceTotal > 0) {
+                fraction = (filesDone + Math.min(1, sourceBytes / sourceTotal)) / sources.length;
+                status = `${CommentProcessor.formatMegabytes(sourceBytes)} of ${CommentProcessor.formatMegabytes(sourceTotal)} MB`;
+            } else {
+                fraction = filesDone / sources.length;
+                status = sourceBytes > 0 ? `${CommentProcessor.formatMegabytes(sourceBytes)} MB read` : `${filesDone}/${sources.length} files`;
+            }
+
+            const percent = Math.round(Math.min(1, fraction) * 60);
+            if (percent !== lastPercent) {
+                lastPercent = percent;
+                onProgress?.(`Parsing comments... ${status}`, percent);
+            }
+        };
+
+        for (let i = 0; i < sources.length; i++) {
+            const source = sources[i];
+            try {
+                if (source.kind === 'bundle') {
+                    await this.readBundle(source, comment => comments.push(comment), (bytes, total) => report(i, bytes, total));
+                } else {
+                    const text = await this.readSource(source);
+                    if (text.includes('Mac OS X') && text.includes('ATTR') && text.includes('resource fork')) {
+                        continue; // macOS resource fork copied next to the real file
+                    }
+
+                    // Avoid push(...parsed) - large files exceed the argument limit
+                    ArchiveContentTypes.normalizeComments(JSON.parse(text), source.shortcode)
+                        .forEach(comment => comments.push(comment));
+                }
+            } catch (error) {
+                failedFiles++;
+                console.warn(`Failed to parse comment file ${source.name}:`, error);
+            } finally {
+                doneBytes += source.file?.size || 0;
+                report(i + 1);
+            }
+        }
+
+        onProgress?.(`Computing word frequencies for ${comments.length.toLocaleString()} comments...`, 65);
+        const wordFreqIndex = this.buildWordFreqIndex(comments);
+
+        onProgress?.('Building search index...', 85);
+        const searchIndex = this.buildSearchIndex(comments);
+
+        onProgress?.('Computing channel word statistics...', 92);
+        const channelWords = {
+            mostLikedWords: CommentProcessor.calculateMostLikedWords(comments),
+            mostFrequentWords: CommentProcessor.calculateMostFrequentWords(comments)
+        };
+
+        onProgress?.(`Processed ${comments.length.toLocaleString()} comments`, 100);
+
+        return { comments, wordFreqIndex, searchIndex, channelWords, failedFiles };
+    }
+
+    /**
+     * Read the raw text of a per-video comment file
+     */
+    async readSource(source) {
+        if (source.file) {
+            return source.file.text();
+        }
+
+        const response = await fetch(source.url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Stream a combined comments.json (keyed by video ID, or a flat array), passing each
+     * normalized comment to onComment as soon as it is read
+     */
+    async readBundle(source, onComment, onProgress) {
+        // Fallback comment IDs are numbered per video, as when the video's list is normalized at once
+        const countsByVideo = new Map();
+        const onRecord = (record, path) => {
+            const videoId = path.length > 0 ? path[0] : record.video_id;
+            const index = path.length > 0 ? countsByVideo.get(videoId) || 0 : 0;
+            countsByVideo.set(videoId, index + 1);
+            ArchiveContentTypes.normalizeComments([record], videoId, index).forEach(onComment);
+        };
+
+        return source.file
+            ? StreamingJsonParser.parseFile(source.file, onRecord, onProgress)
+            : StreamingJsonParser.parseUrl(source.url, onRecord, onProgress);
+    }
+
+    /**
+     * Per-video word clouds in the same shape as the pre-indexed word_freq_index.json
+     */
+    buildWordFreqIndex(comments) {
+        const byVideo = {};
+        comments.forEach(comment => {
+            if (!byVideo[comment.video_id]) {
+                byVideo[comment.video_id] = [];
+            }
+            byVideo[comment.video_id].push(comment);
+        });
+
+        const index = {};
+        Object.entries(byVideo).forEach(([videoId, videoComments]) => {
+            index[videoId] = {
+                word_cloud: CommentProcessor.analyzeWordFrequency(videoComments),
+                liked_words: CommentProcessor.analyzeLikedCommentWords([...videoComments])
+            };
+        });
+        return index;
+    }
+
+    /**
+     * Search index in the same shape as the pre-indexed search_index.json
+     */
+    buildSearchIndex(comments) {
+        const index = {};
+        comments.forEach(comment => {
+            const publishedAt = comment.published_at instanceof Date ? comment.published_at : new Date(comment.published_at);
+            // Dates such as "2 years ago" can't be parsed; those comments get an empty date
+            const hasDate = !isNaN(publishedAt.getTime());
+            index[comment.comment_id] = {
+                words: [...new Set(comment.text.toLowerCase().match(/\w+/g) || [])],
+                text: comment.text,
+                author: comment.author,
+                video_id: comment.video_id,
+                like_count: comment.like_count,
+                published_at: hasDate ? publishedAt.toISOString() : '',
+                published_at_timestamp: hasDate ? Math.floor(publishedAt.getTime() / 1000) : null
+            };
+        });
+        return index;
+    }
+
+    /**
+     * Megabytes with one decimal, for progress messages
+     */
+    static formatMegabytes(bytes) {
+        return (bytes / 1024 / 1024).toFixed(1);
+    }
+
+    /**
+     * Analyze word frequency in comments
+     */
+    static analyzeWordFrequency(comments) {
+        const stopWords = new Set([
+            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
+            'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
+            'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'cannot', 'cant',
+            'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
+            'this', 'that', 'these', 'those', 'my', 'your', 'his', 'her', 'its', 'our', 'their',
+            'what', 'which', 'who', 'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each',
+            'few', 'more', 'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own',
+            'same', 'so', 'than', 'too', 'very', 's', 't', 're', 've', 'll', 'd', 'just', 'now',
+            'also', 'back', 'still', 'well', 'get', 'go', 'know', 'like', 'see', 'think', 'want',
+            'really', 'way', 'right', 'good', 'great', 'much', 'many', 'new', 'first', 'last',
+            'long', 'little', 'own', 'other', 'old', 'right', 'big', 'high', 'different', 'small',
+            'large', 'next', 'early', 'young', 'important', 'few', 'public', 'bad', 'same', 'able'
+        ]);
+
+        const wordCounts = {};
+
+        comments.forEach(comment => {
+            const words = comment.text.toLowerCase()
+                .replace(/[^\w\s]/g, '') // Remove punctuation
+                .split(/\s+/)
+                .filter(word => word.length > 2 && !stopWords.has(word));
+
+            words.forEach(word => {
+                wordCounts[word] = (wordCounts[word] || 0) + 1;
+            });
+        });
+
+        // Return top 20 words
+        return Object.entries(wordCounts)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 20)
+            .map(([word, count]) => ({ word, count }));
+    }
+
+    /**
+     * Analyze words in most-liked comments
+     */
+    static analyzeLikedCommentWords(comments) {
+        // Sort by likes and take top 20%
+        const sortedByLikes = comments.sort((a, b) => b.like_count - a.like_count);
+        const topPercentage = Math.max(1, Math.floor(sortedByLikes.length * 0.2));
+        const topComments = sortedByLikes.slice(0, topPercentage);
+
+        const wordLikeScores = {};
+
+        topComments.forEach(comment => {
+            const words = comment.text.toLowerCase()
+                .replace(/[^\w\s]/g, '')
+                .split(/\s+/)
+                .filter(word => word.length > 3);
+
+            words.forEach(word => {
+                if (!wordLikeScores[word]) {
+                    wordLikeScores[word] = { totalLikes: 0, count: 0 };
+                }
+                wordLikeScores[word].totalLikes += comment.like_count;
+                wordLikeScores[word].count += 1;
+            });
+        });
+
+        // Calculate average likes per word and return top 15
+        return Object.entries(wordLikeScores)
+            .map(([word, data]) => ({
+                word,
+                avgLikes: Math.round(data.totalLikes / data.count),
+                count: data.count
+            }))
+            .filter(item => item.count >= 2) // Must appear in at least 2 comments
+            .sort((a, b) => b.avgLikes - a.avgLikes)
+            .slice(0, 15);
+    }
+
+    /**
+     * Calculate most liked words from comments
+     */
+    static calculateMostLikedWords(comments) {
+        const wordLikes = {};
+        
+        comments.forEach(comment => {
+            const likes = parseInt(comment.like_count) || 0;
+            if (likes > 0) {
+                const words = this.extractWords(comment.text);
+                words.forEach(word => {
+                    if (!wordLikes[word]) wordLikes[word] = 0;
+                    wordLikes[word] += likes;
+                });
+            }
+        });
+        
+        return Object.entries(wordLikes)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 20)
+            .map(([word, likes]) => ({ word, count: likes }));
+    }
+
+    /**
+     * Calculate most frequent words from comments
+     */
+    static calculateMostFrequentWords(comments) {
+        const wordCount = {};
+        
+        comments.forEach(comment => {
+            const words = this.extractWords(comment.text);
+            words.forEach(word => {
+                if (!wordCount[word]) wordCount[word] = 0;
+                wordCount[word]++;
+            });
+        });
+        
+        return Object.entries(wordCount)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 20)
+            .map(([word, count]) => ({ word, count }));
+    }
+
+    /**
+     * Extract meaningful words from text
+     */
+    static extractWords(text) {
+        const stopWords = new Set(['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'can', 'may', 'might', 'must', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'a', 'an', 'so', 'just', 'get', 'got', 'like', 'go', 'going', 'went', 'come', 'came', 'see', 'saw', 'know', 'knew', 'think', 'thought', 'say', 'said', 'tell', 'told', 'take', 'took', 'make', 'made', 'give', 'gave', 'want', 'wanted', 'need', 'needed', 'try', 'tried', 'use', 'used', 'work', 'worked', 'look', 'looked', 'feel', 'felt', 'seem', 'seemed', 'leave', 'left', 'put', 'keep', 'kept', 'let', 'help', 'helped', 'show', 'showed', 'hear', 'heard', 'ask', 'asked', 'turn', 'turned', 'move', 'moved', 'live', 'lived', 'play', 'played', 'run', 'ran', 'bring', 'brought', 'sit', 'sat', 'stand', 'stood', 'lose', 'lost', 'pay', 'paid', 'meet', 'met', 'include', 'including', 'continue', 'continued', 'set', 'follow', 'followed', 'stop', 'stopped', 'create', 'created', 'speak', 'spoke', 'read', 'write', 'wrote', 'provide', 'provided', 'allow', 'allowed', 'add', 'added', 'spend', 'spent', 'grow', 'grew', 'open', 'opened', 'walk', 'walked', 'win', 'won', 'carry', 'carried', 'talk', 'talked', 'appear', 'appeared', 'produce', 'produced', 'offer', 'offered', 'consider', 'considered', 'suggest', 'suggested', 'require', 'required', 'expect', 'expected', 'build', 'built', 'stay', 'stayed', 'fall', 'fell', 'cut', 'send', 'sent', 'receive', 'received', 'remain', 'remained', 'serve', 'served', 'die', 'died', 'decide', 'decided', 'reach', 'reached', 'kill', 'killed', 'raise', 'raised', 'pass', 'passed', 'sell', 'sold', 'buy', 'bought', 'break', 'broke', 'wear', 'wore', 'choose', 'chose', 'treat', 'treated', 'watch', 'watched', 'return', 'returned', 'develop', 'developed', 'carry', 'carried', 'lead', 'led', 'understand', 'understood', 'face', 'faced', 'deal', 'dealt', 'pull', 'pulled', 'pick', 'picked', 'rise', 'rose', 'drop', 'dropped', 'plan', 'planned', 'save', 'saved', 'push', 'pushed', 'eat', 'ate', 'avoid', 'avoided', 'support', 'supported', 'change', 'changed', 'enter', 'entered', 'share', 'shared', 'manage', 'managed', 'improve', 'improved', 'maintain', 'maintained', 'remember', 'remembered', 'explain', 'explained', 'describe', 'described', 'join', 'joined', 'discuss', 'discussed', 'introduce', 'introduced', 'enjoy', 'enjoyed', 'agree', 'agreed', 'compare', 'compared', 'control', 'controlled', 'visit', 'visited', 'attend', 'attended', 'achieve', 'achieved', 'check', 'checked', 'protect', 'protected', 'complete', 'completed', 'apply', 'applied', 'accept', 'accepted', 'reduce', 'reduced', 'increase', 'increased', 'assume', 'assumed', 'prepare', 'prepared', 'relate', 'related', 'identify', 'identified', 'recognize', 'recognized', 'ensure', 'ensured', 'focus', 'focused', 'handle', 'handled', 'contain', 'contained', 'invest', 'invested', 'design', 'designed', 'express', 'expressed', 'wish', 'wished', 'thank', 'thanked', 'hope', 'hoped', 'love', 'loved', 'hate', 'hated', 'care', 'cared', 'worry', 'worried', 'believe', 'believed', 'realize', 'realized', 'learn', 'learned', 'teach', 'taught', 'study', 'studied', 'practice', 'practiced', 'discover', 'discovered', 'explore', 'explored', 'test', 'tested', 'prove', 'proved', 'solve', 'solved', 'answer', 'answered', 'question', 'questioned', 'wonder', 'wondered', 'doubt', 'doubted', 'guess', 'guessed', 'suppose', 'supposed', 'imagine', 'imagined', 'dream', 'dreamed', 'forget', 'forgot', 'ignore', 'ignored', 'notice', 'noticed', 'observe', 'observed', 'find', 'found', 'search', 'searched', 'seek', 'sought', 'wait', 'waited', 'call', 'called', 'text', 'texted', 'email', 'emailed', 'contact', 'contacted', 'connect', 'connected', 'communicate', 'communicated', 'respond', 'responded', 'reply', 'replied', 'react', 'reacted', 'listen', 'listened', 'mind', 'minded', 'matter', 'mattered', 'mean', 'meant', 'sound', 'sounded', 'sort', 'sorted', 'type', 'typed', 'kind', 'way', 'ways', 'time', 'times', 'day', 'days', 'year', 'years', 'week', 'weeks', 'month', 'months', 'hour', 'hours', 'minute', 'minutes', 'second', 'seconds', 'moment', 'moments', 'place', 'places', 'part', 'parts', 'side', 'sides', 'end', 'ends', 'point', 'points', 'line', 'lines', 'area', 'areas', 'back', 'front', 'top', 'bottom', 'left', 'right', 'here', 'there', 'where', 'when', 'how', 'why', 'what', 'who', 'which', 'whose', 'whom', 'now', 'then', 'today', 'tomorrow', 'yesterday', 'always', 'never', 'sometimes', 'often', 'usually', 'rarely', 'hardly', 'almost', 'quite', 'very', 'too', 'also', 'only', 'even', 'still', 'yet', 'already', 'again', 'once', 'twice', 'more', 'most', 'less', 'least', 'much', 'many', 'few', 'little', 'big', 'small', 'large', 'great', 'good', 'better', 'best', 'bad', 'worse', 'worst', 'new', 'old', 'young', 'long', 'short', 'high', 'low', 'early', 'late', 'fast', 'slow', 'quick', 'easy', 'hard', 'difficult', 'simple', 'complex', 'clear', 'dark', 'light', 'bright', 'heavy', 'light', 'strong', 'weak', 'hot', 'cold', 'warm', 'cool', 'wet', 'dry', 'clean', 'dirty', 'fresh', 'old', 'new', 'nice', 'beautiful', 'ugly', 'pretty', 'handsome', 'cute', 'smart', 'stupid', 'funny', 'serious', 'happy', 'sad', 'angry', 'mad', 'excited', 'bored', 'tired', 'sick', 'healthy', 'fine', 'okay', 'alright', 'sure', 'maybe', 'probably', 'definitely', 'certainly', 'possibly', 'likely', 'unlikely', 'true', 'false', 'right', 'wrong', 'correct', 'incorrect', 'yes', 'no', 'yeah', 'yep', 'nope', 'ok', 'well', 'oh', 'ah', 'um', 'uh', 'hmm', 'wow', 'hey', 'hi', 'hello', 'goodbye', 'bye', 'thanks', 'please', 'sorry', 'excuse', 'pardon']);
+        
+        return text
+            .toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 2 && !stopWords.has(word))
+            .slice(0, 100); // Limit processing for performance
+    }
+}
+
+// Export for use in other modules
+window.CommentProcessor = CommentProcessor;
@@ -8,6 +8,9 @@ class CommentListComponent {
         this.exportService = exportService;
         this.comments = [];
         this.isLoading = false;
+        this.expandedThreads = new Set();
+        this.conversationView = false;
+        this.focusCommentId = null;
         
         this.setupEventHandlers();
     }
@@ -24,6 +27,23 @@ class CommentListComponent {
                 const format = btn.dataset.format || 'comment';
                 this.onCommentExport?.(commentId, format);
             }
+
+            const threadToggle = e.target.closest('.thread-toggle');
+            if (threadToggle) {
+                e.preventDefault();
+                this.toggleThread(threadToggle);
+            }
+
+            const conversationBtn = e.target.closest('.view-conversation-btn');
+            if (conversationBtn) {
+                e.preventDefault();
+                this.onViewConversation?.(conversationBtn.dataset.commentId, conversationBtn.dataset.videoId);
+            }
+
+            if (e.target.closest('.conversation-back-btn')) {
+                e.preventDefault();
+                this.onConversationBack?.();
+            }
         });
 
         // Setup virtual scrolling if container gets large
@@ -69,38 +89,107 @@ class CommentListComponent {
     }
 
     /**
-     * Create comment card HTML with replies
+     * Render one conversation fully expanded, scrolled to the comment it was opened from
      */
-    createCommentCard(comment) {
-        let html = this.createSingleComment(comment, false);
-        
-        // Add replies if any
+    renderConversation(thread, focusCommentId) {
+        this.conversationView = true;
+        this.focusCommentId = focusCommentId;
+
+        const total = (thread.reply_count || 0) + 1;
+        this.container.innerHTML = `
+            <div class="conversation-header d-flex justify-content-between align-items-center mb-3">
+                <span class="text-muted">
+                    <i class="bi bi-chat-left-text"></i> Full conversation &middot; ${total} comment${total !== 1 ? 's' : ''}
+                </span>
+                <button type="button" class="btn btn-outline-secondary btn-sm conversation-back-btn">
+                    <i class="bi bi-arrow-left"></i> Back to comments
+                </button>
+            </div>
+            ${this.createCommentCard(thread)}
+        `;
+
+        this.conversationView = false;
+        this.focusCommentId = null;
+        this.updateInteractiveElements();
+
+        const focused = this.container.querySelector('.comment-focused');
+        focused?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Create comment card HTML with its reply thread.
+     * Threads start collapsed behind their reply count unless the user expanded them.
+     */
+    createCommentCard(comment, depth = 0) {
+        // A reply shown outside its thread (e.g. a search hit) links back to the conversation
+        const outOfContext = depth === 0 && comment.is_reply && !this.conversationView;
+        let html = this.createSingleComment(comment, depth > 0, outOfContext);
+
         if (comment.replies && comment.replies.length > 0) {
-            const repliesHtml = comment.replies.map(reply => 
-                this.createSingleComment(reply, true)
-            ).join('');
-            html += repliesHtml;
+            const replyCount = comment.reply_count || comment.replies.length;
+            const expanded = this.conversationView || this.expandedThreads.has(comment.comment_id);
+            const repliesHtml = comment.replies.map(reply => this.createCommentCard(reply, depth + 1)).join('');
+
+            html += `
+                <div class="comment-thread">
+                    <button type="button" class="btn btn-link btn-sm thread-toggle" data-thread-id="${comment.comment_id}" data-reply-count="${replyCount}" aria-expanded="${expanded}">
+                        ${this.threadToggleLabel(replyCount, expanded)}
+                    </button>
+                    <div class="comment-thread-replies${expanded ? '' : ' d-none'}">
+                        ${repliesHtml}
+                    </div>
+                </div>
+            `;
         }
         
         return html;
     }
 
+    /**
+     * Label for a thread's expand/collapse button
+     */
+    threadToggleLabel(replyCount, expanded) {
+        const noun = replyCount === 1 ? 'reply' : 'replies';
+        return `<i class="bi bi-chevron-${expanded ? 'up' : 'down'}"></i> ${expanded ? 'Hide' : 'Show'} ${this.formatNumber(replyCount)} ${noun}`;
+    }
+
+    /**
+     * Expand or collapse a thread in place, remembering the choice across re-renders
+     */
+    toggleThread(button) {
+        const threadId = button.dataset.threadId;
+        const expanded = !this.expandedThreads.has(threadId);
+        if (expanded) {
+            this.expandedThreads.add(threadId);
+        } else {
+            this.expandedThreads.delete(threadId);
+        }
+
+        button.setAttribute('aria-expanded', expanded);
+        button.innerHTML = this.threadToggleLabel(parseInt(button.dataset.replyCount) || 0, expanded);
+        button.nextElementSibling?.classList.toggle('d-none', !expanded);
+    }
+
     /**
      * Create single comment HTML
      */
-    createSingleComment(comment, isReply = false) {
+    createSingleComment(comment, isReply = false, showConversationLink = false) {
         const avatarColor = this.generateAvatarColor(comment.author);
         const firstLetter = comment.author[1]?.toUpperCase() || comment.author[0]?.toUpperCase() || 'U';
-        const date = new Date(comment.published_at).toLocaleDateString();
+        const dateObj = new Date(comment.published_at);
+        const date = (comment.published_at && !isNaN(dateObj.getTime()))
+            ? dateObj.toLocaleDateString()
+            : 'Date unavailable';
         const likes = this.formatNumber(comment.like_count);
         const heartIcon = comment.channel_owner_liked ? '❤️' : '';
         
-        const cardClass = isReply ? 'reply-card comment-card' : 'comment-card';
+        const focusClass = comment.comment_id === this.focusCommentId ? ' comment-focused' : '';
+        const cardClass = (isReply ? 'reply-card comment-card' : 'comment-card') + focusClass;
         const avatarSize = isReply ? '28' : '32';
         const avatarFontSize = isReply ? '0.8rem' : '1rem';
         
         return `
-            <div class="${cardClass}">
+            <div class="${cardClass}" data-comment-id="${comment.comment_id}">
                 <div class="comment-header">
                     <div class="d-flex align-items-center">
                         <div class="avatar me-3" style="
@@ -123,7 +212,7 @@ class CommentListComponent {
                         </div>
                     </div>
                     <div class="dropdown">
-                        <button class="btn btn-outline-primary btn-sm dropdown-toggle" type="button" data-bs-toggle="dropdown" aria-expanded="false" title="Export this comment">
+                        <button class="btn btn-outline-primary btn-sm dropdown-toggle export-dropdown" type="button" data-bs-toggle="dropdown" aria-expanded="false" data-comment-id="${comment.comment_id}">
                             <i class="bi bi-download"></i>
                         </button>
                         <ul class="dropdown-menu">
@@ -131,17 +220,22 @@ class CommentListComponent {
                                 <i class="bi bi-chat-text"></i> Comment Only
                             </a></li>
                             <li><a class="dropdown-item export-btn" href="#" data-comment-id="${comment.comment_id}" data-format="thumbnail">
-                                <i class="bi bi-image"></i> Thumbnail & Comment
+                                <i class="bi bi-image"></i> iPhone Screenshot
                             </a></li>
                         </ul>
                     </div>
                 </div>
-                <div class="comment-text">${this.highlightText(this.escapeHTML(comment.text))}</div>
+                <div class="comment-text">${this.highlightText(comment.text, this.searchTerm)}</div>
                 <div class="comment-actions">
                     <div class="comment-likes">
                         <i class="bi bi-hand-thumbs-up"></i> ${likes}
                         ${heartIcon ? `<span class="channel-owner-liked ms-2">${heartIcon}</span>` : ''}
                     </div>
+                    ${showConversationLink ? `
+                        <button type="button" class="btn btn-link btn-sm view-conversation-btn" data-comment-id="${comment.comment_id}" data-video-id="${comment.video_id}">
+                            <i class="bi bi-chat-left-text"></i> View full conversation
+                        </button>
+                    ` : ''}
                 </div>
             </div>
         `;
@@ -193,13 +287,22 @@ class CommentListComponent {
     }
 
     /**
-     * Highlight search terms in text
+     * Escape text and highlight the search term in it. Matching the raw text keeps
+     * a search for e.g. "amp" out of the escaped entities.
      */
     highlightText(text, searchTerm = '') {
-        if (!searchTerm) return text;
+        const content = String(text || '');
+        if (!searchTerm) return this.escapeHTML(content);
         
-        const regex = new RegExp(`(${this.escapeRegex(searchTerm)})`, 'gi');
-        return text.replace(regex, '<mark class="search-highlight">$1</mark>');
+        const regex = new RegExp(this.escapeRegex(searchTerm), 'gi');
+        let html = '';
+        let position = 0;
+        for (const match of content.matchAll(regex)) {
+            html += this.escapeHTML(content.slice(position, match.index)) +
+                `<mark class="search-highlight">${this.escapeHTML(match[0])}</mark>`;
+            position = match.index + match[0].length;
+        }
+        return html + this.escapeHTML(content.slice(position));
     }
 
     /**
@@ -273,6 +376,20 @@ class CommentListComponent {
         this.onCommentExport = handler;
     }
 
+    /**
+     * Set "view full conversation" handler
+     */
+    setViewConversationHandler(handler) {
+        this.onViewConversation = handler;
+    }
+
+    /**
+     * Set handler for leaving the conversation view
+     */
+    setConversationBackHandler(handler) {
+        this.onConversationBack = handler;
+    }
+
     /**
      * Set scroll handler
      */
@@ -293,6 +410,7 @@ class CommentListComponent {
     clear() {
         this.container.innerHTML = '';
         this.comments = [];
+        this.expandedThreads.clear();
     }
 
     /**
@@ -27,6 +27,28 @@ const AppConfig = {
     // Archive paths for local video playback
     ARCHIVE_BASE: '../bgca_yt_archive',
     
+    // Archives served over HTTP (YouTube mode and the local server fallback).
+    // Add one entry per channel archive; channel_title labels videos whose metadata doesn't name a channel.
+    ARCHIVES: [
+        { id: 'bgca', name: 'Boys & Girls Clubs of America', path: '../bgca_yt_archive', channel_title: 'Boys & Girls Clubs of America' }
+    ],
+    
+    // Full-text search ranking (BM25F). Boosts weight a match in each field against the others:
+    // title, description and keywords of videos, summary, transcript, and comment text and author
+    SEARCH: {
+        boosts: { title: 3, keywords: 2, description: 1, summary: 1, transcript: 1, text: 1, author: 0.5 },
+        k1: 1.2,
+        b: 0.75
+    },
+
+    // Related videos on the video page: how many to show, how much shared keywords, similar
+    // summaries and transcripts, and a shared title series count, and the lowest score shown
+    RELATED: {
+        limit: 8,
+        weights: { keywords: 0.4, content: 0.4, series: 0.3 },
+        minScore: 0.08
+    },
+    
     // Feature flags
     features: {
         localVideoPlayback: true,
@@ -10,8 +10,12 @@ class DataManager {
         this.videoMapping = {};
         this.isInitialized = false;
         this.dbName = 'BGCAArchiveDB';
-        this.dbVersion = 1;
+        this.dbVersion = 2; // Bump when the store layout changes; initIndexedDB upgrades step by step
+        this.cacheFormat = 3; // Bump when the cached video/comment records gain fields, to force a rebuild
+        this.loadedFromCache = false;
         this.usingPreIndexedData = false;
+        this.commentsLoaded = false;
+        this.commentsReady = Promise.resolve(); // Settles once comments are parsed and cached
         
         // Archive loader
         this.archiveLoader = new ArchiveLoader();
@@ -20,13 +24,51 @@ class DataManager {
         this.videoCommentsIndex = null;
         this.searchIndex = null;
         this.wordFreqIndex = null;
+        this.channelWordStats = null;
+
+        // Full-text search index, built on first use from the data it was built from
+        this.searchEngine = null;
+        this.searchSources = { videos: null, comments: null, commentCount: 0, contentAttempted: new Set() };
+        this.precomputedTranscripts = undefined;
+        this.contentIndexing = null;
+
+        // Groups of video variants, rebuilt when the videos or indexed transcripts change
+        this.variantGroups = null;
+        this.variantSources = { videos: null, transcripts: 0 };
+
+        // Keywords of the filter panel with their video counts, rebuilt when the videos change
+        this.keywordCounts = null;
+        this.keywordCountSource = null;
+
+        // bgca_yt_keywords.json of older archives, merged into the videos' own keywords once loaded
+        this.legacyKeywords = null;
     }
 
     /**
-     * Initialize the data manager by loading archive data and setting up IndexedDB
+     * Initialize the data manager by loading archive data and setting up IndexedDB.
+     * With options.deferComments it resolves once the videos are loaded and keeps parsing
+     * comments in the background, reporting to options.commentsProgressCallback; await
+     * commentsReady for the rest.
      */
-    async initialize(progressCallback) {
+    async initialize(progressCallback, options = {}) {
         try {
+            progressCallback?.('Opening local cache...', 2);
+            await this.initIndexedDB();
+
+            progressCallback?.('Checking archive for changes...', 4);
+            const sourceStamps = await this.archiveLoader.getSourceStamps();
+
+            if (!options.rebuildCache && await this.loadFromCache(sourceStamps)) {
+                progressCallback?.(`Loaded ${this.videos.length} videos from local cache`, 60);
+                this.buildVideoMapping();
+                progressCallback?.('Ready!', 100);
+                this.commentsLoaded = true;
+                this.commentsReady = Promise.resolve();
+                this.isInitialized = true;
+                console.log(`⚡ DataManager initialized from cache: ${this.videos.length} videos, ${this.comments.length} comments`);
+                return;
+            }
+
             progressCallback?.('Initializing archive loader...', 5);
             const archiveData = await this.archiveLoader.initialize();
             progressCallback?.('Archive discovered', 25);
@@ -39,154 +81,168 @@ class DataManager {
             this.buildVideoMapping();
             progressCallback?.('Video mapping built', 60);
 
-            // Load all comments for statistics
-            progressCallback?.('Loading comments data...', 65);
-            this.comments = [];
+            this.commentsLoaded = false;
+            this.commentsReady = this.loadArchiveComments(
+                options.deferComments ? options.commentsProgressCallback : progressCallback,
+                sourceStamps,
+                archiveData.discovery
+            );
+            if (options.deferComments) {
+                progressCallback?.('Videos ready, loading comments in the background...', 100);
+            } else {
+                await this.commentsReady;
+            }
+            this.isInitialized = true;
+
+            console.log('✅ DataManager initialized successfully');
+            console.log(`📊 ${this.videos.length} videos loaded from archive`);
+            console.log(`📊 Discovery: ${JSON.stringify(archiveData.discovery, null, 2)}`);
             
-            // Try loading from user's directory first
-            if (this.archiveLoader.directoryHandle) {
+        } catch (error) {
+            console.error('❌ DataManager initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse and index all comments off the main thread, then save the archive to the local cache
+     */
+    async loadArchiveComments(progressCallback, sourceStamps, discovery) {
+        progressCallback?.('Loading comments data...', 65);
+        const commentSources = await this.collectCommentSources();
+        const processed = await this.processComments(commentSources, (message, percent) => {
+            progressCallback?.(message, 65 + Math.round(percent * 0.1));
+        });
+
+        this.comments = processed.comments;
+        this.wordFreqIndex = processed.wordFreqIndex;
+        this.searchIndex = processed.searchIndex;
+        this.channelWordStats = processed.channelWords;
+        this.videoCommentsIndex = null;
+        if (processed.failedFiles > 0) {
+            console.warn(`⚠️ ${processed.failedFiles} comment files could not be parsed`);
+        }
+        console.log(`📊 Loaded ${this.comments.length} comments from ${commentSources.length} source files`);
+        progressCallback?.(`Loaded ${this.comments.length} comments`, 70);
+
+        // Persist the parsed archive so the next visit can skip parsing
+        progressCallback?.('Saving archive to local cache...', 80);
+        await this.populateDatabase(progressCallback);
+        await this.saveCacheSources(sourceStamps, discovery);
+        this.loadedFromCache = false;
+        this.commentsLoaded = true;
+
+        progressCallback?.('Ready!', 100);
+    }
+
+    /**
+     * List the comment files to parse: per-video files from the archive folder,
+     * otherwise the first combined comments.json found
+     */
+    async collectCommentSources() {
+        const loader = this.archiveLoader;
+
+        if (loader.directoryHandle) {
+            const sources = [];
+            const manifest = await loader.manifest.load();
+
+            if (manifest) {
+                for (const [shortcode, path] of Object.entries(manifest.files.comments || {})) {
+                    try {
+                        const handle = await loader.getFileHandleByPath(path);
+                        sources.push({ kind: 'file', file: await handle.getFile(), shortcode, name: path });
+                    } catch (error) {
+                        console.warn(`Comment file ${path} listed in manifest is missing:`, error);
+                    }
+                }
+            } else {
                 try {
-                    // Try loading from bgca_yt_comments directory (individual files)
-                    const commentsDir = await this.archiveLoader.directoryHandle.getDirectoryHandle('bgca_yt_comments');
-                    
-                    // Get all files in the comments directory
+                    const commentsDir = await loader.directoryHandle.getDirectoryHandle('bgca_yt_comments');
                     for await (const [name, handle] of commentsDir.entries()) {
-                        if (handle.kind === 'file' && (name.endsWith('.json') || name.endsWith('.txt'))) {
-                            try {
-                                const file = await handle.getFile();
-                                const fileContent = await file.text();
-                                const commentsData = JSON.parse(fileContent);
-                                
-                                // Extract shortcode from filename
-                                const shortcode = this.archiveLoader.extractShortcode(name);
-                                
-                                // Handle different comment file formats
-                                let rawComments = [];
-                                if (Array.isArray(commentsData)) {
-                                    rawComments = commentsData;
-                                } else if (commentsData[shortcode]) {
-                                    rawComments = commentsData[shortcode];
-                                } else if (commentsData.comments) {
-                                    rawComments = commentsData.comments;
-                                }
-                                
-                                if (Array.isArray(rawComments)) {
-                                    rawComments.forEach(comment => {
-                                        this.comments.push({
-                                            ...comment,
-                                            video_id: shortcode,
-                                            published_at: comment.published_at ? new Date(comment.published_at) : new Date(),
-                                            like_count: parseInt(comment.like_count || comment.likes) || 0,
-                                            is_reply: Boolean(comment.is_reply || comment.parent)
-                                        });
-                                    });
-                                }
-                            } catch (error) {
-                                console.warn(`Failed to parse comment file ${name}:`, error);
-                            }
+                        if (handle.kind === 'file' && !name.startsWith('._') && (name.endsWith('.json') || name.endsWith('.txt'))) {
+                            const shortcode = loader.extractShortcode(name);
+                            sources.push({ kind: 'file', file: await handle.getFile(), shortcode, name: `bgca_yt_comments/${name}` });
                         }
                     }
-                    console.log(`📊 Loaded ${this.comments.length} comments from user's bgca_yt_comments folder`);
                 } catch (e) {
-                    console.log('📁 No bgca_yt_comments folder, trying root folder...');
-                    
-                    try {
-                        // Fallback: try root of archive folder (comments.json)
-                        const commentsFile = await this.archiveLoader.directoryHandle.getFileHandle('comments.json');
-                        const file = await commentsFile.getFile();
-                        const allCommentsData = JSON.parse(await file.text());
-                        
-                        // Flatten all comments into a single array
-                        this.comments = [];
-                        Object.entries(allCommentsData).forEach(([videoId, videoComments]) => {
-                            if (Array.isArray(videoComments)) {
-                                videoComments.forEach(comment => {
-                                    this.comments.push({
-                                        ...comment,
-                                        video_id: videoId,
-                                        published_at: comment.published_at ? new Date(comment.published_at) : new Date(),
-                                        like_count: parseInt(comment.like_count) || 0,
-                                        is_reply: Boolean(comment.is_reply)
-                                    });
-                                });
-                            }
-                        });
-                        console.log(`📊 Loaded ${this.comments.length} comments from user's archive root`);
-                    } catch (e2) {
-                        console.log('📁 No comments.json in archive root, trying explorer_data folder...');
-                        
-                        try {
-                            const explorerDataDir = await this.archiveLoader.directoryHandle.getDirectoryHandle('bgca_yt_explorer_data');
-                            const commentsFile = await explorerDataDir.getFileHandle('comments.json');
-                            const file = await commentsFile.getFile();
-                            const allCommentsData = JSON.parse(await file.text());
-                            
-                            // Flatten all comments into a single array
-                            this.comments = [];
-                            Object.entries(allCommentsData).forEach(([videoId, videoComments]) => {
-                                if (Array.isArray(videoComments)) {
-                                    videoComments.forEach(comment => {
-                                        this.comments.push({
-                                            ...comment,
-                                            video_id: videoId,
-                                            published_at: comment.published_at ? new Date(comment.published_at) : new Date(),
-                                            like_count: parseInt(comment.like_count) || 0,
-                                            is_reply: Boolean(comment.is_reply)
-                                        });
-                                    });
-                                }
-                            });
-                            console.log(`📊 Loaded ${this.comments.length} comments from user's explorer_data folder`);
-                        } catch (e3) {
-                            console.log('📁 No comments in explorer_data folder, trying fallback...');
-                        }
-                    }
+                    console.log('📁 No bgca_yt_comments folder, trying combined comments files...');
                 }
             }
-                
-            // Fallback to included data if no comments loaded
-            if (this.comments.length === 0) {
-                    try {
-                        const response = await fetch('./data/comments.json');
-                        if (response.ok) {
-                            const allCommentsData = await response.json();
-                            this.comments = [];
-                            Object.entries(allCommentsData).forEach(([videoId, videoComments]) => {
-                                if (Array.isArray(videoComments)) {
-                                    videoComments.forEach(comment => {
-                                        this.comments.push({
-                                            ...comment,
-                                            video_id: videoId,
-                                            published_at: comment.published_at ? new Date(comment.published_at) : new Date(),
-                                            like_count: parseInt(comment.like_count) || 0,
-                                            is_reply: Boolean(comment.is_reply)
-                                        });
-                                    });
-                                }
-                            });
-                            console.log(`📊 Loaded ${this.comments.length} comments from included data`);
-                        }
-                    } catch (e) {
-                        console.warn('Failed to load comments data:', e);
-                        this.comments = [];
-                    }
+
+            if (sources.length > 0) {
+                return sources;
             }
-            progressCallback?.(`Loaded ${this.comments.length} comments`, 70);
 
-            // Skip IndexedDB setup for now - we're using direct archive access
-            progressCallback?.('Archive data ready - using direct access', 90);
+            for (const path of ['comments.json', 'bgca_yt_explorer_data/comments.json']) {
+                try {
+                    const handle = await loader.getFileHandleByPath(path);
+                    return [{ kind: 'bundle', file: await handle.getFile(), name: path }];
+                } catch (e) {
+                    console.log(`📁 No ${path} in archive folder`);
+                }
+            }
+        }
 
-            progressCallback?.('Ready!', 100);
-            this.isInitialized = true;
-            
-            console.log('✅ DataManager initialized successfully');
-            console.log(`📊 ${this.videos.length} videos loaded from archive`);
-            console.log(`📊 Discovery: ${JSON.stringify(archiveData.discovery, null, 2)}`);
-            
-        } catch (error) {
-            console.error('❌ DataManager initialization failed:', error);
-            throw error;
+        // Fallback to included data; absolute URL so the worker resolves it against the page
+        return [{ kind: 'bundle', url: new URL('./data/comments.json', document.baseURI).href, name: 'data/comments.json' }];
+    }
+
+    /**
+     * Parse comment sources in a Web Worker, falling back to the main thread
+     * when workers are unavailable (e.g. the explorer opened from file://)
+     */
+    async processComments(sources, progressCallback) {
+        if (typeof Worker !== 'undefined') {
+            try {
+                return await this.runCommentWorker(sources, progressCallback);
+            } catch (error) {
+                console.warn('⚠️ Comment worker unavailable, parsing on the main thread:', error);
+            }
         }
+
+        return new CommentProcessor().process(sources, progressCallback);
+    }
+
+    /**
+     * Run js/workers/comment-worker.js over the sources and resolve with its result
+     */
+    runCommentWorker(sources, progressCallback) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('js/workers/comment-worker.js');
+
+            worker.onmessage = (event) => {
+                const { type, message, percent, result } = event.data;
+                if (type === 'progress') {
+                    progressCallback?.(message, percent);
+                } else if (type === 'result') {
+                    worker.terminate();
+                    resolve(result);
+                } else if (type === 'error') {
+                    worker.terminate();
+                    reject(new Error(message));
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault?.();
+                worker.terminate();
+                reject(new Error(event.message || 'Comment worker failed to start'));
+            };
+
+            worker.postMessage({ type: 'process', sources });
+        });
+    }
+
+    /**
+     * Clear the local cache and reload everything from the archive
+     */
+    async rebuildCache(progressCallback) {
+        console.log('🔄 Rebuilding local archive cache...');
+        this.archiveLoader.clearCache();
+        this.archiveLoader.fileDiscovery = null;
+        this.archiveLoader.manifest.markStale();
+        this.videoCommentsIndex = null;
+
+        await this.initialize(progressCallback, { rebuildCache: true });
     }
 
     /**
@@ -197,7 +253,7 @@ class DataManager {
         this.videos.forEach(video => {
             if (video.video_file) {
                 // Use the actual video file path - the video_file already contains the filename
-                this.videoMapping[video.video_id] = `../bgca_yt_archive/bgca_yt_media/${video.video_file}`;
+                this.videoMapping[video.video_id] = `${this.archiveLoader.archivePath}/bgca_yt_media/${video.video_file}`;
             } else {
                 // Generate multiple possible paths for this video
                 const videoId = video.video_id;
@@ -214,7 +270,7 @@ class DataManager {
                 const possiblePaths = [];
                 datePrefixes.forEach(datePrefix => {
                     // Pattern 1: Standard format
-                    possiblePaths.push(`../bgca_yt_archive/bgca_yt_media/${datePrefix}_${videoId}_youtube video #${videoId}.mp4`);
+                    possiblePaths.push(`${this.archiveLoader.archivePath}/bgca_yt_media/${datePrefix}_${videoId}_youtube video #${videoId}.mp4`);
                     // Pattern 2: Title-based format (clean up title for filename)
                     const cleanTitle = title.replace(/\([^)]*\)/g, (match) => {
                         const content = match.slice(1, -1);
@@ -223,7 +279,7 @@ class DataManager {
                         }
                         return match.replace(/:/g, '_');
                     });
-                    possiblePaths.push(`../bgca_yt_archive/bgca_yt_media/${datePrefix}_${videoId}_${cleanTitle}.mp4`);
+                    possiblePaths.push(`${this.archiveLoader.archivePath}/bgca_yt_media/${datePrefix}_${videoId}_${cleanTitle}.mp4`);
                 });
                 
                 // Store the first possible path (the video player will try multiple)
@@ -237,14 +293,73 @@ class DataManager {
      * Load transcript for a video using archive loader
      */
     async loadTranscript(videoId) {
-        return await this.archiveLoader.loadTranscript(videoId);
+        return await this.loadCachedContent('transcripts', videoId, () => this.archiveLoader.loadTranscript(videoId));
     }
 
     /**
      * Load summary for a video using archive loader
      */
     async loadSummary(videoId) {
-        return await this.archiveLoader.loadSummary(videoId);
+        return await this.loadCachedContent('summaries', videoId, () => this.archiveLoader.loadSummary(videoId));
+    }
+
+    /**
+     * Serve transcripts/summaries from IndexedDB, loading and storing them on a miss
+     */
+    async loadCachedContent(storeName, videoId, loadFromArchive) {
+        if (this.db) {
+            try {
+                const cached = await this.getFromStore(storeName, videoId);
+                if (cached) {
+                    return cached;
+                }
+            } catch (error) {
+                console.warn(`⚠️ Failed to read ${storeName} cache:`, error);
+            }
+        }
+
+        const content = await loadFromArchive();
+        if (content && this.db) {
+            this.addToStore(storeName, [content]).catch(error => {
+                console.warn(`⚠️ Failed to cache ${storeName} entry for ${videoId}:`, error);
+            });
+        }
+        return content;
+    }
+
+    /**
+     * Load timed subtitle cues for a video using archive loader
+     */
+    async loadSubtitles(videoId) {
+        return await this.archiveLoader.loadSubtitles(videoId);
+    }
+
+    /**
+     * List the subtitle files available as caption tracks for a video
+     */
+    async getSubtitleTracks(videoId) {
+        return await this.archiveLoader.findSubtitleFiles(videoId);
+    }
+
+    /**
+     * List every language variant of a video's transcript
+     */
+    async getTranscriptVariants(videoId) {
+        return await this.archiveLoader.findTranscriptVariants(videoId);
+    }
+
+    /**
+     * Languages with at least one transcript in the archive
+     */
+    async getTranscriptLanguages() {
+        return await this.archiveLoader.listTranscriptLanguages();
+    }
+
+    /**
+     * Load one transcript or subtitle file listed by getTranscriptVariants/getSubtitleTracks
+     */
+    async loadTranscriptFile(videoId, path, options = {}) {
+        return await this.archiveLoader.loadTranscriptFile(path, options);
     }
 
     /**
@@ -481,54 +596,203 @@ class DataManager {
                 resolve(); // Don't fail if IndexedDB isn't available
             };
 
+            request.onblocked = () => {
+                console.warn('⚠️ IndexedDB upgrade blocked by another open tab, continuing without cache');
+                resolve();
+            };
+
             request.onsuccess = (event) => {
                 this.db = event.target.result;
+                // Let a newer schema in another tab take over the database
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
                 console.log('✅ IndexedDB initialized');
                 resolve();
             };
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-
-                // Create videos store
-                if (!db.objectStoreNames.contains('videos')) {
-                    const videoStore = db.createObjectStore('videos', { keyPath: 'video_id' });
-                    videoStore.createIndex('published_at', 'published_at');
-                    videoStore.createIndex('view_count', 'view_count');
-                    videoStore.createIndex('comment_count', 'comment_count');
-                    videoStore.createIndex('title', 'title');
+                const oldVersion = event.oldVersion;
+                console.log(`🗄️ Upgrading IndexedDB schema from v${oldVersion} to v${this.dbVersion}`);
+
+                // v1: videos and comments
+                if (oldVersion < 1) {
+                    // Create videos store
+                    if (!db.objectStoreNames.contains('videos')) {
+                        const videoStore = db.createObjectStore('videos', { keyPath: 'video_id' });
+                        videoStore.createIndex('published_at', 'published_at');
+                        videoStore.createIndex('view_count', 'view_count');
+                        videoStore.createIndex('comment_count', 'comment_count');
+                        videoStore.createIndex('title', 'title');
+                    }
+    
+                    // Create comments store
+                    if (!db.objectStoreNames.contains('comments')) {
+                        const commentStore = db.createObjectStore('comments', { keyPath: 'comment_id' });
+                        commentStore.createIndex('video_id', 'video_id');
+                        commentStore.createIndex('author', 'author');
+                        commentStore.createIndex('published_at', 'published_at');
+                        commentStore.createIndex('like_count', 'like_count');
+                        commentStore.createIndex('is_reply', 'is_reply');
+                        commentStore.createIndex('parent_comment_id', 'parent_comment_id');
+                    }
                 }
 
-                // Create comments store
-                if (!db.objectStoreNames.contains('comments')) {
-                    const commentStore = db.createObjectStore('comments', { keyPath: 'comment_id' });
-                    commentStore.createIndex('video_id', 'video_id');
-                    commentStore.createIndex('author', 'author');
-                    commentStore.createIndex('published_at', 'published_at');
-                    commentStore.createIndex('like_count', 'like_count');
-                    commentStore.createIndex('is_reply', 'is_reply');
-                    commentStore.createIndex('parent_comment_id', 'parent_comment_id');
+                // v2: persistent archive cache - per-video content plus the source files it was built from
+                if (oldVersion < 2) {
+                    // v1 databases were never populated; start the cache from a clean slate
+                    ['videos', 'comments'].forEach(storeName => {
+                        if (oldVersion > 0 && db.objectStoreNames.contains(storeName)) {
+                            event.target.transaction.objectStore(storeName).clear();
+                        }
+                    });
+
+                    if (!db.objectStoreNames.contains('transcripts')) {
+                        db.createObjectStore('transcripts', { keyPath: 'video_id' });
+                    }
+                    if (!db.objectStoreNames.contains('summaries')) {
+                        db.createObjectStore('summaries', { keyPath: 'video_id' });
+                    }
+                    if (!db.objectStoreNames.contains('sources')) {
+                        // One row per archive file/folder: { source_file, last_modified }
+                        db.createObjectStore('sources', { keyPath: 'source_file' });
+                    }
+                    if (!db.objectStoreNames.contains('meta')) {
+                        db.createObjectStore('meta', { keyPath: 'key' });
+                    }
                 }
             };
         });
     }
 
+    /**
+     * Load videos and comments from IndexedDB if every recorded source file is unchanged
+     */
+    async loadFromCache(sourceStamps) {
+        if (!this.db || !sourceStamps) {
+            return false;
+        }
+
+        try {
+            const meta = await this.getFromStore('meta', 'archive');
+            if (!meta || meta.archive_name !== this.archiveLoader.directoryHandle?.name) {
+                console.log('🗄️ No local cache for this archive yet');
+                return false;
+            }
+            if (meta.format !== this.cacheFormat) {
+                console.log('🗄️ Local cache was built by an older version, rebuilding');
+                return false;
+            }
+
+            const sources = await this.getAllFromStore('sources');
+            const currentFiles = Object.keys(sourceStamps);
+            const unchanged = sources.length === currentFiles.length &&
+                sources.every(source => sourceStamps[source.source_file] === source.last_modified);
+            if (!unchanged) {
+                console.log('🗄️ Archive files changed since last visit, rebuilding cache');
+                return false;
+            }
+
+            const [videos, comments, indexes] = await Promise.all([
+                this.getAllFromStore('videos'),
+                this.getAllFromStore('comments'),
+                this.getFromStore('meta', 'indexes')
+            ]);
+            if (videos.length === 0) {
+                return false;
+            }
+
+            this.videos = videos;
+            this.comments = comments;
+            this.videoCommentsIndex = null;
+            this.wordFreqIndex = indexes?.wordFreqIndex || null;
+            this.searchIndex = indexes?.searchIndex || null;
+            this.channelWordStats = indexes?.channelWordStats || null;
+            this.loadedFromCache = true;
+            console.log(`🗄️ Loaded archive from local cache built ${meta.cached_at}`);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Failed to read local cache, loading from archive:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Record which source files (and their lastModified stamps) the cache was built from
+     */
+    async saveCacheSources(sourceStamps, discovery) {
+        if (!this.db || !sourceStamps) {
+            return;
+        }
+
+        try {
+            const sources = Object.entries(sourceStamps).map(([sourceFile, lastModified]) => ({
+                source_file: sourceFile,
+                last_modified: lastModified
+            }));
+            await this.addToStore('sources', sources);
+            await this.addToStore('meta', [{
+                key: 'archive',
+                archive_name: this.archiveLoader.directoryHandle?.name,
+                cached_at: new Date().toISOString(),
+                format: this.cacheFormat,
+                discovery
+            }, {
+                key: 'indexes',
+                wordFreqIndex: this.wordFreqIndex,
+                searchIndex: this.searchIndex,
+                channelWordStats: this.channelWordStats
+            }]);
+            console.log(`🗄️ Cached archive built from ${sources.length} source files`);
+        } catch (error) {
+            console.warn('⚠️ Failed to record cache sources:', error);
+        }
+    }
+
+    /**
+     * Get a single record from an IndexedDB store
+     */
+    async getFromStore(storeName, key) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).get(key);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get every record from an IndexedDB store
+     */
+    async getAllFromStore(storeName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     /**
      * Populate IndexedDB with loaded data
      */
     async populateDatabase(progressCallback) {
         if (!this.db) {
-            // IndexedDB not available, just simulate progress for user feedback
+            // IndexedDB not available, keep everything in memory
             progressCallback?.('Using in-memory storage...', 90);
-            await new Promise(resolve => setTimeout(resolve, 500)); // Small delay for user feedback
             return;
         }
 
         try {
             // Clear existing data
             progressCallback?.('Clearing existing data...', 82);
-            await this.clearStore('videos');
-            await this.clearStore('comments');
+            for (const storeName of ['videos', 'comments', 'transcripts', 'summaries', 'sources', 'meta']) {
+                await this.clearStore(storeName);
+            }
 
             // Add videos
             progressCallback?.('Indexing videos...', 85);
@@ -573,7 +837,8 @@ class DataManager {
             const isComments = storeName === 'comments';
             
             data.forEach((item, index) => {
-                const request = store.add(item);
+                // put() so comments repeated across archive files don't abort the transaction
+                const request = store.put(item);
                 request.onsuccess = () => {
                     completed++;
                     
@@ -599,12 +864,14 @@ class DataManager {
         let filteredVideos = [...this.videos];
 
         // Apply filters
-        if (filters.search) {
-            const searchLower = filters.search.toLowerCase();
-            filteredVideos = filteredVideos.filter(video => 
-                video.title.toLowerCase().includes(searchLower) ||
-                video.description?.toLowerCase().includes(searchLower)
-            );
+        // The search is a SearchQuery; a malformed one throws its SyntaxError
+        let relevance = null;
+        let suggestion = null;
+        const query = filters.search ? SearchQuery.parse(filters.search) : null;
+        if (query) {
+            relevance = await this.matchVideoQuery(query);
+            filteredVideos = filteredVideos.filter(video => relevance.has(video.video_id));
+            suggestion = this.searchEngine.suggest(filters.search);
         }
 
         if (filters.dateFrom) {
@@ -614,8 +881,14 @@ class DataManager {
         }
 
         if (filters.dateTo) {
+            // A day such as 2024-05-31 includes the whole day
+            const dateTo = new Date(filters.dateTo);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(filters.dateTo)) {
+                dateTo.setUTCDate(dateTo.getUTCDate() + 1);
+                dateTo.setUTCMilliseconds(-1);
+            }
             filteredVideos = filteredVideos.filter(video => 
-                video.published_at <= new Date(filters.dateTo)
+                video.published_at <= dateTo
             );
         }
 
@@ -631,10 +904,49 @@ class DataManager {
             );
         }
 
-        // Apply sorting
-        const sortBy = filters.sortBy || 'date-desc';
+        // Durations are in seconds
+        if (filters.minDuration) {
+            filteredVideos = filteredVideos.filter(video =>
+                (parseInt(video.duration) || 0) >= filters.minDuration
+            );
+        }
+
+        if (filters.maxDuration) {
+            filteredVideos = filteredVideos.filter(video =>
+                (parseInt(video.duration) || 0) <= filters.maxDuration
+            );
+        }
+
+        // true keeps the videos that have the file or data, false those without
+        Object.entries(DataManager.AVAILABILITY_FILTERS).forEach(([key, has]) => {
+            if (typeof filters[key] === 'boolean') {
+                filteredVideos = filteredVideos.filter(video => has(video) === filters[key]);
+            }
+        });
+
+        // Videos with any of the keywords, or all of them with keywordMode 'all'
+        if (filters.keywords?.length) {
+            const wanted = filters.keywords.map(keyword => keyword.toLowerCase());
+            filteredVideos = filteredVideos.filter(video => {
+                const keywords = new Set((video.keywords || []).map(keyword => String(keyword).toLowerCase()));
+                return filters.keywordMode === 'all'
+                    ? wanted.every(keyword => keywords.has(keyword))
+                    : wanted.some(keyword => keywords.has(keyword));
+            });
+        }
+
+        if (filters.category) {
+            filteredVideos = filteredVideos.filter(video => this.videoMatchesCategory(video, filters.category));
+        }
+
+        // Apply sorting; a search ranks by relevance unless another order was picked
+        const sortBy = filters.sortBy || (relevance ? 'relevance' : 'date-desc');
         filteredVideos.sort((a, b) => {
             switch (sortBy) {
+                case 'relevance':
+                    // Filters like views:>1000 score nothing; those ties stay newest first
+                    return (relevance && relevance.get(b.video_id) - relevance.get(a.video_id)) ||
+                        b.published_at - a.published_at;
                 case 'date-asc':
                     return a.published_at - b.published_at;
                 case 'date-desc':
@@ -651,11 +963,31 @@ class DataManager {
                     return a.title.localeCompare(b.title);
                 case 'title-desc':
                     return b.title.localeCompare(a.title);
+                case 'view_growth-desc':
+                case 'view_growth-asc':
+                case 'like_growth-desc':
+                case 'like_growth-asc':
+                case 'comment_growth-desc':
+                case 'comment_growth-asc':
+                    return this.compareGrowth(a, b, sortBy);
                 default:
                     return b.published_at - a.published_at;
             }
         });
 
+        // One entry per group of variants: the first in the current order stands for the group
+        const variantGroups = filters.groupVariants ? this.getVariantGroups() : null;
+        if (variantGroups) {
+            const shownGroups = new Set();
+            filteredVideos = filteredVideos.filter(video => {
+                const group = variantGroups.get(video.video_id);
+                if (!group) return true;
+                if (shownGroups.has(group)) return false;
+                shownGroups.add(group);
+                return true;
+            });
+        }
+
         // Apply pagination
         const startIndex = (pagination.page - 1) * pagination.limit;
         const endIndex = startIndex + pagination.limit;
@@ -667,128 +999,385 @@ class DataManager {
             page: pagination.page,
             totalPages: Math.ceil(filteredVideos.length / pagination.limit),
             hasNext: endIndex < filteredVideos.length,
-            hasPrev: pagination.page > 1
+            hasPrev: pagination.page > 1,
+            suggestion,
+            variantGroups
         };
     }
 
     /**
-     * Get a single video by ID
+     * Groups of variants of the same video (see VariantGrouper): Map video_id -> { id, videos }.
+     * Transcripts count once they are in the search index, e.g. after a Search Archive search.
      */
-    getVideo(videoId) {
-        return this.videos.find(video => video.video_id === videoId);
+    getVariantGroups() {
+        const engine = this.searchSources.videos === this.videos ? this.searchEngine : null;
+        const transcripts = engine ? engine.indexedContent.size : 0;
+        if (!this.variantGroups || this.variantSources.videos !== this.videos || this.variantSources.transcripts !== transcripts) {
+            this.variantGroups = new VariantGrouper().group(this.videos, transcripts > 0 ? engine.termCounts(['transcript']) : null);
+            this.variantSources = { videos: this.videos, transcripts };
+            console.log(`🧩 Found ${new Set(this.variantGroups.values()).size} groups of video variants`);
+        }
+        return this.variantGroups;
     }
 
     /**
-     * Get comments for a video with filtering and pagination
+     * Every keyword of the videos with the number of videos that have it, most used first: [{ keyword, count }]
      */
-    async getComments(videoId, filters = {}, pagination = { page: 1, limit: 50 }) {
-        // Load comments from archive loader (on-demand)
-        let videoComments = [];
-        try {
-            videoComments = await this.loadCommentsForVideo(videoId);
-            console.log(`📝 Loaded ${videoComments.length} comments for video ${videoId}`);
-        } catch (error) {
-            console.warn(`Failed to load comments for video ${videoId}:`, error);
-            
-            // Fallback to pre-indexed data if available
-            if (this.videoCommentsIndex && this.videoCommentsIndex[videoId]) {
-                videoComments = [...this.videoCommentsIndex[videoId]];
-            } else {
-                videoComments = this.comments.filter(comment => comment.video_id === videoId);
-            }
+    getKeywordCounts() {
+        if (this.keywordCountSource !== this.videos) {
+            const counts = new Map();
+            this.videos.forEach(video => {
+                new Set((video.keywords || []).map(keyword => String(keyword).trim()).filter(Boolean)).forEach(keyword => {
+                    const key = keyword.toLowerCase();
+                    const entry = counts.get(key) || { keyword, count: 0 };
+                    entry.count++;
+                    counts.set(key, entry);
+                });
+            });
+            this.keywordCounts = [...counts.values()].sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword));
+            this.keywordCountSource = this.videos;
         }
+        return this.keywordCounts;
+    }
 
-        // Apply filters
-        if (filters.search) {
-            const searchLower = filters.search.toLowerCase();
-            videoComments = videoComments.filter(comment => 
-                comment.text.toLowerCase().includes(searchLower) ||
-                comment.author.toLowerCase().includes(searchLower)
-            );
+    /**
+     * A video's keywords with those of the legacy keywords file it lacks
+     */
+    getVideoKeywords(video) {
+        const keywords = [...(video.keywords || [])];
+        if (!this.legacyKeywords) {
+            return keywords;
         }
 
-        if (filters.repliesOnly) {
-            videoComments = videoComments.filter(comment => comment.is_reply);
+        // The legacy file is keyed by video ID or by transcript file name
+        const key = [video.video_id, `${video.title}_${video.video_id}_en_auto_ytdlp`]
+            .find(candidate => Array.isArray(this.legacyKeywords[candidate])) ||
+            Object.keys(this.legacyKeywords).find(candidate => candidate.includes(video.video_id));
+        const legacyKeywords = key ? this.legacyKeywords[key] : null;
+        if (!Array.isArray(legacyKeywords)) {
+            return keywords;
         }
 
-        // Apply sorting
-        const sortBy = filters.sortBy || 'likes-desc';
-        videoComments.sort((a, b) => {
-            switch (sortBy) {
-                case 'likes-desc':
-                    return b.like_count - a.like_count;
-                case 'likes-asc':
-                    return a.like_count - b.like_count;
-                case 'date-desc':
-                    return b.published_at - a.published_at;
-                case 'date-asc':
-                    return a.published_at - b.published_at;
-                default:
-                    return b.like_count - a.like_count;
+        const lowerKeywords = new Set(keywords.map(keyword => keyword.toLowerCase()));
+        return [...keywords, ...legacyKeywords.filter(keyword => !lowerKeywords.has(keyword.toLowerCase()))];
+    }
+
+    /**
+     * Whether a video belongs to one of VIDEO_CATEGORIES, judged by its title, description and keywords
+     */
+    videoMatchesCategory(video, category) {
+        const title = (video.title || '').toLowerCase();
+        const description = (video.description || '').toLowerCase();
+        const keywords = this.getVideoKeywords(video);
+        const keywordText = keywords.join(' ').toLowerCase();
+        
+        // Define category matching logic
+        switch (category) {
+            case 'Youth of the Year':
+                return title.includes('youth of the year') || 
+                       title.includes('youth year') ||
+                       keywordText.includes('youth of the year') ||
+                       description.includes('youth of the year');
+                       
+            case 'Alumni':
+                return title.includes('alumni') || 
+                       title.includes('graduate') ||
+                       title.includes('former member') ||
+                       keywordText.includes('alumni') ||
+                       description.includes('alumni');
+                       
+            case 'Personal':
+                return title.includes('story') || 
+                       title.includes('journey') ||
+                       title.includes('experience') ||
+                       title.includes('personal') ||
+                       keywordText.includes('story') ||
+                       keywordText.includes('personal');
+                       
+            case 'Partnership':
+                return title.includes('partner') || 
+                       title.includes('collaboration') ||
+                       title.includes('sponsor') ||
+                       keywordText.includes('partner') ||
+                       description.includes('partner');
+                       
+            case 'Educational':
+                return title.includes('education') || 
+                       title.includes('learning') ||
+                       title.includes('school') ||
+                       title.includes('academic') ||
+                       title.includes('homework') ||
+                       keywordText.includes('education') ||
+                       keywordText.includes('learning');
+                       
+            case 'PSA':
+                return title.includes('psa') || 
+                       title.includes('public service') ||
+                       title.includes('announcement') ||
+                       title.includes('campaign') ||
+                       keywordText.includes('psa') ||
+                       keywordText.includes('campaign');
+                       
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Videos matching a parsed SearchQuery: Map video_id -> relevance score.
+     * Summaries and transcripts are indexed first when the query asks for them.
+     */
+    async matchVideoQuery(query) {
+        const fields = SearchQuery.fieldsUsed(query);
+        let engine = this.getSearchEngine(fields.has('comment') || fields.has('author') ? ['video', 'comment'] : ['video']);
+        if (fields.has('summary') || fields.has('transcript')) {
+            engine = await this.indexVideoContent();
+        }
+        return this.evaluateQuery(query, engine) || new Map(this.videos.map(video => [video.video_id, 0]));
+    }
+
+    /**
+     * Evaluate one query node to Map video_id -> score, or null when it matches everything
+     * (text without any searchable words). Misspelt words match close spellings, except
+     * under NOT, where that would leave out videos the query never named.
+     */
+    evaluateQuery(node, engine, fuzzy = true) {
+        const allExcept = (excluded) => new Map(this.videos
+            .filter(video => !excluded.has(video.video_id))
+            .map(video => [video.video_id, 0]));
+
+        switch (node.type) {
+            case 'and': {
+                let result = null;
+                node.children.forEach(child => {
+                    const matches = this.evaluateQuery(child, engine, fuzzy);
+                    if (!matches) return;
+                    if (!result) {
+                        result = matches;
+                        return;
+                    }
+                    const combined = new Map();
+                    result.forEach((score, videoId) => {
+                        if (matches.has(videoId)) combined.set(videoId, score + matches.get(videoId));
+                    });
+                    result = combined;
+                });
+                return result;
             }
-        });
+            case 'or': {
+                const result = new Map();
+                for (const child of node.children) {
+                    const matches = this.evaluateQuery(child, engine, fuzzy);
+                    if (!matches) return null;
+                    matches.forEach((score, videoId) => result.set(videoId, (result.get(videoId) || 0) + score));
+                }
+                return result;
+            }
+            case 'not': {
+                const excluded = this.evaluateQuery(node.child, engine, false);
+                return excluded ? allExcept(excluded) : null;
+            }
+            case 'range':
+                return allExcept(new Set(this.videos
+                    .filter(video => !this.isInQueryRange(video[node.field], node))
+                    .map(video => video.video_id)));
+            default: {
+                if (SearchEngine.tokenize(node.text).length === 0) {
+                    return null;
+                }
+                // Comment, summary and transcript matches count for the video they belong to
+                const targets = {
+                    summary: { types: ['summary'] },
+                    transcript: { types: ['transcript'] },
+                    comment: { types: ['comment'], fields: ['text'] },
+                    author: { types: ['comment'], fields: ['author'] }
+                };
+                const target = targets[node.field] || { types: ['video'], fields: node.field ? [node.field] : null };
+                const matches = new Map();
+                engine.search(node.text, { ...target, phrase: node.phrase, fuzzy }).forEach(match => {
+                    matches.set(match.videoId, Math.max(matches.get(match.videoId) || 0, match.score));
+                });
+                return matches;
+            }
+        }
+    }
+
+    /**
+     * Whether a video value (a number or a date) falls in a query range node
+     */
+    isInQueryRange(value, node) {
+        const number = value instanceof Date ? value.getTime() : parseFloat(value);
+        if (isNaN(number)) return false;
+        if (node.min !== null && (node.minInclusive ? number < node.min : number <= node.min)) return false;
+        if (node.max !== null && (node.maxInclusive ? number > node.max : number >= node.max)) return false;
+        return true;
+    }
+
+    /**
+     * Compare videos by growth between scrapes, e.g. sortBy 'view_growth-desc'.
+     * Videos without two scrapes sort last in either direction.
+     */
+    compareGrowth(a, b, sortBy) {
+        const [field, direction] = sortBy.split('-');
+        const key = field.replace('_growth', '_count');
+        const valueA = a.growth?.[key];
+        const valueB = b.growth?.[key];
+        if (valueA === undefined || valueB === undefined) {
+            return (valueA === undefined) - (valueB === undefined);
+        }
+        return direction === 'asc' ? valueA - valueB : valueB - valueA;
+    }
 
-        // Group comments with their replies
-        const topLevelComments = videoComments.filter(comment => !comment.is_reply);
-        const replies = videoComments.filter(comment => comment.is_reply);
+    /**
+     * Get a single video by ID
+     */
+    getVideo(videoId) {
+        return this.videos.find(video => video.video_id === videoId);
+    }
 
-        const commentsWithReplies = topLevelComments.map(comment => ({
-            ...comment,
-            replies: replies.filter(reply => reply.parent_comment_id === comment.comment_id)
-        }));
+    /**
+     * Get comments for a video with filtering and pagination
+     */
+    async getComments(videoId, filters = {}, pagination = { page: 1, limit: 50 }) {
+        const threads = await this.getAllComments(videoId, filters);
 
         // Apply pagination
         const startIndex = (pagination.page - 1) * pagination.limit;
         const endIndex = startIndex + pagination.limit;
-        const paginatedComments = commentsWithReplies.slice(startIndex, endIndex);
+        const paginatedComments = threads.slice(startIndex, endIndex);
 
         return {
             comments: paginatedComments,
-            total: commentsWithReplies.length,
+            total: threads.length,
             page: pagination.page,
-            totalPages: Math.ceil(commentsWithReplies.length / pagination.limit),
-            hasNext: endIndex < commentsWithReplies.length,
+            totalPages: Math.ceil(threads.length / pagination.limit),
+            hasNext: endIndex < threads.length,
             hasPrev: pagination.page > 1
         };
     }
 
     /**
-     * Get ALL comments for a video without pagination (for export)
+     * Get ALL comments for a video without pagination (for export).
+     * Without filters this is every conversation as a reply tree. With a search or
+     * replies-only filter each match is returned with its own replies, even when
+     * its parent did not match.
      */
     async getAllComments(videoId, filters = {}) {
-        let videoComments = [];
-        
-        // Load comments from archive loader (on-demand)
+        const videoComments = await this.loadVideoComments(videoId);
+        const threads = this.buildCommentThreads(videoComments);
+
+        if (!filters.search && !filters.repliesOnly) {
+            return this.sortComments(threads.roots, filters.sortBy);
+        }
+
+        const matchesSearch = filters.search ? this.createCommentMatcher(filters.search) : null;
+        const matches = new Set();
+        threads.nodes.forEach(node => {
+            if (filters.repliesOnly && !node.is_reply) return;
+            if (matchesSearch && !matchesSearch(node.text, node.author)) return;
+            matches.add(node);
+        });
+
+        // A match already shown inside a matching ancestor's thread is not repeated
+        const results = [...matches].filter(node => {
+            for (let parent = threads.parents.get(node); parent; parent = threads.parents.get(parent)) {
+                if (matches.has(parent)) return false;
+            }
+            return true;
+        });
+
+        return this.sortComments(results, filters.sortBy);
+    }
+
+    /**
+     * Get the whole conversation a comment belongs to, starting from its top-level comment
+     */
+    async getCommentThread(videoId, commentId) {
+        const videoComments = await this.loadVideoComments(videoId);
+        const threads = this.buildCommentThreads(videoComments);
+
+        let node = threads.nodes.get(commentId);
+        if (!node) {
+            return null;
+        }
+        // The built tree's parent links, which unlike parent_comment_id can't loop
+        while (threads.parents.has(node)) {
+            node = threads.parents.get(node);
+        }
+        return node;
+    }
+
+    /**
+     * Load the flat comment list for a video from the archive, falling back to loaded data
+     */
+    async loadVideoComments(videoId) {
         try {
-            videoComments = await this.loadCommentsForVideo(videoId);
-            console.log(`📝 Loaded ${videoComments.length} comments for video ${videoId} (all comments)`);
+            const videoComments = await this.loadCommentsForVideo(videoId);
+            console.log(`📝 Loaded ${videoComments.length} comments for video ${videoId}`);
+            return videoComments;
         } catch (error) {
             console.warn(`Failed to load comments for video ${videoId}:`, error);
-            
+
             // Fallback to pre-indexed data if available
             if (this.videoCommentsIndex && this.videoCommentsIndex[videoId]) {
-                videoComments = [...this.videoCommentsIndex[videoId]];
-            } else {
-                videoComments = this.comments.filter(comment => comment.video_id === videoId);
+                return [...this.videoCommentsIndex[videoId]];
             }
+            return this.comments.filter(comment => comment.video_id === videoId);
         }
+    }
 
-        // Apply filters (same as getComments but no pagination)
-        if (filters.search) {
-            const searchLower = filters.search.toLowerCase();
-            videoComments = videoComments.filter(comment => 
-                comment.text.toLowerCase().includes(searchLower) ||
-                comment.author.toLowerCase().includes(searchLower)
-            );
-        }
+    /**
+     * Build reply trees of any depth from comments linked by parent_comment_id.
+     * Replies whose parent is missing from the archive start a thread of their own.
+     * Each node gets replies (oldest first), reply_count (all descendants) and depth;
+     * parents maps each reply node to the node it was placed under.
+     */
+    buildCommentThreads(comments) {
+        const nodes = new Map();
+        comments.forEach(comment => {
+            nodes.set(comment.comment_id, { ...comment, replies: [], reply_count: 0, depth: 0 });
+        });
+
+        const roots = [];
+        const parents = new Map();
+        nodes.forEach(node => {
+            const parent = nodes.get(node.parent_comment_id);
+            if (parent && !this.isCommentAncestor(nodes, node, parent)) {
+                parent.replies.push(node);
+                parents.set(node, parent);
+            } else {
+                roots.push(node);
+            }
+        });
+
+        const finish = (node, depth) => {
+            node.depth = depth;
+            node.replies.sort((a, b) => a.published_at - b.published_at);
+            node.reply_count = node.replies.reduce((count, reply) => count + 1 + finish(reply, depth + 1), 0);
+            return node.reply_count;
+        };
+        roots.forEach(root => finish(root, 0));
+
+        return { roots, nodes, parents };
+    }
 
-        if (filters.repliesOnly) {
-            videoComments = videoComments.filter(comment => comment.is_reply);
+    /**
+     * Check whether node is above candidate in the parent chain, so malformed data can't form a cycle
+     */
+    isCommentAncestor(nodes, node, candidate) {
+        const seen = new Set();
+        for (let current = candidate; current && !seen.has(current); current = nodes.get(current.parent_comment_id)) {
+            if (current === node) return true;
+            seen.add(current);
         }
+        return false;
+    }
 
-        // Apply sorting
-        const sortBy = filters.sortBy || 'likes-desc';
-        videoComments.sort((a, b) => {
+    /**
+     * Sort comments by the comment list sort option
+     */
+    sortComments(comments, sortBy = 'likes-desc') {
+        return comments.sort((a, b) => {
             switch (sortBy) {
                 case 'likes-desc':
                     return b.like_count - a.like_count;
@@ -802,17 +1391,6 @@ class DataManager {
                     return b.like_count - a.like_count;
             }
         });
-
-        // Group comments with their replies (same as getComments)
-        const topLevelComments = videoComments.filter(comment => !comment.is_reply);
-        const replies = videoComments.filter(comment => comment.is_reply);
-
-        const commentsWithReplies = topLevelComments.map(comment => ({
-            ...comment,
-            replies: replies.filter(reply => reply.parent_comment_id === comment.comment_id)
-        }));
-
-        return commentsWithReplies;
     }
 
     /**
@@ -858,49 +1436,163 @@ class DataManager {
     }
 
     /**
-     * Search across all comments
+     * Search across all comments, best match first
      */
     async searchComments(query, videoId = null) {
-        const searchLower = query.toLowerCase();
-        let searchComments = videoId 
-            ? this.comments.filter(comment => comment.video_id === videoId)
-            : this.comments;
-
-        const results = searchComments.filter(comment => 
-            comment.text.toLowerCase().includes(searchLower) ||
-            comment.author.toLowerCase().includes(searchLower)
-        );
-
-        // Sort by relevance (like count * relevance score)
-        results.sort((a, b) => {
-            const aRelevance = this.calculateRelevance(a, query);
-            const bRelevance = this.calculateRelevance(b, query);
-            return bRelevance - aRelevance;
-        });
+        return this.getSearchEngine(['video', 'comment'])
+            .search(query, { types: ['comment'], videoIds: videoId ? new Set([videoId]) : null })
+            .map(match => match.item);
+    }
 
-        return results;
+    /**
+     * Test function for filtering comments by a search, with the stemming and typo tolerance
+     * of the search index: (...texts) => whether the texts together have every word.
+     * Comments are not indexed for it, which would stall the first keystroke on a large archive;
+     * typos are matched against comment words only once a search has indexed them.
+     */
+    createCommentMatcher(query) {
+        return this.getSearchEngine(['video']).createMatcher(query);
     }
 
     /**
-     * Calculate search relevance score
+     * The full-text search index over the loaded videos and, when asked for, comments.
+     * It is rebuilt when the video list changes and re-reads comments when they change;
+     * summaries and transcripts are added by indexVideoContent.
      */
-    calculateRelevance(comment, query) {
-        const text = comment.text.toLowerCase();
-        const author = comment.author.toLowerCase();
-        const queryLower = query.toLowerCase();
-        
-        let score = 0;
-        
-        // Exact match in text
-        if (text.includes(queryLower)) score += 10;
-        
-        // Exact match in author
-        if (author.includes(queryLower)) score += 5;
-        
-        // Like count boost
-        score += Math.log(comment.like_count + 1);
-        
-        return score;
+    getSearchEngine(types = ['video']) {
+        if (!this.searchEngine || this.searchSources.videos !== this.videos) {
+            this.searchEngine = new SearchEngine();
+            this.searchSources = { videos: this.videos, comments: null, commentCount: 0, contentAttempted: new Set() };
+            this.videos.forEach(video => {
+                this.searchEngine.addDocument('video', video.video_id, {
+                    title: video.title,
+                    description: video.description,
+                    keywords: video.keywords || []
+                }, video);
+            });
+        }
+
+        const commentsChanged = this.searchSources.comments !== this.comments ||
+            this.searchSources.commentCount !== this.comments.length;
+        if (types.includes('comment') && commentsChanged) {
+            if (this.searchSources.comments) {
+                this.searchEngine.removeDocuments('comment');
+            }
+            this.comments.forEach(comment => {
+                this.searchEngine.addDocument('comment', comment.video_id, {
+                    text: comment.text,
+                    author: comment.author
+                }, comment);
+            });
+            this.searchSources.comments = this.comments;
+            this.searchSources.commentCount = this.comments.length;
+        }
+        return this.searchEngine;
+    }
+
+    /**
+     * Add every video's summary and transcript to the search index, once per video.
+     * A search started while indexing runs waits for the same pass. Comments are only
+     * indexed when types asks for them, which on a large archive takes seconds.
+     */
+    async indexVideoContent(progressCallback, types = SearchEngine.TYPES) {
+        if (!this.contentIndexing) {
+            this.contentIndexing = this.addPendingVideoContent(progressCallback).finally(() => {
+                this.contentIndexing = null;
+            });
+        }
+        await this.contentIndexing;
+        return this.getSearchEngine(types);
+    }
+
+    /**
+     * Load and index the summaries and transcripts not indexed yet.
+     * Transcripts come from the precomputed transcript index when the archive has one.
+     */
+    async addPendingVideoContent(progressCallback) {
+        const engine = this.getSearchEngine(['video']);
+        const precomputed = await this.loadPrecomputedTranscripts();
+        // Empty or unreadable content is never indexed, so what was tried is kept to not load it again
+        const attempted = this.searchSources.contentAttempted;
+        const needs = (type, video) => !engine.hasContent(type, video.video_id) && !attempted.has(`${type}:${video.video_id}`);
+        const needsSummary = (video) => video.has_summary && needs('summary', video);
+        const needsTranscript = (video) => (video.has_transcript || precomputed?.[video.video_id]) && needs('transcript', video);
+        const pending = this.videos.filter(video => needsSummary(video) || needsTranscript(video));
+
+        for (let i = 0; i < pending.length; i++) {
+            const video = pending[i];
+            if (i % 10 === 0) {
+                progressCallback?.(`Indexing summaries and transcripts (${i}/${pending.length})...`, Math.round((i / pending.length) * 100));
+            }
+
+            try {
+                if (needsSummary(video)) {
+                    attempted.add(`summary:${video.video_id}`);
+                    const text = this.contentText((await this.loadSummary(video.video_id))?.summary);
+                    engine.addDocument('summary', video.video_id, { summary: text }, { video, summary: text });
+                }
+                if (needsTranscript(video)) {
+                    attempted.add(`transcript:${video.video_id}`);
+                    const text = precomputed?.[video.video_id]?.text ||
+                        this.contentText((await this.loadTranscript(video.video_id))?.transcript);
+                    engine.addDocument('transcript', video.video_id, { transcript: text }, { video, transcript: text });
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not index content for ${video.video_id}:`, error);
+            }
+        }
+
+        if (pending.length > 0) {
+            console.log(`🔎 Indexed summaries and transcripts of ${pending.length} videos`);
+        }
+        return engine;
+    }
+
+    /**
+     * Ranked search over every content type: { groups, suggestion } with the results grouped
+     * by type (see SearchEngine.searchGrouped) and the query with misspellings corrected, or null
+     */
+    async searchContent(query, options = {}, progressCallback) {
+        const engine = await this.indexVideoContent(progressCallback);
+        return {
+            groups: engine.searchGrouped(query, options),
+            suggestion: engine.suggest(query)
+        };
+    }
+
+    /**
+     * Transcripts from transcript_index.json, keyed by video ID, or null when the archive has none.
+     * An archive folder's own bgca_yt_explorer_data/transcript_index.json comes first.
+     */
+    async loadPrecomputedTranscripts() {
+        if (this.precomputedTranscripts === undefined && this.archiveLoader.directoryHandle) {
+            try {
+                const handle = await this.archiveLoader.getFileHandleByPath('bgca_yt_explorer_data/transcript_index.json');
+                this.precomputedTranscripts = JSON.parse(await (await handle.getFile()).text()).transcripts || undefined;
+            } catch (error) {
+                // Not built for this folder yet
+            }
+        }
+        if (this.precomputedTranscripts === undefined) {
+            this.precomputedTranscripts = null;
+            try {
+                const response = await fetch(AppConfig.dataFiles.transcriptIndex);
+                if (response.ok) {
+                    this.precomputedTranscripts = (await response.json()).transcripts || null;
+                }
+            } catch (error) {
+                // No precomputed index; transcripts are read one by one
+            }
+        }
+        return this.precomputedTranscripts;
+    }
+
+    /**
+     * Plain text of a loaded summary or transcript, which JSON files may hold as objects
+     */
+    contentText(value) {
+        if (!value) return '';
+        return typeof value === 'string' ? value : JSON.stringify(value);
     }
 
     /**
@@ -933,5 +1625,17 @@ class DataManager {
     }
 }
 
+// Categories of the category filter and Channel Analytics
+DataManager.VIDEO_CATEGORIES = ['Youth of the Year', 'Alumni', 'Personal', 'Partnership', 'Educational', 'PSA'];
+
+// Availability filters of getVideos and how each is read from a video
+DataManager.AVAILABILITY_FILTERS = {
+    hasTranscript: video => Boolean(video.has_transcript),
+    hasSummary: video => Boolean(video.has_summary),
+    hasVideoFile: video => Boolean(video.has_video_file),
+    // Archives that don't list comment files tell by the comment count
+    hasComments: video => Boolean(video.has_comments ?? video.comment_count > 0)
+};
+
 // Export for use in other modules
 window.DataManager = DataManager; 
\ No newline at end of file
@@ -8,6 +8,11 @@ class DirectoryManager {
         this.isSupported = this.checkSupport();
         this.videoFiles = new Map();
         
+        // Remembered archive folder (FileSystemDirectoryHandle is structured-cloneable into IndexedDB)
+        this.handleDbName = 'BGCAArchiveHandles';
+        this.handleStoreName = 'handles';
+        this.lastArchiveKey = 'lastArchive';
+        
         console.log(`📁 DirectoryManager initialized - API supported: ${this.isSupported}`);
     }
 
@@ -33,6 +38,7 @@ class DirectoryManager {
             });
             
             console.log(`📁 Directory selected: ${this.directoryHandle.name}`);
+            await this.rememberDirectory(this.directoryHandle);
             
             return this.directoryHandle;
         } catch (error) {
@@ -43,6 +49,131 @@ class DirectoryManager {
         }
     }
 
+    /**
+     * Let the user pick one more archive folder without replacing the current one
+     */
+    async pickAdditionalDirectory() {
+        if (!this.isSupported) {
+            throw new Error('File System Access API not supported in this browser');
+        }
+
+        try {
+            const handle = await window.showDirectoryPicker({
+                mode: 'read',
+                startIn: 'documents'
+            });
+            console.log(`📁 Additional directory selected: ${handle.name}`);
+            return handle;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Reopen the last remembered archive folder, re-requesting read permission if needed.
+     * requestPermission only works from a user gesture, so call this from a click handler.
+     */
+    async restoreDirectory() {
+        const record = await this.getRememberedDirectory();
+        if (!record) {
+            throw new Error('No previously opened archive folder');
+        }
+
+        const permission = await this.getPermissionState(record.handle);
+        if (permission !== 'granted') {
+            const requested = await record.handle.requestPermission({ mode: 'read' });
+            if (requested !== 'granted') {
+                throw new Error(`Permission to open "${record.name}" was denied`);
+            }
+        }
+
+        this.directoryHandle = record.handle;
+        console.log(`📁 Reopened remembered directory: ${record.name}`);
+        await this.rememberDirectory(record.handle);
+
+        return this.directoryHandle;
+    }
+
+    /**
+     * Current read permission for a stored handle ('granted', 'prompt' or 'denied')
+     */
+    async getPermissionState(handle) {
+        try {
+            return await handle.queryPermission({ mode: 'read' });
+        } catch (error) {
+            return 'prompt';
+        }
+    }
+
+    /**
+     * Open the small IndexedDB database that keeps directory handles
+     */
+    openHandleDb() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.handleDbName, 1);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.handleStoreName)) {
+                    db.createObjectStore(this.handleStoreName, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store the directory handle with its name and when it was opened
+     */
+    async rememberDirectory(handle) {
+        try {
+            const db = await this.openHandleDb();
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([this.handleStoreName], 'readwrite');
+                transaction.objectStore(this.handleStoreName).put({
+                    key: this.lastArchiveKey,
+                    handle,
+                    name: handle.name,
+                    opened_at: new Date().toISOString()
+                });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+            db.close();
+        } catch (error) {
+            console.warn('⚠️ Could not remember archive folder:', error);
+        }
+    }
+
+    /**
+     * Get the last remembered archive folder record, or null
+     */
+    async getRememberedDirectory() {
+        if (!this.isSupported || !('indexedDB' in window)) {
+            return null;
+        }
+
+        try {
+            const db = await this.openHandleDb();
+            const record = await new Promise((resolve, reject) => {
+                const request = db.transaction([this.handleStoreName], 'readonly')
+                    .objectStore(this.handleStoreName)
+                    .get(this.lastArchiveKey);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+            db.close();
+            return record;
+        } catch (error) {
+            console.warn('⚠️ Could not read remembered archive folder:', error);
+            return null;
+        }
+    }
+
     /**
      * Scan directory for video files and metadata
      */
@@ -103,6 +234,26 @@ class DirectoryManager {
         }
     }
 
+    /**
+     * List every file below a directory, keyed by relative path.
+     * Unlike scanDirectory this keeps all file types and hidden entries, and stays quiet.
+     */
+    async scanFiles(dirHandle, onProgress = null, currentPath = '', files = new Map()) {
+        for await (const [name, handle] of dirHandle.entries()) {
+            const fullPath = currentPath ? `${currentPath}/${name}` : name;
+
+            if (handle.kind === 'file') {
+                files.set(fullPath, handle);
+                if (files.size % 500 === 0) {
+                    onProgress?.(files.size);
+                }
+            } else if (handle.kind === 'directory') {
+                await this.scanFiles(handle, onProgress, fullPath, files);
+            }
+        }
+        return files;
+    }
+
     /**
      * Get video file as blob URL
      */
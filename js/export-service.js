@@ -12,12 +12,13 @@ class ExportService {
             status: 'Ready'
         };
         this.maxCommentsPerZip = 500; // Much larger with fflate
+        this.commentDataColumns = ['comment_id', 'parent_comment_id', 'author', 'text', 'like_count', 'published_at', 'video_id', 'video_title'];
         
         // Create iframe-based rendering to completely eliminate screen flashing
         this.createIframeRenderer();
         
-        // Load fflate library
-        this.initializeZipLibrary();
+        // Load fflate library; await zipLibraryReady before writing ZIP-based files
+        this.zipLibraryReady = this.initializeZipLibrary();
         
         // Canvas-based compositing - no need for blob preloading
     }
@@ -276,6 +277,120 @@ class ExportService {
         }
     }
 
+    /**
+     * Export comments as data instead of images: CSV, JSON or NDJSON (one JSON object per line).
+     * Each video's comments go through dataManager.getAllComments with the given search and
+     * sort filters; replies follow their parent. Resolves with the number of comments written.
+     */
+    async exportCommentData(videos, dataManager, filters, format, progressCallback, filename) {
+        if (this.isExporting) {
+            throw new Error('Export already in progress');
+        }
+
+        this.isExporting = true;
+        this.cancelled = false;
+
+        try {
+            if (videos.length === 0) {
+                throw new Error('No videos found');
+            }
+
+            this.exportProgress = {
+                current: 0,
+                total: 0,
+                currentVideo: 0,
+                totalVideos: videos.length,
+                currentVideoComments: 0,
+                totalVideoComments: 0,
+                status: 'Starting export...'
+            };
+            progressCallback?.(this.exportProgress);
+
+            const parts = [];
+            const records = [];
+            let written = 0;
+
+            for (let videoIndex = 0; videoIndex < videos.length; videoIndex++) {
+                if (this.cancelled) {
+                    throw new Error('Export cancelled by user');
+                }
+
+                const video = videos[videoIndex];
+                this.exportProgress.currentVideo = videoIndex + 1;
+                this.exportProgress.status = `Reading comments for video ${videoIndex + 1}/${videos.length}: ${video.title}`;
+                progressCallback?.(this.exportProgress);
+
+                try {
+                    const comments = this.flattenComments(await dataManager.getAllComments(video.video_id, filters));
+                    const rows = comments.map(comment => this.toCommentRecord(comment, video));
+
+                    if (format === 'csv') {
+                        if (rows.length > 0) {
+                            parts.push(this.toCSV(rows, this.commentDataColumns, { header: written === 0 }), '\r\n');
+                        }
+                    } else if (format === 'ndjson') {
+                        rows.forEach(row => parts.push(JSON.stringify(row), '\n'));
+                    } else {
+                        rows.forEach(row => records.push(row));
+                    }
+
+                    written += rows.length;
+                    this.exportProgress.current = written;
+                    this.exportProgress.total = written;
+                    this.exportProgress.currentVideoComments = rows.length;
+                    this.exportProgress.totalVideoComments = rows.length;
+                } catch (error) {
+                    console.error(`❌ Failed to read comments for "${video.title}":`, error);
+                }
+
+                // Let the progress overlay (and its cancel button) update between videos
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            if (this.cancelled) {
+                throw new Error('Export cancelled by user');
+            }
+            if (written === 0) {
+                throw new Error('No comments matched the current filters');
+            }
+
+            let blob;
+            if (format === 'csv') {
+                blob = new Blob(['\uFEFF', ...parts], { type: 'text/csv;charset=utf-8' });
+            } else if (format === 'ndjson') {
+                blob = new Blob(parts, { type: 'application/x-ndjson' });
+            } else {
+                blob = new Blob([JSON.stringify(records, null, 2)], { type: 'application/json' });
+            }
+            this.downloadBlob(blob, filename);
+
+            this.exportProgress.status = `✅ Export complete! Saved ${written.toLocaleString()} comments as ${format.toUpperCase()}`;
+            progressCallback?.(this.exportProgress);
+            return written;
+
+        } finally {
+            this.isExporting = false;
+            this.cancelled = false;
+        }
+    }
+
+    /**
+     * Flat record for the comment data export
+     */
+    toCommentRecord(comment, video) {
+        const publishedAt = comment.published_at ? new Date(comment.published_at) : null;
+        return {
+            comment_id: comment.comment_id,
+            parent_comment_id: comment.parent_comment_id || '',
+            author: comment.author,
+            text: comment.text,
+            like_count: parseInt(comment.like_count) || 0,
+            published_at: publishedAt && !isNaN(publishedAt) ? publishedAt.toISOString() : '',
+            video_id: video.video_id,
+            video_title: video.title
+        };
+    }
+
     /**
      * Generate ZIP files using fflate - MUCH more reliable than JSZip
      */
@@ -957,7 +1072,7 @@ class ExportService {
         for (const comment of commentsWithReplies) {
             flattened.push(comment);
             if (comment.replies && comment.replies.length > 0) {
-                flattened.push(...comment.replies);
+                flattened.push(...this.flattenComments(comment.replies));
             }
         }
         
@@ -1070,6 +1185,103 @@ class ExportService {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Build CSV text from row objects. Columns are keys or { key, label } pairs.
+     * Pass header: false to append rows to CSV text written earlier.
+     */
+    toCSV(rows, columns, { header = true } = {}) {
+        const specs = columns.map(column => typeof column === 'string' ? { key: column, label: column } : column);
+        const escapeCell = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = value instanceof Date ? value.toISOString() : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = header ? [specs.map(spec => escapeCell(spec.label)).join(',')] : [];
+        rows.forEach(row => {
+            lines.push(specs.map(spec => escapeCell(row[spec.key])).join(','));
+        });
+        return lines.join('\r\n');
+    }
+
+    /**
+     * Download rows as a CSV file (with a BOM so Excel reads it as UTF-8)
+     */
+    downloadCSV(rows, columns, filename) {
+        const blob = new Blob(['\uFEFF' + this.toCSV(rows, columns)], { type: 'text/csv;charset=utf-8' });
+        this.downloadBlob(blob, filename);
+    }
+
+    /**
+     * Download data as a formatted JSON file
+     */
+    downloadJSON(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, filename);
+    }
+
+    /**
+     * Build a single-sheet XLSX workbook from row objects, zipped with fflate.
+     * Numbers and booleans keep their type; everything else is written as inline text.
+     */
+    toXLSX(rows, columns, sheetName = 'Sheet1') {
+        if (!this.fflate) {
+            throw new Error('ZIP library unavailable - cannot write XLSX');
+        }
+
+        const specs = columns.map(column => typeof column === 'string' ? { key: column, label: column } : column);
+        const escapeXML = (text) => text
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '') // Not allowed in XML
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const columnName = (index) => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+            }
+            return name;
+        };
+        const cell = (value, ref) => {
+            if (value === null || value === undefined || value === '') return '';
+            if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+            if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+            const text = value instanceof Date ? value.toISOString() : String(value);
+            // Excel rejects cells longer than 32767 characters
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(text.slice(0, 32767))}</t></is></c>`;
+        };
+
+        const sheetRows = [specs.map(spec => spec.label), ...rows.map(row => specs.map(spec => row[spec.key]))]
+            .map((values, rowIndex) => `<row r="${rowIndex + 1}">${values.map((value, i) => cell(value, `${columnName(i)}${rowIndex + 1}`)).join('')}</row>`)
+            .join('');
+
+        const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+        const files = {
+            '[Content_Types].xml': `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+            '_rels/.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+            'xl/workbook.xml': `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeXML(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31).trim() || 'Sheet1')}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+            'xl/_rels/workbook.xml.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+            'xl/worksheets/sheet1.xml': `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`
+        };
+
+        const entries = {};
+        Object.entries(files).forEach(([path, xml]) => {
+            entries[path] = this.fflate.strToU8(xml);
+        });
+        return this.fflate.zipSync(entries, { level: 6 });
+    }
+
+    /**
+     * Download rows as an XLSX workbook
+     */
+    downloadXLSX(rows, columns, filename, sheetName = 'Sheet1') {
+        const blob = new Blob([this.toXLSX(rows, columns, sheetName)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+        this.downloadBlob(blob, filename);
+    }
+
     /**
      * Get export progress
      */
@@ -0,0 +1,194 @@
+/**
+ * IndexBuilder - Builds the pre-computed index files from a loaded archive
+ * Writes video_comments_index.json, search_index.json, word_freq_index.json and
+ * transcript_index.json into the archive's bgca_yt_explorer_data folder, so the indexes
+ * can be refreshed after a new scrape without running any scripts.
+ */
+class IndexBuilder {
+    constructor() {
+        this.folderName = 'bgca_yt_explorer_data';
+        this.commentProcessor = new CommentProcessor();
+    }
+
+    /**
+     * Build and write the indexes of every archive in the current view.
+     * Returns [{ id, label, files: [{ name, bytes }], error }] per archive.
+     * Call from a click handler: write access is asked for before the slow part.
+     */
+    async run(workspace, progressCallback) {
+        const archives = workspace.getIncludedArchives();
+        const results = [];
+
+        // Browsers only show the permission prompt shortly after a user gesture
+        const writable = [];
+        for (const archive of archives) {
+            const loader = archive.manager.archiveLoader;
+            if (!loader.directoryHandle) {
+                results.push({ id: archive.id, label: archive.label, files: [], error: 'Only archives opened from a folder can be written to' });
+            } else if (!await loader.ensureWritePermission()) {
+                results.push({ id: archive.id, label: archive.label, files: [], error: 'Write access to the archive folder was not granted' });
+            } else {
+                writable.push(archive);
+            }
+        }
+
+        for (let i = 0; i < writable.length; i++) {
+            const archive = writable[i];
+            const prefix = writable.length > 1 ? `${archive.label}: ` : '';
+            try {
+                const files = await this.buildArchive(archive.manager, (message, progress) => {
+                    progressCallback?.(`${prefix}${message}`, Math.round(((i + progress / 100) / writable.length) * 100));
+                });
+                results.push({ id: archive.id, label: archive.label, files, error: null });
+            } catch (error) {
+                console.error(`❌ Failed to build indexes for ${archive.label}:`, error);
+                results.push({ id: archive.id, label: archive.label, files: [], error: error.message });
+            }
+        }
+
+        progressCallback?.('Indexes built', 100);
+        return results;
+    }
+
+    /**
+     * Build and write the four index files of one archive
+     */
+    async buildArchive(manager, progressCallback) {
+        progressCallback?.('Waiting for comments to load...', 0);
+        await manager.commentsReady;
+        const comments = manager.comments;
+        const dir = await manager.archiveLoader.directoryHandle.getDirectoryHandle(this.folderName, { create: true });
+        const files = [];
+
+        progressCallback?.(`Indexing ${comments.length.toLocaleString()} comments by video...`, 5);
+        files.push(await this.writeJson(dir, 'video_comments_index.json', this.buildVideoCommentsIndex(comments)));
+
+        progressCallback?.('Building comment search index...', 15);
+        files.push(await this.writeJson(dir, 'search_index.json', this.commentProcessor.buildSearchIndex(comments)));
+
+        progressCallback?.('Computing word frequencies...', 25);
+        files.push(await this.writeJson(dir, 'word_freq_index.json', this.commentProcessor.buildWordFreqIndex(comments)));
+
+        const transcriptIndex = await this.buildTranscriptIndex(manager, (message, progress) => {
+            progressCallback?.(message, 35 + Math.round(progress * 0.6));
+        });
+        progressCallback?.('Writing transcript index...', 95);
+        files.push(await this.writeJson(dir, 'transcript_index.json', transcriptIndex, ['transcripts', 'word_index']));
+
+        // Searches from now on read the fresh transcripts
+        manager.precomputedTranscripts = transcriptIndex.transcripts;
+
+        console.log(`🗂️ Wrote ${files.map(file => file.name).join(', ')} to ${this.folderName}/`);
+        return files;
+    }
+
+    /**
+     * Comments grouped by video ID, most liked first
+     */
+    buildVideoCommentsIndex(comments) {
+        const index = {};
+        comments.forEach(comment => {
+            if (!index[comment.video_id]) {
+                index[comment.video_id] = [];
+            }
+            index[comment.video_id].push(comment);
+        });
+        Object.values(index).forEach(videoComments => {
+            videoComments.sort((a, b) => (b.like_count || 0) - (a.like_count || 0));
+        });
+        return index;
+    }
+
+    /**
+     * Transcript text per video plus a word -> video IDs lookup:
+     * { metadata: { total_videos, total_words, generated_at }, transcripts: { id: { title, text, word_count } }, word_index }
+     */
+    async buildTranscriptIndex(manager, progressCallback) {
+        const videos = manager.videos.filter(video => video.has_transcript);
+        const transcripts = {};
+        const wordIndex = {};
+        let totalWords = 0;
+
+        for (let i = 0; i < videos.length; i++) {
+            const video = videos[i];
+            if (i % 10 === 0) {
+                progressCallback?.(`Reading transcripts (${i}/${videos.length})...`, Math.round((i / videos.length) * 100));
+            }
+
+            let text;
+            try {
+                text = manager.contentText((await manager.loadTranscript(video.video_id))?.transcript);
+            } catch (error) {
+                console.warn(`⚠️ Could not read transcript for ${video.video_id}:`, error);
+                continue;
+            }
+            if (!text) continue;
+
+            const words = text.toLowerCase().match(/\w+/g) || [];
+            totalWords += words.length;
+            transcripts[video.video_id] = { title: video.title, text, word_count: words.length };
+            new Set(words.filter(word => word.length >= 3)).forEach(word => {
+                if (!wordIndex[word]) {
+                    wordIndex[word] = [];
+                }
+                wordIndex[word].push(video.video_id);
+            });
+        }
+
+        return {
+            metadata: {
+                total_videos: Object.keys(transcripts).length,
+                total_words: totalWords,
+                generated_at: new Date().toISOString()
+            },
+            transcripts,
+            word_index: wordIndex
+        };
+    }
+
+    /**
+     * Write an object entry by entry, so a large index is never one string in memory.
+     * The values under nestedKeys are written entry by entry too.
+     */
+    async writeJson(dir, name, object, nestedKeys = []) {
+        const fileHandle = await dir.getFileHandle(name, { create: true });
+        const writable = await fileHandle.createWritable();
+
+        // Entries are collected into chunks of about a megabyte; one write per comment is slow
+        let chunk = '';
+        const write = async (text) => {
+            chunk += text;
+            if (chunk.length >= 1024 * 1024) {
+                await writable.write(chunk);
+                chunk = '';
+            }
+        };
+        const writeObject = async (value, nested) => {
+            const entries = Object.entries(value);
+            await write('{');
+            for (let i = 0; i < entries.length; i++) {
+                const [key, entryValue] = entries[i];
+                await write(`${i > 0 ? ',' : ''}\n${JSON.stringify(key)}: `);
+                if (nested.includes(key)) {
+                    await writeObject(entryValue, []);
+                } else {
+                    await write(JSON.stringify(entryValue));
+                }
+            }
+            await write('\n}');
+        };
+
+        try {
+            await writeObject(object, nestedKeys);
+            await writable.write(`${chunk}\n`);
+            await writable.close();
+        } catch (error) {
+            await writable.abort();
+            throw error;
+        }
+        return { name, bytes: (await fileHandle.getFile()).size };
+    }
+}
+
+// Export for use in other modules
+window.IndexBuilder = IndexBuilder;
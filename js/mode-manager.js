@@ -45,20 +45,26 @@ class ModeManager {
 
     /**
      * Initialize Local Archive mode
+     * Pass { reopen: true } to reuse the remembered folder instead of showing the picker.
      */
-    async initializeLocalMode() {
+    async initializeLocalMode(options = {}) {
         try {
             console.log('🎛️ Initializing Local Archive mode...');
             
             // Check File System Access API support
             if (this.directoryManager.isSupported) {
                 // Request directory access
-                await this.directoryManager.requestDirectory();
+                if (options.reopen) {
+                    await this.directoryManager.restoreDirectory();
+                } else {
+                    await this.directoryManager.requestDirectory();
+                }
                 
-                // Pass directory handle to data manager's archive loader
-                if (window.app && window.app.dataManager && window.app.dataManager.archiveLoader) {
-                    window.app.dataManager.archiveLoader.setDirectoryHandle(this.directoryManager.directoryHandle);
-                    console.log('🎛️ Directory handle passed to archive loader');
+                // Register the archive(s) in the selected folder with the workspace
+                if (window.app && window.app.dataManager && window.app.dataManager.addDirectoryArchives) {
+                    window.app.dataManager.clearArchives();
+                    const archives = await window.app.dataManager.addDirectoryArchives(this.directoryManager.directoryHandle);
+                    console.log(`🎛️ Registered ${archives.length} archive(s) from the selected folder`);
                 }
                 
                 // Scan directory for files
@@ -0,0 +1,228 @@
+/**
+ * RelatedVideos - Videos related to one video, computed locally from three signals:
+ * shared keywords, TF-IDF similarity of summaries and transcripts, and titles of the same
+ * series ("Youth of the Year 2019 - Part 2"). Each suggestion carries the reasons it was
+ * picked, so the page can say why it is related.
+ */
+class RelatedVideos {
+    /**
+     * Options override AppConfig.RELATED: { limit, weights: { keywords, content, series }, minScore }
+     */
+    constructor(options = {}) {
+        const settings = { ...AppConfig.RELATED, ...options };
+        this.limit = settings.limit ?? 8;
+        this.weights = { ...RelatedVideos.DEFAULT_WEIGHTS, ...settings.weights };
+        this.minScore = settings.minScore ?? 0.08;
+
+        this.videos = null;          // Video list the keyword vectors and series were built from
+        this.keywordVectors = null;  // videoId -> Map(keyword -> weight), unit length
+        this.keywordLabels = null;   // lowercase keyword -> keyword as first written
+        this.seriesNames = null;     // videoId -> Map(series key -> series name)
+        this.seriesCounts = null;    // series key -> number of videos
+        this.contentEngine = null;   // SearchEngine the content vectors were built from
+        this.contentSize = 0;        // Summaries and transcripts it held then
+        this.contentVectors = null;  // videoId -> Map(term -> weight), unit length
+    }
+
+    /**
+     * Related videos, best first: [{ video, score, reasons: [{ type, label, terms }] }].
+     * keywordsOf(video) returns a video's keywords. With an engine holding the summaries and
+     * transcripts (DataManager.indexVideoContent), their similarity counts too.
+     */
+    findRelated(video, videos, keywordsOf, engine = null) {
+        this.prepare(videos, keywordsOf, engine);
+
+        const id = video.video_id;
+        const contentVectors = engine ? this.contentVectors : null;
+        const results = [];
+        videos.forEach(other => {
+            if (other.video_id === id) return;
+            const reasons = [];
+            let score = 0;
+
+            const series = this.sharedSeries(id, other.video_id);
+            if (series) {
+                score += this.weights.series;
+                reasons.push({ type: 'series', label: 'Same series', terms: [series] });
+            }
+
+            const keywords = RelatedVideos.similarity(this.keywordVectors.get(id), this.keywordVectors.get(other.video_id));
+            if (keywords.score > 0) {
+                score += this.weights.keywords * keywords.score;
+                reasons.push({
+                    type: 'keywords',
+                    label: 'Shared keywords',
+                    terms: keywords.terms.slice(0, 4).map(term => this.keywordLabels.get(term))
+                });
+            }
+
+            if (contentVectors) {
+                const content = RelatedVideos.similarity(contentVectors.get(id), contentVectors.get(other.video_id));
+                if (content.score > 0) {
+                    score += this.weights.content * content.score;
+                    reasons.push({
+                        type: 'content',
+                        label: 'Both talk about',
+                        terms: content.terms.slice(0, 4).map(term => engine.surfaceFormsOf(term, 1)[0])
+                    });
+                }
+            }
+
+            if (score >= this.minScore) {
+                results.push({ video: other, score, reasons });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score).slice(0, this.limit);
+    }
+
+    /**
+     * Build the vectors and series names, again only when the videos or indexed content changed
+     */
+    prepare(videos, keywordsOf, engine) {
+        if (this.videos !== videos) {
+            this.videos = videos;
+            this.keywordLabels = new Map();
+            const keywordCounts = new Map();
+            videos.forEach(video => {
+                const counts = new Map();
+                (keywordsOf(video) || []).forEach(keyword => {
+                    const key = String(keyword).trim().toLowerCase();
+                    if (!key) return;
+                    counts.set(key, 1);
+                    if (!this.keywordLabels.has(key)) {
+                        this.keywordLabels.set(key, String(keyword).trim());
+                    }
+                });
+                keywordCounts.set(video.video_id, counts);
+            });
+            this.keywordVectors = RelatedVideos.buildVectors(keywordCounts);
+
+            this.seriesNames = new Map();
+            this.seriesCounts = new Map();
+            videos.forEach(video => {
+                const names = RelatedVideos.seriesNamesOf(video.title);
+                this.seriesNames.set(video.video_id, names);
+                names.forEach((name, key) => this.seriesCounts.set(key, (this.seriesCounts.get(key) || 0) + 1));
+            });
+        }
+
+        const contentSize = engine ? engine.indexedContent.size : 0;
+        if (engine && (this.contentEngine !== engine || this.contentSize !== contentSize)) {
+            this.contentEngine = engine;
+            this.contentSize = contentSize;
+            const termCounts = engine.termCounts(['summary', 'transcript']);
+            // Numbers and very short words are noise in a transcript
+            termCounts.forEach(counts => {
+                counts.forEach((count, term) => {
+                    if (term.length < 3 || /^\d+$/.test(term)) counts.delete(term);
+                });
+            });
+            this.contentVectors = RelatedVideos.buildVectors(termCounts, RelatedVideos.MAX_CONTENT_TERMS);
+        }
+    }
+
+    /**
+     * Name of a series both videos' titles belong to, or null. A name on a large share of
+     * the videos is a channel tag such as "| Boys & Girls Clubs of America", not a series.
+     */
+    sharedSeries(videoId, otherId) {
+        const names = this.seriesNames.get(videoId);
+        const otherNames = this.seriesNames.get(otherId);
+        if (!names || !otherNames) return null;
+
+        const maxVideos = Math.max(2, this.videos.length * RelatedVideos.MAX_SERIES_SHARE);
+        for (const [key, name] of names) {
+            if (otherNames.has(key) && this.seriesCounts.get(key) <= maxVideos) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Possible series names of a title: each part between separators such as " - " or " | ",
+     * without part numbers, episode numbers and years. Returns Map(key -> name).
+     */
+    static seriesNamesOf(title) {
+        const names = new Map();
+        String(title || '').split(/\s+[-|–—]\s+|:\s+/).forEach(part => {
+            const name = part
+                .replace(/\b(part|pt|episode|ep|vol|volume|session|chapter|week|day)\.?\s*\d+\b/gi, ' ')
+                .replace(/#\s*\d+|\b\d+(st|nd|rd|th)?\b/gi, ' ')
+                .replace(/[()[\],]+/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+            const key = name.toLowerCase();
+            // A single short word is too vague to call a series
+            if (key.includes(' ') || key.length >= 6) {
+                names.set(key, name);
+            }
+        });
+        return names;
+    }
+
+    /**
+     * TF-IDF vectors of unit length from Map(videoId -> Map(term -> count)), keeping each video's
+     * maxTerms strongest terms. Terms of a single video relate nothing and terms of most videos
+     * say nothing, so both are left out.
+     */
+    static buildVectors(countsByVideo, maxTerms = Infinity) {
+        const total = countsByVideo.size;
+        const documentFrequency = new Map();
+        countsByVideo.forEach(counts => {
+            counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+        });
+        const maxFrequency = Math.max(2, total * RelatedVideos.MAX_DOCUMENT_SHARE);
+
+        const vectors = new Map();
+        countsByVideo.forEach((counts, videoId) => {
+            const weights = [];
+            counts.forEach((count, term) => {
+                const frequency = documentFrequency.get(term);
+                if (frequency < 2 || frequency > maxFrequency) return;
+                weights.push([term, (1 + Math.log(count)) * Math.log(1 + total / frequency)]);
+            });
+            weights.sort((a, b) => b[1] - a[1]);
+            const strongest = weights.slice(0, maxTerms);
+
+            const norm = Math.sqrt(strongest.reduce((sum, [, weight]) => sum + weight * weight, 0));
+            if (norm > 0) {
+                vectors.set(videoId, new Map(strongest.map(([term, weight]) => [term, weight / norm])));
+            }
+        });
+        return vectors;
+    }
+
+    /**
+     * Cosine similarity of two unit vectors, with the shared terms that contribute most first
+     */
+    static similarity(a, b) {
+        if (!a || !b) return { score: 0, terms: [] };
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+
+        const shared = [];
+        small.forEach((weight, term) => {
+            const other = large.get(term);
+            if (other !== undefined) {
+                shared.push([term, weight * other]);
+            }
+        });
+        shared.sort((x, y) => y[1] - x[1]);
+        return {
+            score: shared.reduce((sum, [, product]) => sum + product, 0),
+            terms: shared.map(([term]) => term)
+        };
+    }
+}
+
+RelatedVideos.DEFAULT_WEIGHTS = { keywords: 0.4, content: 0.4, series: 0.3 };
+// Terms kept per transcript; the strongest few carry nearly all of the similarity
+RelatedVideos.MAX_CONTENT_TERMS = 60;
+// Terms in more than this share of the videos are left out of the vectors
+RelatedVideos.MAX_DOCUMENT_SHARE = 0.5;
+// Title parts shared by more than this share of the videos are not series names
+RelatedVideos.MAX_SERIES_SHARE = 0.25;
+
+// Export for use in other modules
+window.RelatedVideos = RelatedVideos;
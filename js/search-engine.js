@@ -0,0 +1,577 @@
+/**
+ * SearchEngine - Ranked full-text search over all archive content
+ * One inverted index holds video titles, descriptions and keywords, summaries, transcripts
+ * and comments. Matches are ranked with BM25F: each field's term frequency is weighted by
+ * the field's boost and normalized by the field's length before saturation, so a word in a
+ * short title outranks the same word once in a long transcript.
+ *
+ * Words are indexed by their Porter stem, so "mentoring" and "mentored" match each other.
+ * A query word the index doesn't know is matched to known words within a small edit
+ * distance, and suggest() turns such words into a "did you mean" query.
+ */
+class SearchEngine {
+    /**
+     * Options override AppConfig.SEARCH: { boosts: { title: 3, ... }, k1, b, prefixMinLength }
+     */
+    constructor(options = {}) {
+        const settings = { ...AppConfig.SEARCH, ...options };
+        this.boosts = { ...SearchEngine.DEFAULT_BOOSTS, ...settings.boosts };
+        this.k1 = settings.k1 ?? 1.2;
+        this.b = settings.b ?? 0.75;
+        // Shorter query words only match whole words; longer ones also match words they start
+        this.prefixMinLength = settings.prefixMinLength ?? 3;
+
+        this.documents = [];       // { type, videoId, item, lengths: { field: tokenCount } }, null once removed
+        this.postings = new Map(); // term -> { refs: [docIndex * FIELD_SLOTS + fieldIndex], tfs: [count] }
+        this.fieldStats = {};      // field -> { tokens, documents } for average field lengths
+        this.documentCount = 0;
+        this.indexedContent = new Set(); // `${type}:${videoId}` for summaries and transcripts already added
+        this.surfaceForms = new Map(); // term -> Map(word -> count), the words a stem was indexed from
+        this.sortedTerms = null;
+    }
+
+    /**
+     * Split text into lowercase, accent-free words
+     */
+    static tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/['\u2019]/g, '')
+            .match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    /**
+     * Index term for a word: its Porter stem. Suffixes Porter keeps that only change the kind
+     * of noun ("mentorship", "neighborhood") are removed first, so they match the base word.
+     */
+    static stem(word) {
+        let term = SearchEngine.stemCache.get(word);
+        if (term === undefined) {
+            const base = /^(.{4,}?)(ship|hood)s?$/.exec(word);
+            term = SearchEngine.porterStem(base ? base[1] : word);
+            SearchEngine.stemCache.set(word, term);
+        }
+        return term;
+    }
+
+    /**
+     * Martin Porter's stemming algorithm (1980)
+     */
+    static porterStem(word) {
+        if (word.length < 3 || /\d/.test(word)) {
+            return word;
+        }
+
+        const c = '[^aeiou]';
+        const v = '[aeiouy]';
+        const C = `${c}[^aeiouy]*`;
+        const V = `${v}[aeiou]*`;
+        const measureAbove0 = new RegExp(`^(${C})?${V}${C}`);
+        const measureIs1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+        const measureAbove1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+        const hasVowel = new RegExp(`^(${C})?${v}`);
+        const endsCVC = new RegExp(`^${C}${v}[^aeiouwxy]$`);
+
+        let w = word;
+        const startsWithY = w[0] === 'y';
+        if (startsWithY) w = 'Y' + w.slice(1);
+
+        // Step 1a: plurals
+        let match;
+        if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+            w = match[1] + match[2];
+        } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+            w = match[1] + match[2];
+        }
+
+        // Step 1b: -eed, -ed, -ing
+        if ((match = /^(.+?)eed$/.exec(w))) {
+            if (measureAbove0.test(match[1])) w = w.slice(0, -1);
+        } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && hasVowel.test(match[1])) {
+            w = match[1];
+            if (/(at|bl|iz)$/.test(w)) {
+                w += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(w)) {
+                w = w.slice(0, -1);
+            } else if (endsCVC.test(w)) {
+                w += 'e';
+            }
+        }
+
+        // Step 1c: y -> i
+        if ((match = /^(.+?)y$/.exec(w)) && hasVowel.test(match[1])) {
+            w = match[1] + 'i';
+        }
+
+        // Step 2 and 3: double and single suffixes
+        if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) &&
+            measureAbove0.test(match[1])) {
+            w = match[1] + SearchEngine.PORTER_STEP2[match[2]];
+        }
+        if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && measureAbove0.test(match[1])) {
+            w = match[1] + SearchEngine.PORTER_STEP3[match[2]];
+        }
+
+        // Step 4: remaining suffixes on long stems
+        if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+            if (measureAbove1.test(match[1])) w = match[1];
+        } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+            if (measureAbove1.test(match[1] + match[2])) w = match[1] + match[2];
+        }
+
+        // Step 5: final -e and -ll
+        if ((match = /^(.+?)e$/.exec(w))) {
+            const stem = match[1];
+            if (measureAbove1.test(stem) || (measureIs1.test(stem) && !endsCVC.test(stem))) w = stem;
+        }
+        if (/ll$/.test(w) && measureAbove1.test(w)) {
+            w = w.slice(0, -1);
+        }
+
+        return startsWithY ? 'y' + w.slice(1) : w;
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and swaps of neighbours.
+     * Stops early and returns max + 1 once the distance is known to be above max.
+     */
+    static editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMinimum = i;
+            for (let j = 1; j <= b.length; j++) {
+                let distance = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, previousRow[j - 2] + 1);
+                }
+                current[j] = distance;
+                rowMinimum = Math.min(rowMinimum, distance);
+            }
+            if (rowMinimum > max) {
+                return max + 1;
+            }
+            previousRow = row;
+            row = current;
+        }
+        return row[b.length];
+    }
+
+    /**
+     * Add one searchable item. Fields are named after SearchEngine.FIELDS; arrays are joined.
+     * The item must hold each field's text under the field's name, where phrase searches read it back.
+     * Returns the document index, or -1 when no field has any words.
+     */
+    addDocument(type, videoId, fields, item) {
+        const docIndex = this.documents.length;
+        const lengths = {};
+
+        Object.entries(fields).forEach(([field, value]) => {
+            const fieldIndex = SearchEngine.FIELDS.indexOf(field);
+            const tokens = SearchEngine.tokenize(Array.isArray(value) ? value.join(' ') : value);
+            if (fieldIndex === -1 || tokens.length === 0) return;
+
+            lengths[field] = tokens.length;
+            const stats = this.fieldStats[field] || (this.fieldStats[field] = { tokens: 0, documents: 0 });
+            stats.tokens += tokens.length;
+            stats.documents++;
+
+            const counts = new Map();
+            tokens.forEach(token => {
+                const term = SearchEngine.stem(token);
+                counts.set(term, (counts.get(term) || 0) + 1);
+
+                let forms = this.surfaceForms.get(term);
+                if (!forms) {
+                    forms = new Map();
+                    this.surfaceForms.set(term, forms);
+                }
+                forms.set(token, (forms.get(token) || 0) + 1);
+            });
+            counts.forEach((count, term) => {
+                let posting = this.postings.get(term);
+                if (!posting) {
+                    posting = { refs: [], tfs: [] };
+                    this.postings.set(term, posting);
+                    this.sortedTerms = null;
+                }
+                posting.refs.push(docIndex * SearchEngine.FIELD_SLOTS + fieldIndex);
+                posting.tfs.push(count);
+            });
+        });
+
+        if (Object.keys(lengths).length === 0) {
+            return -1;
+        }
+        this.documents.push({ type, videoId, item, lengths });
+        this.documentCount++;
+        if (type === 'summary' || type === 'transcript') {
+            this.indexedContent.add(`${type}:${videoId}`);
+        }
+        return docIndex;
+    }
+
+    /**
+     * Drop every document of a type, e.g. before re-adding reloaded comments.
+     * Their postings stay behind and are skipped when searching.
+     */
+    removeDocuments(type) {
+        this.documents.forEach((doc, docIndex) => {
+            if (doc?.type !== type) return;
+            Object.entries(doc.lengths).forEach(([field, length]) => {
+                this.fieldStats[field].tokens -= length;
+                this.fieldStats[field].documents--;
+            });
+            this.documents[docIndex] = null;
+            this.documentCount--;
+        });
+        [...this.indexedContent].filter(key => key.startsWith(`${type}:`)).forEach(key => this.indexedContent.delete(key));
+    }
+
+    /**
+     * Whether a video's summary or transcript has been added
+     */
+    hasContent(type, videoId) {
+        return this.indexedContent.has(`${type}:${videoId}`);
+    }
+
+    /**
+     * How often each term occurs in each video's documents of some types: Map(videoId -> Map(term -> count))
+     */
+    termCounts(types) {
+        const countsByVideo = new Map();
+        this.postings.forEach((posting, term) => {
+            posting.refs.forEach((ref, i) => {
+                const doc = this.documents[Math.floor(ref / SearchEngine.FIELD_SLOTS)];
+                if (!doc || !types.includes(doc.type)) return;
+
+                let counts = countsByVideo.get(doc.videoId);
+                if (!counts) {
+                    counts = new Map();
+                    countsByVideo.set(doc.videoId, counts);
+                }
+                counts.set(term, (counts.get(term) || 0) + posting.tfs[i]);
+            });
+        });
+        return countsByVideo;
+    }
+
+    /**
+     * Indexed terms a query word matches: its stem, plus the terms the word starts when it is long enough
+     */
+    expandTerm(word, exact = false) {
+        const stem = SearchEngine.stem(word);
+        const terms = this.postings.has(stem) ? [stem] : [];
+        if (exact || word.length < this.prefixMinLength) {
+            return terms;
+        }
+
+        if (!this.sortedTerms) {
+            this.sortedTerms = [...this.postings.keys()].sort();
+        }
+        let low = 0;
+        let high = this.sortedTerms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sortedTerms[mid] < word) low = mid + 1; else high = mid;
+        }
+        for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(word); i++) {
+            if (this.sortedTerms[i] !== stem) terms.push(this.sortedTerms[i]);
+        }
+        return terms;
+    }
+
+    /**
+     * Largest edit distance a misspelt word may be from a known one: none for short words,
+     * one letter from 4 letters on and two from 8
+     */
+    maxTypos(word) {
+        if (word.length < 4) return 0;
+        return word.length < 8 ? 1 : 2;
+    }
+
+    /**
+     * Known words close to a word the index doesn't have, closest and most common first:
+     * [{ term, word, distance }] where word is the indexed spelling and term its stem
+     */
+    fuzzyTerms(word) {
+        const max = this.maxTypos(word);
+        if (max === 0 || /\d/.test(word)) {
+            return [];
+        }
+
+        const candidates = [];
+        this.surfaceForms.forEach((forms, term) => {
+            let closest = null;
+            forms.forEach((count, form) => {
+                if (Math.abs(form.length - word.length) > max) return;
+                const distance = SearchEngine.editDistance(word, form, max);
+                if (distance <= max && (!closest || distance < closest.distance ||
+                    (distance === closest.distance && count > closest.count))) {
+                    closest = { term, word: form, distance, count };
+                }
+            });
+            if (closest) candidates.push(closest);
+        });
+        candidates.sort((a, b) => a.distance - b.distance || b.count - a.count);
+        return candidates;
+    }
+
+    /**
+     * Terms a query word matches: its stem and the terms it starts, or else the close spellings
+     */
+    matchTerms(word, { exact = false, fuzzy = true } = {}) {
+        const terms = this.expandTerm(word, exact);
+        if (terms.length > 0 || exact || !fuzzy) {
+            return terms.map(term => ({ term, weight: term === SearchEngine.stem(word) ? 1 : 0.8 }));
+        }
+        // Misspelt words count for less than words typed right
+        return this.fuzzyTerms(word).map(({ term }) => ({ term, weight: 0.6 }));
+    }
+
+    /**
+     * The most common indexed spellings of a term, e.g. "community" and "communities" for "communiti"
+     */
+    surfaceFormsOf(term, limit = 5) {
+        const forms = this.surfaceForms.get(term);
+        if (!forms) return [term];
+        return [...forms].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([form]) => form);
+    }
+
+    /**
+     * The query with misspelt words replaced by the closest known words, or null when every word is known.
+     * Field names, operators and numbers are left alone, so it works on SearchQuery text too.
+     */
+    suggest(query) {
+        let changed = false;
+        const suggestion = String(query || '').replace(/[\p{L}\p{N}'\u2019]+(:?)/gu, (text, colon) => {
+            const words = SearchEngine.tokenize(text);
+            if (colon || words.length !== 1 || /^(AND|OR|NOT)$/.test(text)) return text;
+
+            const [word] = words;
+            if (this.expandTerm(word).length > 0) return text;
+            const [closest] = this.fuzzyTerms(word);
+            if (!closest) return text;
+
+            changed = true;
+            return closest.word;
+        });
+        return changed ? suggestion : null;
+    }
+
+    /**
+     * Test function for texts outside the index, e.g. a filtered comment list:
+     * (...texts) => whether the texts together have every query word, matched like search() does
+     */
+    createMatcher(query) {
+        // The texts may not be indexed yet, so a word always matches its own stem and the words it starts
+        const words = [...new Set(SearchEngine.tokenize(query))].map(word => ({
+            word,
+            terms: new Set([SearchEngine.stem(word), ...this.matchTerms(word).map(({ term }) => term)])
+        }));
+        if (words.length === 0) {
+            return () => true;
+        }
+
+        return (...texts) => {
+            const tokens = texts.flatMap(text => SearchEngine.tokenize(text));
+            const terms = new Set(tokens.map(token => SearchEngine.stem(token)));
+            return words.every(({ word, terms: matching }) =>
+                [...matching].some(term => terms.has(term)) ||
+                (word.length >= this.prefixMinLength && tokens.some(token => token.startsWith(word))));
+        };
+    }
+
+    /**
+     * BM25F scores of the documents containing a term: Map docIndex -> { score, fields }.
+     * Options: types and fields limit what is scored, videoIds (a Set) limits to those videos,
+     * boosts overrides the configured field boosts.
+     */
+    scoreTerm(term, options = {}) {
+        const posting = this.postings.get(term);
+        const scores = new Map();
+        if (!posting) {
+            return scores;
+        }
+
+        const boosts = { ...this.boosts, ...options.boosts };
+        const weighted = new Map(); // docIndex -> { tf, fields }
+        for (let i = 0; i < posting.refs.length; i++) {
+            const docIndex = Math.floor(posting.refs[i] / SearchEngine.FIELD_SLOTS);
+            const field = SearchEngine.FIELDS[posting.refs[i] % SearchEngine.FIELD_SLOTS];
+            const doc = this.documents[docIndex];
+            if (!doc) continue;
+            if (options.types && !options.types.includes(doc.type)) continue;
+            if (options.fields && !options.fields.includes(field)) continue;
+            if (options.videoIds && !options.videoIds.has(doc.videoId)) continue;
+
+            const stats = this.fieldStats[field];
+            const averageLength = stats.tokens / Math.max(1, stats.documents);
+            const normalized = posting.tfs[i] / (1 - this.b + this.b * (doc.lengths[field] / averageLength));
+            const entry = weighted.get(docIndex) || { tf: 0, fields: [] };
+            entry.tf += (boosts[field] ?? 1) * normalized;
+            entry.fields.push(field);
+            weighted.set(docIndex, entry);
+        }
+
+        // Document frequency counts every live document with the term, whatever the filters
+        let documentFrequency = 0;
+        let previous = -1;
+        for (const ref of posting.refs) {
+            const docIndex = Math.floor(ref / SearchEngine.FIELD_SLOTS);
+            if (docIndex !== previous && this.documents[docIndex]) documentFrequency++;
+            previous = docIndex;
+        }
+        const idf = Math.log(1 + (this.documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+        weighted.forEach(({ tf, fields }, docIndex) => {
+            scores.set(docIndex, { score: idf * (tf * (this.k1 + 1)) / (tf + this.k1), fields });
+        });
+        return scores;
+    }
+
+    /**
+     * Documents matching every word of the query, best first:
+     * [{ type, videoId, item, score, fields, terms }] with the matched fields and words.
+     * Takes the scoreTerm options plus limit, phrase to only match the words in this order
+     * and fuzzy: false to leave misspelt words unmatched.
+     */
+    search(query, options = {}) {
+        const phrase = options.phrase ? SearchEngine.tokenize(query) : null;
+        const words = [...new Set(SearchEngine.tokenize(query))];
+        if (words.length === 0) {
+            return [];
+        }
+
+        let matches = null;
+        for (const word of words) {
+            const wordMatches = new Map();
+            // Words that only start with the query word, or are spelt close to it, count for less
+            this.matchTerms(word, { exact: Boolean(phrase), fuzzy: options.fuzzy !== false }).forEach(({ term, weight }) => {
+                this.scoreTerm(term, options).forEach(({ score, fields }, docIndex) => {
+                    const entry = wordMatches.get(docIndex) || { score: 0, fields: new Set(), terms: new Set() };
+                    entry.score = Math.max(entry.score, score * weight);
+                    fields.forEach(field => entry.fields.add(field));
+                    entry.terms.add(term);
+                    wordMatches.set(docIndex, entry);
+                });
+            });
+
+            if (matches === null) {
+                matches = wordMatches;
+                continue;
+            }
+            const combined = new Map();
+            matches.forEach((entry, docIndex) => {
+                const wordEntry = wordMatches.get(docIndex);
+                if (!wordEntry) return;
+                entry.score += wordEntry.score;
+                wordEntry.fields.forEach(field => entry.fields.add(field));
+                wordEntry.terms.forEach(term => entry.terms.add(term));
+                combined.set(docIndex, entry);
+            });
+            matches = combined;
+        }
+
+        if (phrase && phrase.length > 1) {
+            matches.forEach((entry, docIndex) => {
+                const fields = [...entry.fields].filter(field => this.containsPhrase(this.documents[docIndex].item[field], phrase));
+                if (fields.length === 0) {
+                    matches.delete(docIndex);
+                } else {
+                    entry.fields = new Set(fields);
+                }
+            });
+        }
+
+        const results = [...matches].map(([docIndex, entry]) => {
+            const doc = this.documents[docIndex];
+            return {
+                type: doc.type,
+                videoId: doc.videoId,
+                item: doc.item,
+                score: entry.score,
+                fields: [...entry.fields],
+                // The words as written in the archive, for highlighting
+                terms: [...new Set([...entry.terms].flatMap(term => this.surfaceFormsOf(term)))]
+            };
+        });
+        results.sort((a, b) => b.score - a.score);
+        return options.limit ? results.slice(0, options.limit) : results;
+    }
+
+    /**
+     * Whether a field's text, or one of its values for list fields, has the words next to each other
+     */
+    containsPhrase(value, words) {
+        const phrase = words.map(word => SearchEngine.stem(word));
+        return (Array.isArray(value) ? value : [value]).some(text => {
+            const tokens = SearchEngine.tokenize(text).map(token => SearchEngine.stem(token));
+            for (let i = 0; i + phrase.length <= tokens.length; i++) {
+                if (phrase.every((term, offset) => tokens[i + offset] === term)) return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Search every content type and group the results: { video: { total, results }, summary: ..., ... }.
+     * options.limit applies per type.
+     */
+    searchGrouped(query, options = {}) {
+        const groups = {};
+        SearchEngine.TYPES.forEach(type => {
+            groups[type] = { total: 0, results: [] };
+        });
+
+        this.search(query, { ...options, limit: 0 }).forEach(result => {
+            const group = groups[result.type];
+            group.total++;
+            if (!options.limit || group.results.length < options.limit) {
+                group.results.push(result);
+            }
+        });
+        return groups;
+    }
+}
+
+// Content types, in the order results are grouped
+SearchEngine.TYPES = ['video', 'summary', 'transcript', 'comment'];
+
+// Porter step 2 and 3 suffix replacements
+SearchEngine.PORTER_STEP2 = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+    alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+    ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+    iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+SearchEngine.PORTER_STEP3 = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+// Stems of words seen so far, shared by every index
+SearchEngine.stemCache = new Map();
+
+// Indexed fields; a posting packs its field's position into the document reference
+SearchEngine.FIELDS = ['title', 'description', 'keywords', 'summary', 'transcript', 'text', 'author'];
+SearchEngine.FIELD_SLOTS = 8;
+
+SearchEngine.DEFAULT_BOOSTS = {
+    title: 3,
+    keywords: 2,
+    description: 1,
+    summary: 1,
+    transcript: 1,
+    text: 1,
+    author: 0.5
+};
+
+// Export for use in other modules
+window.SearchEngine = SearchEngine;
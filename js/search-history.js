@@ -0,0 +1,123 @@
+/**
+ * SearchHistory - Recent and saved searches of one archive view, kept in localStorage
+ * A search is { source, query, ... }: source 'videos' is the header search with its
+ * filters, sort and view mode; 'archive' is the Search Archive dialog with its language.
+ * Saved searches also have an id, a name and the result count when last opened.
+ */
+class SearchHistory {
+    /**
+     * scope names the archive view, e.g. an archive ID, so each keeps its own history
+     */
+    constructor(scope, storage = window.localStorage) {
+        this.scope = scope;
+        this.storage = storage;
+        this.key = `${SearchHistory.STORAGE_PREFIX}:${scope}`;
+    }
+
+    /**
+     * Stored { recent, saved } lists; empty when nothing is stored or storage is unavailable
+     */
+    read() {
+        try {
+            const data = JSON.parse(this.storage.getItem(this.key) || 'null');
+            return {
+                recent: Array.isArray(data?.recent) ? data.recent : [],
+                saved: Array.isArray(data?.saved) ? data.saved : []
+            };
+        } catch (error) {
+            console.warn('⚠️ Could not read search history:', error);
+            return { recent: [], saved: [] };
+        }
+    }
+
+    write(data) {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(data));
+        } catch (error) {
+            // Private browsing or a full quota: searches just aren't remembered
+            console.warn('⚠️ Could not save search history:', error);
+        }
+    }
+
+    /**
+     * Recent searches, newest first
+     */
+    getRecent() {
+        return this.read().recent;
+    }
+
+    /**
+     * Saved searches in the order they were saved
+     */
+    getSaved() {
+        return this.read().saved;
+    }
+
+    /**
+     * Remember a search. Searching as you type records every step, so a search that
+     * extends or shortens the latest one of the same kind replaces it.
+     */
+    addRecent(search) {
+        const query = search.query.trim();
+        if (!query) return;
+
+        const data = this.read();
+        const entry = { ...search, query, searchedAt: new Date().toISOString() };
+        const [latest] = data.recent;
+        if (latest && latest.source === entry.source &&
+            (query.startsWith(latest.query) || latest.query.startsWith(query))) {
+            data.recent.shift();
+        }
+        data.recent = [entry, ...data.recent.filter(item => item.source !== entry.source || item.query !== query)]
+            .slice(0, SearchHistory.MAX_RECENT);
+        this.write(data);
+    }
+
+    clearRecent() {
+        const data = this.read();
+        data.recent = [];
+        this.write(data);
+    }
+
+    /**
+     * Save a search under a name; a saved search with the same name is replaced
+     */
+    save(name, search, count = null) {
+        const data = this.read();
+        const entry = {
+            ...search,
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim(),
+            count,
+            savedAt: new Date().toISOString()
+        };
+        delete entry.searchedAt;
+        data.saved = [...data.saved.filter(item => item.name !== entry.name), entry];
+        this.write(data);
+        return entry;
+    }
+
+    removeSaved(id) {
+        const data = this.read();
+        data.saved = data.saved.filter(item => item.id !== id);
+        this.write(data);
+    }
+
+    /**
+     * Record the result count a saved search had when it was last opened
+     */
+    updateSavedCount(id, count) {
+        const data = this.read();
+        const entry = data.saved.find(item => item.id === id);
+        if (entry) {
+            entry.count = count;
+            this.write(data);
+        }
+    }
+}
+
+SearchHistory.STORAGE_PREFIX = 'archiveExplorer.searches';
+SearchHistory.MAX_RECENT = 15;
+
+// Export for use in other modules
+window.SearchHistory = SearchHistory;
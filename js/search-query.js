@@ -0,0 +1,343 @@
+/**
+ * SearchQuery - Parses the header search into a query tree
+ * Supports quoted phrases, AND/OR/NOT (or a leading "-"), parentheses, field qualifiers
+ * such as title:word or transcript:"a phrase", numeric comparisons such as views:>10000
+ * and duration:<1:30, and date ranges such as published:2011..2015.
+ *
+ * Nodes are { type: 'and' | 'or', children }, { type: 'not', child },
+ * { type: 'text', field, text, phrase } and { type: 'range', field, min, max, minInclusive, maxInclusive }.
+ * Mistakes throw a SyntaxError carrying start and end offsets into the query.
+ */
+class SearchQuery {
+    /**
+     * Parse a query; returns null when it has nothing to search for
+     */
+    static parse(text) {
+        const query = new SearchQuery(String(text || ''));
+        if (query.tokens.length === 0) {
+            return null;
+        }
+        const tree = query.parseOr(null);
+        const extra = query.peek();
+        if (extra) {
+            throw query.error(extra.type === 'rparen' ? 'Unmatched ")"' : `Unexpected "${extra.text}"`, extra);
+        }
+        return tree;
+    }
+
+    /**
+     * Names of the text fields a parsed query searches, e.g. to index transcripts only when asked for
+     */
+    static fieldsUsed(node, fields = new Set()) {
+        if (!node) return fields;
+        if (node.children) node.children.forEach(child => SearchQuery.fieldsUsed(child, fields));
+        if (node.child) SearchQuery.fieldsUsed(node.child, fields);
+        if (node.type === 'text' && node.field) fields.add(node.field);
+        return fields;
+    }
+
+    constructor(text) {
+        this.text = text;
+        this.tokens = this.tokenize(text);
+        this.position = 0;
+    }
+
+    /**
+     * Split the query into words, phrases, fields, operators and parentheses, keeping their offsets
+     */
+    tokenize(text) {
+        const tokens = [];
+        const push = (type, value, start, end) => tokens.push({ type, value, start, end, text: text.slice(start, end) });
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                push(char === '(' ? 'lparen' : 'rparen', char, i, i + 1);
+                i++;
+            } else if (char === '"') {
+                const close = text.indexOf('"', i + 1);
+                if (close === -1) {
+                    throw Object.assign(new SyntaxError('Missing closing quote'), { start: i, end: text.length });
+                }
+                push('phrase', text.slice(i + 1, close), i, close + 1);
+                i = close + 1;
+            } else if (char === '-' && i + 1 < text.length && !/[\s()]/.test(text[i + 1]) &&
+                (i === 0 || /[\s(]/.test(text[i - 1]))) {
+                push('not', '-', i, i + 1);
+                i++;
+            } else {
+                let end = i;
+                while (end < text.length && !/[\s()"]/.test(text[end])) end++;
+                const word = text.slice(i, end);
+                // Only known fields qualify; "Year: Chicago" or "http://x.com" are searched as text
+                const field = /^([a-z]+):/i.exec(word);
+
+                if (field && SearchQuery.FIELDS[field[1].toLowerCase()]) {
+                    push('field', field[1].toLowerCase(), i, i + field[0].length);
+                    if (word.length > field[0].length) {
+                        push('word', word.slice(field[0].length), i + field[0].length, end);
+                    }
+                } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+                    push(word.toLowerCase(), word, i, end);
+                } else {
+                    push('word', word, i, end);
+                }
+                i = end;
+            }
+        }
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    error(message, token) {
+        const start = token ? token.start : this.text.length;
+        const end = token ? token.end : this.text.length;
+        return Object.assign(new SyntaxError(message), { start, end });
+    }
+
+    /**
+     * a OR b OR c
+     */
+    parseOr(field) {
+        const children = [this.parseAnd(field)];
+        while (this.peek()?.type === 'or') {
+            const operator = this.next();
+            if (!this.startsTerm(this.peek())) {
+                throw this.error('Nothing to search for after OR', operator);
+            }
+            children.push(this.parseAnd(field));
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    /**
+     * a AND b, or just a b
+     */
+    parseAnd(field) {
+        const children = [this.parseUnary(field)];
+        while (this.peek() && this.peek().type !== 'or' && this.peek().type !== 'rparen') {
+            if (this.peek().type === 'and') {
+                const operator = this.next();
+                if (!this.startsTerm(this.peek())) {
+                    throw this.error('Nothing to search for after AND', operator);
+                }
+            }
+            children.push(this.parseUnary(field));
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    /**
+     * NOT a, or -a
+     */
+    parseUnary(field) {
+        if (this.peek()?.type === 'not') {
+            const operator = this.next();
+            if (!this.startsTerm(this.peek())) {
+                throw this.error(`Nothing to exclude after ${operator.text}`, operator);
+            }
+            return { type: 'not', child: this.parseUnary(field) };
+        }
+        return this.parsePrimary(field);
+    }
+
+    /**
+     * A word, a phrase, a (group) or a field:value
+     */
+    parsePrimary(field) {
+        const token = this.next();
+        if (!token) {
+            throw this.error('The query ends too early');
+        }
+
+        switch (token.type) {
+            case 'lparen': {
+                if (this.peek()?.type === 'rparen') {
+                    throw this.error('Empty parentheses', this.peek());
+                }
+                const group = this.parseOr(field);
+                if (this.peek()?.type !== 'rparen') {
+                    throw this.error('Missing closing ")"', token);
+                }
+                this.next();
+                return group;
+            }
+            case 'word':
+            case 'phrase':
+                return this.textNode(field, token);
+            case 'field':
+                return this.parseField(token, field);
+            default:
+                throw this.error(`Unexpected "${token.text}"`, token);
+        }
+    }
+
+    /**
+     * Whether a token can start a search term
+     */
+    startsTerm(token) {
+        return Boolean(token) && ['word', 'phrase', 'field', 'lparen', 'not'].includes(token.type);
+    }
+
+    /**
+     * The value after a field qualifier
+     */
+    parseField(token, outerField) {
+        const definition = SearchQuery.FIELDS[token.value];
+        if (outerField) {
+            throw this.error(`"${token.value}:" can't be used inside ${outerField}:( )`, token);
+        }
+
+        const value = this.peek();
+        if (!value || value.start !== token.end || !['word', 'phrase', 'lparen'].includes(value.type)) {
+            throw this.error(`Missing value after "${token.value}:"`, token);
+        }
+
+        if (definition.kind === 'text') {
+            return value.type === 'lparen' ? this.parsePrimary(definition.name) : this.textNode(definition.name, this.next());
+        }
+        if (value.type !== 'word') {
+            throw this.error(`"${token.value}:" takes a ${definition.kind === 'date' ? 'date' : 'number'}, e.g. ${definition.example}`, value);
+        }
+        this.next();
+        return this.rangeNode(definition, value, token);
+    }
+
+    /**
+     * A word or phrase to search for
+     */
+    textNode(field, token) {
+        if (token.type === 'phrase' && !token.value.trim()) {
+            throw this.error('Empty quotes', token);
+        }
+        return { type: 'text', field, text: token.value, phrase: token.type === 'phrase' };
+    }
+
+    /**
+     * A comparison (>, >=, <, <=, =) or an a..b range on a number or date field
+     */
+    rangeNode(definition, token, fieldToken) {
+        const parse = definition.kind === 'date'
+            ? (value) => SearchQuery.parseDate(value)
+            : (value) => SearchQuery.parseNumber(value, definition.kind);
+        const invalid = () => this.error(
+            `"${token.value}" is not a valid ${definition.kind === 'date' ? 'date' : definition.kind === 'duration' ? 'duration' : 'number'} for ${fieldToken.value}:, e.g. ${definition.example}`,
+            token
+        );
+        const node = { type: 'range', field: definition.name, min: null, max: null, minInclusive: true, maxInclusive: true };
+
+        // Dates stand for a whole year, month or day: { start, end } with end exclusive
+        const bounds = (value) => {
+            const parsed = parse(value);
+            if (parsed === null) throw invalid();
+            return definition.kind === 'date' ? parsed : { start: parsed, end: parsed };
+        };
+
+        const range = /^(.*)\.\.(.*)$/.exec(token.value);
+        if (range) {
+            if (!range[1] && !range[2]) throw invalid();
+            if (range[1]) node.min = bounds(range[1]).start;
+            if (range[2]) {
+                const { end } = bounds(range[2]);
+                node.max = end;
+                node.maxInclusive = definition.kind !== 'date';
+            }
+            if (node.min !== null && node.max !== null && node.min > node.max) {
+                throw this.error(`The range ${token.value} is backwards`, token);
+            }
+            return node;
+        }
+
+        const comparison = /^(>=|<=|>|<|=)?(.+)$/.exec(token.value);
+        const { start, end } = bounds(comparison[2]);
+        const exclusiveEnd = definition.kind === 'date';
+        switch (comparison[1]) {
+            case '>':
+                node.min = end;
+                node.minInclusive = exclusiveEnd;
+                break;
+            case '>=':
+                node.min = start;
+                break;
+            case '<':
+                node.max = start;
+                node.maxInclusive = false;
+                break;
+            case '<=':
+                node.max = end;
+                node.maxInclusive = !exclusiveEnd;
+                break;
+            default:
+                node.min = start;
+                node.max = end;
+                node.maxInclusive = !exclusiveEnd;
+        }
+        return node;
+    }
+
+    /**
+     * Parse "10000", "10,000", "10k" or "1.5m"; durations also take "1:30" and "1:02:03"
+     */
+    static parseNumber(value, kind = 'number') {
+        if (kind === 'duration' && value.includes(':')) {
+            const parts = value.split(':');
+            if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+            return parts.reduce((total, part) => total * 60 + parseInt(part), 0);
+        }
+        const match = /^(\d+(?:\.\d+)?)([km])?$/i.exec(value.replace(/,/g, ''));
+        if (!match) return null;
+        const multiplier = { k: 1000, m: 1000000 }[match[2]?.toLowerCase()] || 1;
+        return parseFloat(match[1]) * multiplier;
+    }
+
+    /**
+     * Parse "2015", "2015-06" or "2015-06-30" into the UTC period it covers: { start, end } in ms, end exclusive
+     */
+    static parseDate(value) {
+        const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+        if (!match) return null;
+        const year = parseInt(match[1]);
+        const month = match[2] ? parseInt(match[2]) - 1 : null;
+        const day = match[3] ? parseInt(match[3]) : null;
+        if ((month !== null && month > 11) || (day !== null && (day < 1 || day > 31))) return null;
+
+        if (day !== null) {
+            return { start: Date.UTC(year, month, day), end: Date.UTC(year, month, day + 1) };
+        }
+        if (month !== null) {
+            return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+        }
+        return { start: Date.UTC(year, 0, 1), end: Date.UTC(year + 1, 0, 1) };
+    }
+}
+
+// Field qualifiers: text fields search the index, the others compare video values
+SearchQuery.FIELDS = {
+    title: { name: 'title', kind: 'text' },
+    desc: { name: 'description', kind: 'text' },
+    description: { name: 'description', kind: 'text' },
+    keyword: { name: 'keywords', kind: 'text' },
+    keywords: { name: 'keywords', kind: 'text' },
+    summary: { name: 'summary', kind: 'text' },
+    transcript: { name: 'transcript', kind: 'text' },
+    comment: { name: 'comment', kind: 'text' },
+    author: { name: 'author', kind: 'text' },
+    views: { name: 'view_count', kind: 'number', example: 'views:>10000' },
+    likes: { name: 'like_count', kind: 'number', example: 'likes:>=100' },
+    comments: { name: 'comment_count', kind: 'number', example: 'comments:>=5' },
+    duration: { name: 'duration', kind: 'duration', example: 'duration:<60 or duration:1:00..5:00' },
+    published: { name: 'published_at', kind: 'date', example: 'published:2011..2015' }
+};
+
+// Export for use in other modules
+window.SearchQuery = SearchQuery;
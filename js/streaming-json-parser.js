@@ -0,0 +1,195 @@
+/**
+ * StreamingJsonParser - Reads large JSON files record by record
+ * Emits every object that is an element of an array, together with the object keys leading to it,
+ * so `[{...}, {...}]` and `{ "video_id": [{...}] }` come out one comment at a time
+ * without holding the whole file as a string or a parsed tree.
+ */
+class StreamingJsonParser {
+    /**
+     * onRecord(record, path) is called for each record; path lists the enclosing object keys
+     */
+    constructor(onRecord) {
+        this.onRecord = onRecord;
+        this.stack = []; // { type: 'object' | 'array', key, expectKey }
+        this.started = false;
+        this.finished = false;
+
+        // String state
+        this.inString = false;
+        this.escape = false;
+        this.readingKey = false;
+
+        // Text of the key or record being read; may span chunks
+        this.buffer = '';
+        this.capturing = false;
+        this.captureDepth = 0;
+    }
+
+    /**
+     * Feed the next piece of decoded text
+     */
+    write(text) {
+        // Start of the key or record inside this chunk, -1 when none is being read
+        let sliceStart = this.capturing || this.readingKey ? 0 : -1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.inString) {
+                if (this.escape) {
+                    this.escape = false;
+                } else if (char === '\\') {
+                    this.escape = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                    if (this.readingKey) {
+                        this.readingKey = false;
+                        this.top().key = JSON.parse(this.buffer + text.slice(sliceStart, i + 1));
+                        this.buffer = '';
+                        sliceStart = -1;
+                    }
+                }
+                continue;
+            }
+
+            if (this.capturing) {
+                if (char === '"') {
+                    this.inString = true;
+                } else if (char === '{' || char === '[') {
+                    this.captureDepth++;
+                } else if (char === '}' || char === ']') {
+                    this.captureDepth--;
+                    if (this.captureDepth === 0) {
+                        const record = JSON.parse(this.buffer + text.slice(sliceStart, i + 1));
+                        this.capturing = false;
+                        this.buffer = '';
+                        sliceStart = -1;
+                        this.onRecord(record, this.currentPath());
+                    }
+                }
+                continue;
+            }
+
+            if (char === ' ' || char === '\n' || char === '\r' || char === '\t') {
+                continue;
+            }
+            if (this.finished || (!this.started && char !== '{' && char !== '[')) {
+                throw new SyntaxError(`Unexpected character ${JSON.stringify(char)} in JSON stream`);
+            }
+
+            const top = this.top();
+            switch (char) {
+                case '{':
+                    if (top?.type === 'array') {
+                        // An object inside an array is a record: read it whole
+                        this.capturing = true;
+                        this.captureDepth = 1;
+                        sliceStart = i;
+                    } else {
+                        this.stack.push({ type: 'object', key: null, expectKey: true });
+                    }
+                    this.started = true;
+                    break;
+                case '[':
+                    this.stack.push({ type: 'array' });
+                    this.started = true;
+                    break;
+                case '}':
+                case ']':
+                    this.stack.pop();
+                    this.finished = this.stack.length === 0;
+                    break;
+                case ',':
+                    if (top.type === 'object') top.expectKey = true;
+                    break;
+                case ':':
+                    top.expectKey = false;
+                    break;
+                case '"':
+                    this.inString = true;
+                    if (top.type === 'object' && top.expectKey) {
+                        this.readingKey = true;
+                        sliceStart = i;
+                    }
+                    break;
+                default:
+                    // Numbers, booleans and null outside records are skipped
+                    break;
+            }
+        }
+
+        if (sliceStart !== -1) {
+            this.buffer += text.slice(sliceStart);
+        }
+    }
+
+    /**
+     * Check that the input ended with a complete JSON document
+     */
+    end() {
+        if (!this.finished) {
+            throw new SyntaxError('Unexpected end of JSON stream');
+        }
+    }
+
+    /**
+     * Innermost open container
+     */
+    top() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    /**
+     * Object keys leading to the current position
+     */
+    currentPath() {
+        return this.stack.filter(frame => frame.type === 'object').map(frame => frame.key);
+    }
+
+    /**
+     * Parse a byte stream, reporting onProgress(bytesRead, totalBytes) after each chunk
+     */
+    static async parseStream(stream, onRecord, { totalBytes = 0, onProgress = null } = {}) {
+        const parser = new StreamingJsonParser(onRecord);
+        const decoder = new TextDecoder();
+        const reader = stream.getReader();
+        let bytesRead = 0;
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                bytesRead += value.byteLength;
+                parser.write(decoder.decode(value, { stream: true }));
+                onProgress?.(bytesRead, totalBytes);
+            }
+            parser.write(decoder.decode());
+            parser.end();
+        } finally {
+            reader.releaseLock();
+        }
+        return bytesRead;
+    }
+
+    /**
+     * Parse a File or Blob
+     */
+    static parseFile(file, onRecord, onProgress = null) {
+        return StreamingJsonParser.parseStream(file.stream(), onRecord, { totalBytes: file.size, onProgress });
+    }
+
+    /**
+     * Fetch and parse a URL; totalBytes comes from Content-Length and is 0 when the server omits it
+     */
+    static async parseUrl(url, onRecord, onProgress = null) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const totalBytes = parseInt(response.headers.get('Content-Length')) || 0;
+        return StreamingJsonParser.parseStream(response.body, onRecord, { totalBytes, onProgress });
+    }
+}
+
+// Export for use in other modules
+window.StreamingJsonParser = StreamingJsonParser;
@@ -0,0 +1,237 @@
+/**
+ * SubtitleParser - Turns WebVTT and SRT subtitle files into timed cues
+ * Cues are { start, end, text } with times in seconds.
+ */
+class SubtitleParser {
+    /**
+     * Parse subtitle text. Format is 'vtt' or 'srt', detected from the header when omitted.
+     */
+    static parse(text, format = null) {
+        const normalized = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const detected = format || SubtitleParser.detectFormat(normalized);
+        if (detected !== 'vtt') {
+            return SubtitleParser.parseSRT(normalized);
+        }
+        const cues = SubtitleParser.parseVTT(normalized);
+        return SubtitleParser.isRollingCaptions(normalized) ? SubtitleParser.collapseRollingCues(cues) : cues;
+    }
+
+    /**
+     * Whether a WebVTT file is YouTube auto captions, which time each word inline
+     * ("<00:00:01.520><c> word</c>"). Other files may repeat a line on purpose.
+     */
+    static isRollingCaptions(text) {
+        return /<\d{2}:\d{2}:\d{2}\.\d{3}><c>/.test(text);
+    }
+
+    /**
+     * Guess the subtitle format from the file contents
+     */
+    static detectFormat(text) {
+        return /^WEBVTT/.test(text) ? 'vtt' : 'srt';
+    }
+
+    /**
+     * Guess the subtitle format from a file name
+     */
+    static formatFromFilename(filename) {
+        const extension = String(filename || '').toLowerCase().split('.').pop();
+        return ['vtt', 'srt'].includes(extension) ? extension : null;
+    }
+
+    /**
+     * Read the language from a subtitle file name's suffix, e.g. "….de-DE.vtt", "…_en_auto_ytdlp.txt"
+     * or, right after the video's shortcode, "<shortcode>_es.txt". Title words such as "_de_" are not
+     * languages. Returns { language, auto }, with language 'und' when the name doesn't say.
+     */
+    static languageFromFilename(filename, shortcode = null) {
+        const name = String(filename || '');
+        const suffix = /\.([a-z]{2,3}(?:-[A-Za-z0-9]+)*)\.(?:vtt|srt|txt)$/i.exec(name);
+        if (suffix) {
+            return { language: suffix[1], auto: /-orig$/i.test(suffix[1]) };
+        }
+        const ytdlp = /_([a-z]{2,3}(?:-[A-Za-z0-9]+)?)_(auto|manual)_ytdlp\.(?:vtt|srt|txt)$/i.exec(name);
+        if (ytdlp) {
+            return { language: ytdlp[1], auto: ytdlp[2].toLowerCase() === 'auto' };
+        }
+        if (shortcode) {
+            // Shortcodes hold only letters, digits, "_" and "-", none special in a pattern
+            const afterShortcode = new RegExp(`${shortcode}_([a-z]{2,3}(?:-[A-Z]{2})?)\\.(?:vtt|srt|txt)$`).exec(name);
+            if (afterShortcode) {
+                return { language: afterShortcode[1], auto: false };
+            }
+        }
+        return { language: 'und', auto: false };
+    }
+
+    /**
+     * Human-readable name for a language code
+     */
+    static languageLabel(language, auto = false) {
+        let label = language === 'und' ? 'Unknown language' : language;
+        try {
+            const base = language.replace(/-orig$/i, '');
+            label = new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' }).of(base) || label;
+        } catch (error) {
+            // Keep the raw code
+        }
+        return auto ? `${label} (auto-generated)` : label;
+    }
+
+    /**
+     * Serialize cues back to WebVTT, e.g. to attach SRT files as <track> elements
+     */
+    static toVTT(cues) {
+        const timestamp = (seconds) => {
+            const millis = Math.round(seconds * 1000);
+            const hours = Math.floor(millis / 3600000);
+            const minutes = Math.floor((millis % 3600000) / 60000);
+            const secs = Math.floor((millis % 60000) / 1000);
+            return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(millis % 1000).padStart(3, '0')}`;
+        };
+        const escapeCueText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        return 'WEBVTT\n\n' + cues
+            .map(cue => `${timestamp(cue.start)} --> ${timestamp(cue.end)}\n${escapeCueText(cue.text)}`)
+            .join('\n\n') + '\n';
+    }
+
+    /**
+     * Parse WebVTT cue blocks, skipping the header and NOTE/STYLE/REGION blocks
+     */
+    static parseVTT(text) {
+        const cues = [];
+        text.split(/\n{2,}/).forEach(block => {
+            const lines = block.split('\n');
+            if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) {
+                return;
+            }
+            const cue = SubtitleParser.parseCueBlock(lines);
+            if (cue) cues.push(cue);
+        });
+        return cues;
+    }
+
+    /**
+     * Parse numbered SRT blocks
+     */
+    static parseSRT(text) {
+        const cues = [];
+        text.split(/\n{2,}/).forEach(block => {
+            const cue = SubtitleParser.parseCueBlock(block.split('\n'));
+            if (cue) cues.push(cue);
+        });
+        return cues;
+    }
+
+    /**
+     * Parse one block: an optional identifier line, the timing line, then the cue text
+     */
+    static parseCueBlock(lines) {
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) {
+            return null;
+        }
+
+        const [startText, endText] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+        const start = SubtitleParser.parseTimestamp(startText);
+        const end = SubtitleParser.parseTimestamp(endText);
+        if (start === null || end === null) {
+            return null;
+        }
+
+        const text = lines.slice(timingIndex + 1)
+            .map(line => SubtitleParser.cleanText(line))
+            .filter(Boolean)
+            .join('\n');
+        return { start, end, text };
+    }
+
+    /**
+     * Convert "01:02:03.456", "02:03.456" or "01:02:03,456" to seconds
+     */
+    static parseTimestamp(value) {
+        const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/.exec(value || '');
+        if (!match) {
+            return null;
+        }
+        const [, hours = '0', minutes, seconds, millis = '0'] = match;
+        return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + parseInt(millis.padEnd(3, '0')) / 1000;
+    }
+
+    /**
+     * Strip markup (<c>, <i>, inline <00:00:01.000> word timings) and decode entities
+     */
+    static cleanText(line) {
+        return line
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * YouTube auto captions repeat the previous line at the top of every cue and add
+     * near-zero-length cues between them. Keep only the new text of each cue.
+     */
+    static collapseRollingCues(cues) {
+        const collapsed = [];
+        let previousLines = [];
+
+        cues.forEach(cue => {
+            const lines = cue.text.split('\n').filter(Boolean);
+            const newLines = lines.filter(line => !previousLines.includes(line));
+            previousLines = lines;
+
+            if (newLines.length > 0 && cue.end > cue.start) {
+                collapsed.push({ start: cue.start, end: cue.end, text: newLines.join(' ') });
+            }
+        });
+        return collapsed;
+    }
+
+    /**
+     * Index of the cue playing at a time: the last cue that has started, or -1 before the first
+     */
+    static findCueIndex(cues, time) {
+        let low = 0;
+        let high = cues.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (cues[mid].start <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Join cue texts into a plain transcript
+     */
+    static toText(cues) {
+        return cues.map(cue => cue.text).join(' ');
+    }
+
+    /**
+     * Index of the cue holding a character position of toText(cues), or -1 without cues
+     */
+    static findCueAtPosition(cues, position) {
+        let end = 0;
+        for (let i = 0; i < cues.length; i++) {
+            // Each cue is followed by the joining space
+            end += cues[i].text.length + 1;
+            if (position < end) return i;
+        }
+        return cues.length - 1;
+    }
+}
+
+// Export for use in other modules
+window.SubtitleParser = SubtitleParser;
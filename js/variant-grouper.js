@@ -0,0 +1,186 @@
+/**
+ * VariantGrouper - Groups cut-downs and other variants of the same video, such as
+ * "America Needs Club Kids. Club Kids Need You. (0:15)", "(0:30)" and "(0:60)".
+ * Videos are variants when their titles match once length and version markers are
+ * removed, or when their titles are close and their descriptions or transcripts are
+ * nearly the same. Titles with different numbers, such as "Youth of the Year 2019" and
+ * "2020" or "Part 1" and "Part 2", are different videos.
+ */
+class VariantGrouper {
+    /**
+     * Groups of two or more variants: Map(videoId -> { id, videos }), with each group's
+     * videos most viewed first. transcriptCounts, SearchEngine.termCounts(['transcript']),
+     * adds transcript similarity when the transcripts have been indexed.
+     */
+    group(videos, transcriptCounts = null) {
+        const entries = videos.map(video => {
+            const title = VariantGrouper.normalizeTitle(video.title);
+            const titleWords = title.split(' ').filter(Boolean);
+            return {
+                video,
+                title,
+                titleWords: new Set(titleWords),
+                titleNumbers: titleWords.filter(word => /^\d+$/.test(word)).join(' '),
+                descriptionWords: VariantGrouper.wordSet(video.description),
+                transcriptTerms: transcriptCounts?.get(video.video_id) || null
+            };
+        });
+
+        // Description words in many videos are the channel's boilerplate, not what a video is about
+        const descriptionFrequency = new Map();
+        entries.forEach(entry => {
+            entry.descriptionWords.forEach(word => descriptionFrequency.set(word, (descriptionFrequency.get(word) || 0) + 1));
+        });
+        const maxDescriptionVideos = Math.max(2, entries.length * VariantGrouper.MAX_DESCRIPTION_SHARE);
+        entries.forEach(entry => {
+            entry.descriptionWords.forEach(word => {
+                if (descriptionFrequency.get(word) > maxDescriptionVideos) entry.descriptionWords.delete(word);
+            });
+        });
+
+        // Union-find over video indexes
+        const parent = entries.map((entry, index) => index);
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+        const union = (a, b) => {
+            parent[find(a)] = find(b);
+        };
+
+        // Only videos sharing a title word are compared; words in many titles don't count
+        const byWord = new Map();
+        entries.forEach((entry, index) => {
+            entry.titleWords.forEach(word => {
+                if (!byWord.has(word)) byWord.set(word, []);
+                byWord.get(word).push(index);
+            });
+        });
+
+        entries.forEach((entry, index) => {
+            if (!entry.title) return;
+            const candidates = new Set();
+            entry.titleWords.forEach(word => {
+                const indexes = byWord.get(word);
+                if (indexes.length > VariantGrouper.MAX_WORD_VIDEOS) return;
+                indexes.forEach(other => {
+                    if (other > index) candidates.add(other);
+                });
+            });
+            candidates.forEach(other => {
+                if (find(index) !== find(other) && this.areVariants(entry, entries[other])) {
+                    union(index, other);
+                }
+            });
+        });
+
+        const clusters = new Map();
+        entries.forEach((entry, index) => {
+            const root = find(index);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(entry.video);
+        });
+
+        const groups = new Map();
+        clusters.forEach(members => {
+            if (members.length < 2) return;
+            members.sort((a, b) => (b.view_count || 0) - (a.view_count || 0));
+            const group = { id: members[0].video_id, videos: members };
+            members.forEach(video => groups.set(video.video_id, group));
+        });
+        return groups;
+    }
+
+    /**
+     * Whether two videos are variants of each other
+     */
+    areVariants(a, b) {
+        // A different year, part or episode number is another video, whatever else matches
+        if (a.titleNumbers !== b.titleNumbers) {
+            return false;
+        }
+
+        // The same title apart from markers; a very short title alone says too little
+        if (a.title === b.title && (a.titleWords.size >= 2 || a.title.length >= 8)) {
+            return true;
+        }
+        if (VariantGrouper.jaccard(a.titleWords, b.titleWords) < VariantGrouper.TITLE_SIMILARITY) {
+            return false;
+        }
+
+        if (a.descriptionWords.size >= VariantGrouper.MIN_DESCRIPTION_WORDS &&
+            b.descriptionWords.size >= VariantGrouper.MIN_DESCRIPTION_WORDS &&
+            VariantGrouper.jaccard(a.descriptionWords, b.descriptionWords) >= VariantGrouper.CONTENT_SIMILARITY) {
+            return true;
+        }
+
+        // A cut-down's transcript is mostly contained in the longer version's
+        if (a.transcriptTerms?.size >= VariantGrouper.MIN_TRANSCRIPT_TERMS &&
+            b.transcriptTerms?.size >= VariantGrouper.MIN_TRANSCRIPT_TERMS) {
+            let shared = 0;
+            a.transcriptTerms.forEach((count, term) => {
+                if (b.transcriptTerms.has(term)) shared++;
+            });
+            return shared / Math.min(a.transcriptTerms.size, b.transcriptTerms.size) >= VariantGrouper.CONTENT_SIMILARITY;
+        }
+        return false;
+    }
+
+    /**
+     * Title without length and version markers, lowercase words separated by single spaces
+     */
+    static normalizeTitle(title) {
+        return String(title || '')
+            .replace(VariantGrouper.MARKER_PATTERN, ' ')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * What tells a variant apart in its title, e.g. "0:15" or "Extended Cut", or null
+     */
+    static markerOf(title) {
+        const match = String(title || '').match(VariantGrouper.MARKER_PATTERN);
+        return match ? match[0].replace(/^[\s([\-–—|]+|[\s)\]]+$/g, '') || null : null;
+    }
+
+    static wordSet(text) {
+        return new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    }
+
+    static jaccard(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        let shared = 0;
+        a.forEach(word => {
+            if (b.has(word)) shared++;
+        });
+        return shared / (a.size + b.size - shared);
+    }
+}
+
+// Length and version markers: (0:15), :30, 30s, 60-second, (Short Version), Extended Cut, HD
+VariantGrouper.MARKER_PATTERN = new RegExp([
+    '[([]?\\s*\\d{0,2}:\\d{2}\\s*[)\\]]?',
+    '[([]?\\s*\\b\\d+[\\s-]*(?:s|secs?|seconds?)\\b\\s*[)\\]]?',
+    '[([]?\\s*\\b(?:short|long|full|extended|alternate|alt|tv|radio|web|social|directors?)?\\s*(?:version|cut|edit)\\b\\s*[)\\]]?',
+    '\\b(?:hd|4k|1080p|720p)\\b'
+].join('|'), 'gi');
+// Title words in more videos than this don't make two videos worth comparing
+VariantGrouper.MAX_WORD_VIDEOS = 200;
+// Share of title words two variants must have in common when their titles differ
+VariantGrouper.TITLE_SIMILARITY = 0.5;
+// Share of description words, or of the shorter transcript's terms, that must match
+VariantGrouper.CONTENT_SIMILARITY = 0.8;
+VariantGrouper.MIN_DESCRIPTION_WORDS = 5;
+// Description words in more than this share of the videos are left out of the comparison
+VariantGrouper.MAX_DESCRIPTION_SHARE = 0.2;
+VariantGrouper.MIN_TRANSCRIPT_TERMS = 10;
+
+// Export for use in other modules
+window.VariantGrouper = VariantGrouper;
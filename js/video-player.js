@@ -14,6 +14,7 @@ class VideoPlayer {
         this.playOverlay = document.getElementById('videoPlayOverlay');
         this.youtubeIframe = null;
         this.currentPlayerType = null; // 'local' or 'youtube'
+        this.timeUpdateHandler = null;
         
         // Custom control elements
         this.customControls = document.getElementById('customControls');
@@ -24,6 +25,16 @@ class VideoPlayer {
         this.muteBtn = document.getElementById('muteBtn');
         this.volumeSlider = document.getElementById('volumeSlider');
         this.fullscreenBtn = document.getElementById('fullscreenBtn');
+        this.captionsControls = document.getElementById('captionsControls');
+        this.captionsBtn = document.getElementById('captionsBtn');
+        this.captionLanguageSelect = document.getElementById('captionLanguageSelect');
+
+        // Caption tracks for the current local video; the on/off and language choice carry over between videos
+        this.captionTracks = [];
+        this.captionsEnabled = false;
+        this.captionLanguage = null;
+        this.captionTrackPath = null; // Exact track picked; paths are per video, so others fall back to the language
+        this.captionDataManager = null;
         
         console.log('🎥 VideoPlayer v4.0 initialized (YouTube + Local support)');
         this.setupEventListeners();
@@ -87,9 +98,10 @@ class VideoPlayer {
             console.warn('🎥 Video buffering...');
         });
 
-        // Time updates for custom controls
+        // Time updates for custom controls and listeners such as the transcript
         this.videoElement.addEventListener('timeupdate', () => {
             this.updateProgress();
+            this.timeUpdateHandler?.(this.videoElement.currentTime);
         });
 
         this.videoElement.addEventListener('loadedmetadata', () => {
@@ -226,6 +238,15 @@ class VideoPlayer {
         this.fullscreenBtn?.addEventListener('click', () => {
             this.toggleFullscreen();
         });
+
+        // Captions
+        this.captionsBtn?.addEventListener('click', () => {
+            this.toggleCaptions();
+        });
+
+        this.captionLanguageSelect?.addEventListener('change', (e) => {
+            this.setCaptionTrack(e.target.value);
+        });
     }
 
     /**
@@ -236,6 +257,7 @@ class VideoPlayer {
             this.currentVideo = videoData;
             this.hideError();
             this.showLoading(true);
+            this.clearCaptionTracks();
 
             console.log(`🔍 DEBUG - Video ID: ${videoData.video_id}`);
             console.log(`🔍 DEBUG - Video Title: ${videoData.title}`);
@@ -508,6 +530,9 @@ class VideoPlayer {
                 // Set poster if available
                 this.setVideoPoster(videoData.video_id);
 
+                // Attach subtitle files from the archive as caption tracks
+                this.loadCaptionTracks(videoData, dataManager);
+
                 // Add timeout for loading
                 const loadTimeout = setTimeout(() => {
                     this.videoElement.removeEventListener('canplay', handleCanPlay);
@@ -527,6 +552,150 @@ class VideoPlayer {
         });
     }
 
+    /**
+     * Find the video's subtitle files and offer them in the captions controls
+     */
+    async loadCaptionTracks(videoData, dataManager) {
+        let tracks = [];
+        try {
+            tracks = await dataManager.getSubtitleTracks(videoData.video_id);
+        } catch (error) {
+            console.warn('⚠️ Could not list caption tracks:', error);
+        }
+        if (this.currentVideo !== videoData) {
+            return; // Another video was opened meanwhile
+        }
+
+        this.captionTracks = tracks.map(track => ({ ...track, element: null, url: null }));
+        this.captionDataManager = dataManager;
+        if (tracks.length > 0) {
+            console.log(`💬 Found ${tracks.length} caption track(s): ${tracks.map(track => track.label).join(', ')}`);
+        }
+        this.renderCaptionControls();
+        await this.applyCaptions();
+    }
+
+    /**
+     * The track to show: the chosen track, else the chosen language, else the same base language,
+     * else English, else the first. Uploaded subtitles win over auto-generated ones.
+     */
+    pickCaptionTrack() {
+        const preferred = this.captionLanguage || (navigator.language || 'en');
+        const base = (language) => language.toLowerCase().split('-')[0];
+        return this.captionTracks.find(track => track.path === this.captionTrackPath) ||
+            this.captionTracks.find(track => track.language === preferred) ||
+            this.captionTracks.find(track => base(track.language) === base(preferred)) ||
+            this.captionTracks.find(track => base(track.language) === 'en') ||
+            this.captionTracks[0] ||
+            null;
+    }
+
+    /**
+     * Show the selected caption track, loading it first if needed, and hide the others
+     */
+    async applyCaptions() {
+        const selected = this.captionsEnabled ? this.pickCaptionTrack() : null;
+
+        if (selected && !selected.element) {
+            try {
+                await this.attachCaptionTrack(selected);
+            } catch (error) {
+                console.warn(`⚠️ Could not load captions ${selected.path}:`, error);
+            }
+        }
+
+        this.captionTracks.forEach(track => {
+            if (track.element) {
+                track.element.track.mode = track === selected ? 'showing' : 'disabled';
+            }
+        });
+        this.updateCaptionControls();
+    }
+
+    /**
+     * Add one subtitle file to the video element as a <track>. SRT is converted to WebVTT first.
+     */
+    async attachCaptionTrack(track) {
+        const videoData = this.currentVideo;
+        const { cues } = await this.captionDataManager.loadTranscriptFile(videoData.video_id, track.path);
+        if (this.currentVideo !== videoData || !this.captionTracks.includes(track)) {
+            return;
+        }
+
+        track.url = URL.createObjectURL(new Blob([SubtitleParser.toVTT(cues)], { type: 'text/vtt' }));
+        track.element = document.createElement('track');
+        track.element.kind = 'subtitles';
+        track.element.label = track.label;
+        track.element.srclang = track.language;
+        track.element.src = track.url;
+        this.videoElement.appendChild(track.element);
+    }
+
+    /**
+     * Remove all caption tracks from the video element
+     */
+    clearCaptionTracks() {
+        this.captionTracks.forEach(track => {
+            track.element?.remove();
+            if (track.url) {
+                URL.revokeObjectURL(track.url);
+            }
+        });
+        this.captionTracks = [];
+        this.renderCaptionControls();
+    }
+
+    /**
+     * Turn captions on or off
+     */
+    toggleCaptions() {
+        this.captionsEnabled = !this.captionsEnabled;
+        this.applyCaptions();
+    }
+
+    /**
+     * Switch to the caption track with this path; picking one also turns captions on.
+     * Its language stays preferred for the next videos.
+     */
+    setCaptionTrack(path) {
+        const track = this.captionTracks.find(entry => entry.path === path);
+        if (!track) return;
+        this.captionTrackPath = path;
+        this.captionLanguage = track.language;
+        this.captionsEnabled = true;
+        this.applyCaptions();
+    }
+
+    /**
+     * Fill the language picker; the controls stay hidden when the video has no subtitle files
+     */
+    renderCaptionControls() {
+        if (!this.captionsControls) return;
+
+        this.captionsControls.style.display = this.captionTracks.length > 0 ? 'flex' : 'none';
+        if (this.captionLanguageSelect) {
+            // Uploaded and auto-generated tracks can share a language, so options are keyed by path
+            this.captionLanguageSelect.replaceChildren(...this.captionTracks.map(track => new Option(track.label, track.path)));
+            this.captionLanguageSelect.style.display = this.captionTracks.length > 1 ? 'block' : 'none';
+        }
+        this.updateCaptionControls();
+    }
+
+    /**
+     * Reflect the captions state on the CC button and language picker
+     */
+    updateCaptionControls() {
+        const selected = this.pickCaptionTrack();
+        if (this.captionsBtn) {
+            this.captionsBtn.classList.toggle('active', this.captionsEnabled);
+            this.captionsBtn.setAttribute('aria-pressed', String(this.captionsEnabled));
+            this.captionsBtn.title = this.captionsEnabled ? 'Turn captions off' : 'Turn captions on';
+        }
+        if (this.captionLanguageSelect && selected) {
+            this.captionLanguageSelect.value = selected.path;
+        }
+    }
+
     /**
      * Show YouTube fallback when local video fails
      */
@@ -667,9 +836,25 @@ class VideoPlayer {
      * Set video time
      */
     setTime(seconds) {
+        if (this.currentPlayerType === 'youtube' && this.youtubeIframe) {
+            // The embed is loaded with enablejsapi=1, so it accepts player commands
+            this.youtubeIframe.contentWindow?.postMessage(JSON.stringify({
+                event: 'command',
+                func: 'seekTo',
+                args: [seconds, true]
+            }), '*');
+            return;
+        }
         this.videoElement.currentTime = seconds;
     }
 
+    /**
+     * Register a callback receiving the current time as local playback progresses
+     */
+    setTimeUpdateHandler(handler) {
+        this.timeUpdateHandler = handler;
+    }
+
     /**
      * Perform a robust seek operation
      */
@@ -940,6 +1125,7 @@ class VideoPlayer {
      */
     destroy() {
         this.pause();
+        this.clearCaptionTracks();
         this.videoElement.src = '';
         this.videoElement.load();
         this.currentVideo = null;
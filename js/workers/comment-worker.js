@@ -0,0 +1,27 @@
+/**
+ * Comment Worker
+ * Parses, normalizes and indexes archive comments off the main thread.
+ * Messages in:  { type: 'process', sources }
+ * Messages out: { type: 'progress', message, percent } | { type: 'result', result } | { type: 'error', message }
+ */
+
+// The shared modules export themselves on window
+self.window = self;
+importScripts('../archive-sources.js', '../streaming-json-parser.js', '../comment-processor.js');
+
+self.onmessage = async (event) => {
+    const { type, sources } = event.data || {};
+    if (type !== 'process') {
+        return;
+    }
+
+    try {
+        const processor = new CommentProcessor();
+        const result = await processor.process(sources, (message, percent) => {
+            self.postMessage({ type: 'progress', message, percent });
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};